@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { inflateSync } from 'node:zlib';
+import { DITHER_METHODS, ALPHA_MODES, ditherImage } from '../src/engine/dither.js';
+import { PALETTE_METHODS, PALETTE_PRESETS, PALETTE_SAMPLE_SIZES, extractPalette } from '../src/engine/palette.js';
+import { parsePaletteFile } from '../src/engine/paletteFormats.js';
+import { COLOR_METRICS } from '../src/engine/color.js';
+import { parseKernelGrid } from '../src/engine/kernels.js';
+import { FIT_MODES, ROTATIONS } from '../src/engine/transform.js';
+import { GRAY_RAMPS, MIN_GRAY_LEVELS, MAX_GRAY_LEVELS, evenGrayLevels, parseGrayLevels } from '../src/engine/grayscale.js';
+import { HARDWARE_MODES, HARDWARE_EXPORTS, MAX_TILE_SIZE, MAX_TILE_COLORS, encodeHardware } from '../src/engine/hardware.js';
+import { RECIPE_DEFAULTS, MAX_SEED, parseRecipe } from '../src/engine/recipe.js';
+import { SVG_MODES, buildSvg } from '../src/engine/svgExport.js';
+import { BITMAP_FORMATS, encodeBitmap, scaleIndexedImage } from '../src/engine/bitmapFormats.js';
+import { prepareSource, resizeRgba } from '../src/engine/resample.js';
+import { decodePng } from '../src/engine/pngDecode.js';
+import { decodeGif } from '../src/engine/animationDecode.js';
+
+// --- BITMAP FONO CLI ---
+// Runs the same engine as the web app over PNG/GIF files. Defaults match the
+// app's initial settings, so equal settings give byte-identical PNG/SVG exports.
+
+const USAGE = `Usage: bitmap-fono [options] <input.png|input.gif ...>
+
+Options:
+  -o, --out <dir>          Output directory (default: .)
+  --recipe <file.json>     Recipe exported from the app; options given on the
+                           command line override its settings
+  --format <list>          Comma-separated output formats: png, svg, gif, bmp,
+                           pbm, pgm, xbm, tga, and with --hardware json
+                           (tile data), scr (ZX Spectrum), koala (C64)
+                           (default: png)
+  --dither <method>        ${Object.keys(DITHER_METHODS).join(', ')}
+                           (default: FLOYD)
+  --threshold <0-255>      Threshold (default: 128)
+  --blur <0-100>           Signal blur in dither pixels (default: 0)
+  --depth <1-8>            Bit depth before dithering (default: 8)
+  --brightness <n>         Brightness, -100 to 100 (default: 0)
+  --contrast <n>           Contrast, -100 to 100 (default: 0)
+  --gamma <n>              Gamma, 0.1 to 5; above 1 lifts midtones (default: 1)
+  --black-point <0-254>    Input level mapped to black (default: 0)
+  --white-point <1-255>    Input level mapped to white (default: 255)
+  --sharpen <percent>      Unsharp mask amount, 0 = off (default: 0)
+  --sharpen-radius <n>     Unsharp mask radius in dither pixels (default: 1)
+  --edges <percent>        Edge enhancement, 0 = off (default: 0)
+  --pixel-size <n>         Bit size / blockiness (default: 4)
+  --aspect <n>             Pixel width over height, 0.25 to 4 (default: 1)
+  --width <px>             Output width (default: 600)
+  --height <px>            Output height; 0 follows the image (default: 0)
+  --fit <mode>             How the image meets --width x --height:
+                           ${Object.keys(FIT_MODES).join(', ')} (default: FIT)
+  --background <#rrggbb>   Letterbox color for --fit FIT (default: #FFFFFF)
+  --rotate <deg>           Clockwise rotation: ${ROTATIONS.join(', ')} (default: 0)
+  --flip <h|v|hv>          Mirror the rotated image
+  --crop <x,y,w,h>         Crop in percent of the rotated image
+  --palette <palette>      Preset name (e.g. GAMEBOY), palette file
+                           (.gpl/.ase/.act/.pal/.hex/.json) or auto:<method>
+                           with ${Object.keys(PALETTE_METHODS).join(', ')}.
+                           Without it the output is black and white.
+  --gray <n|v1,v2,...>     Grayscale output with n evenly spaced levels
+                           (${MIN_GRAY_LEVELS}-${MAX_GRAY_LEVELS}) or the listed gray values (0-255)
+  --tint <ramp>            Map gray levels onto a ramp: a preset
+                           (${Object.keys(GRAY_RAMPS).join(', ')}) or
+                           comma-separated #rrggbb colors, dark to light
+  --hardware <mode>        Per-tile color limits: ${Object.keys(HARDWARE_MODES).join(', ')}.
+                           Presets default to their palette, pixel aspect
+                           and native resolution (default: NONE)
+  --tile <WxH>             Tile size for --hardware CUSTOM (default: 8x8)
+  --tile-colors <n>        Colors per tile for --hardware CUSTOM (default: 2)
+  --palette-size <n>       Colors for auto palettes (default: 5)
+  --palette-sample <n>     Sample size for auto palettes: ${PALETTE_SAMPLE_SIZES.join(', ')} (default: 64)
+  --seed <n>               Seed for auto palettes and white noise (default: 1)
+  --metric <metric>        ${Object.keys(COLOR_METRICS).join(', ')} (default: REDMEAN)
+  --strength <0-150>       Error diffusion strength (default: 100)
+  --clamp <n>              Error clamp, 0 = off (default: 0)
+  --serpentine             Alternate scan direction per row
+  --linear                 Diffuse error in linear light
+  --alpha <mode>           Transparency handling: ${Object.keys(ALPHA_MODES).join(', ')}
+                           (default: THRESHOLD)
+  --alpha-threshold <n>    Alpha cutoff, 1 to 255 (default: 128)
+  --matte <#rrggbb>        Color composited under the image for --alpha MATTE
+                           (default: #FFFFFF)
+  --transparent-index <n>  Palette index reserved for transparent pixels;
+                           opaque pixels never use it (default: none)
+  --svg-mode <mode>        ${Object.keys(SVG_MODES).join(', ')} (default: RECTANGLES)
+  --scale <scaled|native>  Image size: output width or dither resolution
+                           (default: scaled)
+  -h, --help               Show this help
+`;
+
+// Option name -> [setting, parse]; flags take no value
+const OPTIONS = {
+    out: ['out', String],
+    recipe: ['recipe', String],
+    format: ['format', String],
+    dither: ['ditherMethod', v => v.toUpperCase()],
+    threshold: ['threshold', Number],
+    blur: ['blur', Number],
+    depth: ['colorDepth', Number],
+    brightness: ['brightness', Number],
+    contrast: ['contrast', Number],
+    gamma: ['gamma', Number],
+    'black-point': ['blackPoint', Number],
+    'white-point': ['whitePoint', Number],
+    sharpen: ['sharpenAmount', Number],
+    'sharpen-radius': ['sharpenRadius', Number],
+    edges: ['edgeAmount', Number],
+    'pixel-size': ['pixelSize', Number],
+    aspect: ['pixelAspect', Number],
+    width: ['outputWidth', Number],
+    height: ['outputHeight', Number],
+    fit: ['fitMode', v => v.toUpperCase()],
+    background: ['background', String],
+    rotate: ['rotate', Number],
+    flip: ['flip', v => v.toLowerCase()],
+    crop: ['crop', v => {
+        const [x, y, width, height] = v.split(',').map(n => Number(n) / 100);
+        return { x, y, width, height };
+    }],
+    palette: ['palette', String],
+    gray: ['gray', String],
+    tint: ['tint', String],
+    hardware: ['hardwareMode', v => v.toUpperCase()],
+    tile: ['tile', String],
+    'tile-colors': ['tileColors', Number],
+    'palette-size': ['paletteSize', Number],
+    'palette-sample': ['paletteSampleSize', Number],
+    seed: ['seed', Number],
+    metric: ['colorMetric', v => v.toUpperCase()],
+    strength: ['diffusionStrength', Number],
+    clamp: ['errorClamp', Number],
+    alpha: ['alphaMode', v => v.toUpperCase()],
+    'alpha-threshold': ['alphaThreshold', Number],
+    matte: ['matteColor', String],
+    'transparent-index': ['transparentIndex', Number],
+    'svg-mode': ['svgMode', v => v.toUpperCase()],
+    scale: ['scale', v => v.toUpperCase()]
+};
+const FLAGS = { serpentine: 'serpentine', linear: 'linearLight', help: 'help' };
+const SHORT = { o: 'out', h: 'help' };
+
+// Engine settings come from the recipe defaults, the same initial state as the app
+const DEFAULTS = {
+    out: '.', format: 'png', svgMode: 'RECTANGLES', scale: 'SCALED'
+};
+
+// Returns only the options given on the command line
+const parseArgs = (argv) => {
+    const options = {};
+    const inputs = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            inputs.push(arg);
+            continue;
+        }
+        let [name, value] = arg.replace(/^--?/, '').split(/=(.*)/s);
+        name = SHORT[name] || name;
+        if (FLAGS[name]) {
+            options[FLAGS[name]] = true;
+            continue;
+        }
+        if (!OPTIONS[name]) throw new Error(`Unknown option ${arg}`);
+        if (value === undefined) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            value = argv[++i];
+        }
+        const [key, parse] = OPTIONS[name];
+        options[key] = parse(value);
+    }
+    return { options, inputs };
+};
+
+const checkRange = (options, key, flag, min, max) => {
+    const v = options[key];
+    if (!Number.isFinite(v) || v < min || v > max) throw new Error(`--${flag} must be between ${min} and ${max}`);
+};
+
+const validate = (options) => {
+    if (!DITHER_METHODS[options.ditherMethod]) throw new Error(`Unknown dither method ${options.ditherMethod}`);
+    if (!COLOR_METRICS[options.colorMetric]) throw new Error(`Unknown color metric ${options.colorMetric}`);
+    if (!SVG_MODES[options.svgMode]) throw new Error(`Unknown SVG mode ${options.svgMode}`);
+    if (!['SCALED', 'NATIVE'].includes(options.scale)) throw new Error('--scale must be scaled or native');
+    checkRange(options, 'threshold', 'threshold', 0, 255);
+    checkRange(options, 'blur', 'blur', 0, 100);
+    checkRange(options, 'colorDepth', 'depth', 1, 8);
+    checkRange(options, 'brightness', 'brightness', -100, 100);
+    checkRange(options, 'contrast', 'contrast', -100, 100);
+    checkRange(options, 'gamma', 'gamma', 0.1, 5);
+    checkRange(options, 'blackPoint', 'black-point', 0, 254);
+    checkRange(options, 'whitePoint', 'white-point', options.blackPoint + 1, 255);
+    checkRange(options, 'sharpenAmount', 'sharpen', 0, 500);
+    checkRange(options, 'sharpenRadius', 'sharpen-radius', 0.5, 10);
+    checkRange(options, 'edgeAmount', 'edges', 0, 200);
+    checkRange(options, 'pixelSize', 'pixel-size', 1, 64);
+    checkRange(options, 'pixelAspect', 'aspect', 0.25, 4);
+    checkRange(options, 'outputWidth', 'width', 1, 20000);
+    checkRange(options, 'outputHeight', 'height', 0, 20000);
+    if (!FIT_MODES[options.fitMode]) throw new Error(`Unknown fit mode ${options.fitMode}`);
+    if (!/^#[a-f\d]{6}$/i.test(options.background)) throw new Error('--background must be a #rrggbb color');
+    if (!ROTATIONS.includes(options.rotate)) throw new Error(`--rotate must be one of ${ROTATIONS.join(', ')}`);
+    const { crop } = options;
+    if (crop && !(Object.values(crop).every(v => v >= 0 && v <= 1) && crop.width > 0 && crop.height > 0
+        && crop.x + crop.width <= 1 && crop.y + crop.height <= 1)) {
+        throw new Error('--crop must be x,y,width,height percentages inside the image');
+    }
+    checkRange(options, 'paletteSize', 'palette-size', 2, 256);
+    if (!PALETTE_SAMPLE_SIZES.includes(options.paletteSampleSize)) throw new Error(`--palette-sample must be one of ${PALETTE_SAMPLE_SIZES.join(', ')}`);
+    if (![options.noiseSeed, options.paletteSeed].every(v => Number.isInteger(v) && v >= 0 && v <= MAX_SEED)) {
+        throw new Error(`--seed must be a whole number from 0 to ${MAX_SEED}`);
+    }
+    checkRange(options, 'grayLevelCount', 'gray', MIN_GRAY_LEVELS, MAX_GRAY_LEVELS);
+    const { error: grayError } = parseGrayLevels(options.grayLevelsText);
+    if (grayError) throw new Error(`--gray: ${grayError}`);
+    if (options.grayRamp.length < 2 || !options.grayRamp.every(c => /^#[a-f\d]{6}$/i.test(c))) {
+        throw new Error('--tint must be a ramp preset or at least 2 #rrggbb colors');
+    }
+    if (!HARDWARE_MODES[options.hardwareMode]) throw new Error(`Unknown hardware mode ${options.hardwareMode}`);
+    if (options.hardwareMode !== 'NONE' && options.mode !== 'color') throw new Error('--hardware needs a color palette');
+    checkRange(options, 'tileWidth', 'tile', 1, MAX_TILE_SIZE);
+    checkRange(options, 'tileHeight', 'tile', 1, MAX_TILE_SIZE);
+    checkRange(options, 'tileColors', 'tile-colors', 1, MAX_TILE_COLORS);
+    checkRange(options, 'diffusionStrength', 'strength', 0, 150);
+    checkRange(options, 'errorClamp', 'clamp', 0, 255);
+    if (!ALPHA_MODES[options.alphaMode]) throw new Error(`Unknown alpha mode ${options.alphaMode}`);
+    checkRange(options, 'alphaThreshold', 'alpha-threshold', 1, 255);
+    if (!/^#[a-f\d]{6}$/i.test(options.matteColor)) throw new Error('--matte must be a #rrggbb color');
+    if (!Number.isInteger(options.transparentIndex) || options.transparentIndex < -1 || options.transparentIndex > 255) {
+        throw new Error('--transparent-index must be a palette index from 0 to 255');
+    }
+    if (options.ditherMethod === 'THRESHOLD_MAP') throw new Error('THRESHOLD_MAP needs a map image, which the CLI does not support');
+    const formats = options.format.toLowerCase().split(',').map(f => f.trim()).filter(Boolean);
+    formats.forEach(f => {
+        if (HARDWARE_EXPORTS[f.toUpperCase()]) {
+            if (options.hardwareMode === 'NONE') throw new Error(`--format ${f} needs --hardware`);
+        } else if (f !== 'svg' && !BITMAP_FORMATS[f.toUpperCase()]) throw new Error(`Unknown output format ${f}`);
+    });
+    return formats;
+};
+
+// Preset or palette file; auto palettes are resolved per image
+const loadPalette = async (spec) => {
+    if (!spec) return null;
+    if (/^auto(:|$)/i.test(spec)) {
+        const method = (spec.split(':')[1] || 'MEDIAN_CUT').toUpperCase();
+        if (!PALETTE_METHODS[method]) throw new Error(`Unknown palette method ${method}`);
+        return { auto: method };
+    }
+    const preset = PALETTE_PRESETS[spec.toUpperCase()];
+    if (preset) return { colors: preset.colors };
+    const { colors, error } = parsePaletteFile(basename(spec), new Uint8Array(await readFile(spec)));
+    if (error) throw new Error(`${spec}: ${error}`);
+    return { colors };
+};
+
+// Recipe settings as CLI options; an extracted palette becomes auto:<method>
+const loadRecipe = async (file) => {
+    const { recipe, warnings, error } = parseRecipe(await readFile(file, 'utf8'));
+    if (error) throw new Error(`${file}: ${error}`);
+    warnings.forEach(w => process.stderr.write(`${file}: ${w}\n`));
+    const { settings } = recipe;
+    let palette = null;
+    if (settings.mode === 'color') palette = settings.paletteExtracted ? { auto: settings.paletteMethod } : { colors: settings.palette };
+    return { ...settings, palette };
+};
+
+// Recipe (or defaults) first, then command line options on top
+const resolveOptions = async (args) => {
+    const base = args.recipe ? await loadRecipe(args.recipe) : { ...RECIPE_DEFAULTS, palette: null };
+    const options = { ...DEFAULTS, ...base, ...args };
+    if (args.seed !== undefined) options.noiseSeed = options.paletteSeed = args.seed;
+    if (args.flip !== undefined) {
+        if (!/^[hv]*$/.test(args.flip)) throw new Error('--flip must be h, v or hv');
+        options.flipH = args.flip.includes('h');
+        options.flipV = args.flip.includes('v');
+    }
+    if (args.gray !== undefined) {
+        const count = Number(args.gray);
+        if (Number.isInteger(count)) Object.assign(options, { grayLevelCount: count, grayLevelsText: '' });
+        else options.grayLevelsText = args.gray;
+    }
+    if (args.tint !== undefined) {
+        const ramp = GRAY_RAMPS[args.tint.toUpperCase()];
+        options.grayRamp = ramp ? ramp.colors : args.tint.split(',').map(c => c.trim());
+        options.grayTint = true;
+    }
+    if (args.tile !== undefined) {
+        const match = /^(\d+)x(\d+)$/i.exec(args.tile);
+        if (!match) throw new Error('--tile must be WxH, e.g. 8x8');
+        options.tileWidth = Number(match[1]);
+        options.tileHeight = Number(match[2]);
+    }
+    if ((args.tile !== undefined || args.tileColors !== undefined) && args.hardwareMode === undefined) options.hardwareMode = 'CUSTOM';
+    const gray = args.gray !== undefined || args.tint !== undefined;
+    if (gray && args.palette !== undefined) throw new Error('--palette can\'t be combined with --gray or --tint');
+    if (gray) options.mode = 'gray';
+    else if (args.palette !== undefined) options.mode = 'color';
+    options.palette = options.mode === 'gray' ? null : args.palette !== undefined ? await loadPalette(args.palette) : base.palette;
+    // Hardware presets fill in what the command line leaves open, like the app's
+    const preset = args.hardwareMode !== undefined && HARDWARE_MODES[options.hardwareMode];
+    if (preset && preset.palette) {
+        if (args.palette === undefined && !gray) {
+            options.mode = 'color';
+            options.palette = { colors: PALETTE_PRESETS[preset.palette].colors };
+        }
+        if (args.pixelAspect === undefined) options.pixelAspect = preset.pixelAspect;
+        if (args.outputWidth === undefined) options.outputWidth = Math.round(preset.width * options.pixelAspect);
+        if (args.outputHeight === undefined) options.outputHeight = preset.height;
+        if (args.pixelSize === undefined) options.pixelSize = 1;
+    }
+    return options;
+};
+
+const decodeInput = (file, bytes) => {
+    const ext = extname(file).toLowerCase();
+    if (ext === '.png') return decodePng(bytes, inflateSync);
+    if (ext === '.gif') {
+        const { width, height, frames } = decodeGif(bytes);
+        return { data: frames[0].data, width, height };
+    }
+    throw new Error('only PNG and GIF inputs are supported');
+};
+
+const processFile = async (file, options, palette, formats) => {
+    const source = decodeInput(file, new Uint8Array(await readFile(file)));
+    let colors = palette && palette.colors;
+    if (palette && palette.auto) {
+        const size = options.paletteSampleSize;
+        const sample = resizeRgba(source.data, source.width, source.height, size, size);
+        colors = extractPalette(sample, palette.auto, options.paletteSize, { colorMetric: options.colorMetric, seed: options.paletteSeed });
+    }
+
+    const prepared = prepareSource(source, { ...options, tone: options });
+    const result = ditherImage(prepared.data, prepared.width, prepared.height, {
+        ditherMethod: options.ditherMethod,
+        threshold: options.threshold,
+        colorDepth: options.colorDepth,
+        palette: colors || PALETTE_PRESETS.DEFAULT.colors,
+        mode: options.mode === 'gray' ? 'gray' : colors ? 'color' : 'bw',
+        grayLevels: parseGrayLevels(options.grayLevelsText).levels || evenGrayLevels(options.grayLevelCount),
+        grayRamp: options.grayTint ? options.grayRamp : null,
+        customKernel: parseKernelGrid(options.customKernelText, options.customKernelDivisor).kernel,
+        serpentine: options.serpentine,
+        diffusionStrength: options.diffusionStrength,
+        errorClamp: options.errorClamp,
+        noiseSize: options.noiseSize,
+        noiseSeed: options.noiseSeed,
+        bayerSize: options.bayerSize,
+        screenSize: options.screenSize,
+        screenAngle: options.screenAngle,
+        orderedStrength: options.orderedStrength,
+        colorMetric: options.colorMetric,
+        linearLight: options.linearLight,
+        alphaMode: options.alphaMode,
+        alphaThreshold: options.alphaThreshold,
+        matteColor: options.matteColor,
+        transparentIndex: options.transparentIndex,
+        hardwareMode: options.hardwareMode,
+        tileWidth: options.tileWidth,
+        tileHeight: options.tileHeight,
+        tileColors: options.tileColors,
+        pixelAspect: options.pixelAspect
+    });
+
+    const name = basename(file, extname(file));
+    const written = [];
+    for (const format of formats) {
+        const hardware = HARDWARE_EXPORTS[format.toUpperCase()];
+        let bytes;
+        if (hardware) {
+            // Tile data always describes the dither grid itself
+            bytes = encodeHardware(format.toUpperCase(), result, name);
+        } else if (format === 'svg') {
+            bytes = buildSvg(result.data, result.width, result.height, {
+                mode: options.svgMode, outputWidth: prepared.outputWidth, outputHeight: prepared.outputHeight
+            }).svg;
+        } else {
+            const native = options.scale === 'NATIVE';
+            const image = scaleIndexedImage(result, native ? result.width : prepared.outputWidth, native ? result.height : prepared.outputHeight);
+            const { indices, palette: imagePalette, width, height, transparentIndex } = image;
+            bytes = encodeBitmap(format.toUpperCase(), { indices, palette: imagePalette, width, height, transparentIndex }, 'bitmap');
+        }
+        const ext = hardware ? hardware.ext : format === 'svg' ? 'svg' : BITMAP_FORMATS[format.toUpperCase()].ext;
+        const target = join(options.out, `${name}.${ext}`);
+        await writeFile(target, bytes);
+        written.push(target);
+    }
+    return { written, width: result.width, height: result.height, colors: result.palette.length };
+};
+
+const main = async () => {
+    const { options: args, inputs } = parseArgs(process.argv.slice(2));
+    if (args.help || inputs.length === 0) {
+        process.stdout.write(USAGE);
+        if (!args.help) process.exitCode = 1;
+        return;
+    }
+    const options = await resolveOptions(args);
+    const formats = validate(options);
+    const { palette } = options;
+    await mkdir(options.out, { recursive: true });
+
+    for (const file of inputs) {
+        try {
+            const { written, width, height, colors } = await processFile(file, options, palette, formats);
+            process.stdout.write(`${file} -> ${written.join(', ')} (${width}x${height}, ${colors} colors)\n`);
+        } catch (err) {
+            process.stderr.write(`${file}: ${err.message}\n`);
+            process.exitCode = 1;
+        }
+    }
+};
+
+main().catch((err) => {
+    process.stderr.write(`bitmap-fono: ${err.message}\n`);
+    process.exitCode = 1;
+});
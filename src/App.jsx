@@ -1,88 +1,32 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Upload, Download, Image as ImageIcon, Plus, Minus, ArrowRight, FileCode, Check, X, RefreshCcw } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Download, Image as ImageIcon, Plus, Minus, ArrowRight, FileCode, X, RefreshCcw, Copy, Trash2, ChevronUp, ChevronDown, Pencil, Save, Play, Pause, Undo2, Redo2, RotateCw, RotateCcw, FlipHorizontal2, FlipVertical2 } from 'lucide-react';
+import { DITHER_METHODS, TEMPORAL_MODES, ALPHA_MODES, resolveKernel } from './engine/dither.js';
+import { BLUE_NOISE_SIZES } from './engine/blueNoise.js';
+import { BAYER_SIZES, DEFAULT_NOISE_SIZE, DEFAULT_ORDERED_STRENGTH, isOrderedMethod, thresholdMapFromRgba } from './engine/threshold.js';
+import { createDitherClient } from './engine/ditherClient.js';
+import { DEFAULT_CUSTOM_KERNEL, parseKernelGrid } from './engine/kernels.js';
+import { COLOR_METRICS } from './engine/color.js';
+import { PALETTE_METHODS, PALETTE_PRESETS, PALETTE_SAMPLE_SIZES, MIN_PALETTE_SIZE, MAX_PALETTE_SIZE } from './engine/palette.js';
+import { PALETTE_FORMATS, PALETTE_FILE_ACCEPT, parsePaletteFile, serializePalette } from './engine/paletteFormats.js';
+import { SVG_MODES } from './engine/svgExport.js';
+import { BITMAP_FORMATS, ANIMATION_FORMATS, scaleIndexedImage } from './engine/bitmapFormats.js';
+import { CODE_FORMATS, PIXEL_ENCODINGS, BYTE_PACKINGS, generateCode } from './engine/codeExport.js';
+import { PRINTER_LANGUAGES, PRINTER_WIDTHS, encodePrinterJob } from './engine/printerExport.js';
+import { createPaletteId, loadPaletteLibrary, savePaletteLibrary, samePalette } from './paletteLibrary.js';
+import { ANIMATION_FILE_ACCEPT, loadAnimationFrames, frameMontage } from './animation.js';
+import { createBatchItem, createFailedBatchItem, collectDroppedFiles, isBatchImage, sortFiles, batchOutputName } from './batch.js';
+import { writeZip } from './engine/zip.js';
+import { prepareSource, createPrepareCache, resizeRgba, ditherSize } from './engine/resample.js';
+import { FIT_MODES, OUTPUT_PRESETS, orientedSize, cropPixels, transformedSize } from './engine/transform.js';
+import { TONE_DEFAULTS, MAX_CURVE_POINTS, applyTone, curveTable, lumaHistogram } from './engine/tone.js';
+import { GRAY_RAMPS, MIN_GRAY_LEVELS, MAX_GRAY_LEVELS, evenGrayLevels, parseGrayLevels, grayPalette } from './engine/grayscale.js';
+import { HARDWARE_MODES, HARDWARE_EXPORTS, MAX_TILE_SIZE, MAX_TILE_COLORS, encodeHardware, hardwareExportError } from './engine/hardware.js';
+import { createRecipe, parseRecipe, encodeRecipeHash, decodeRecipeHash } from './engine/recipe.js';
+import { createRecipeId, loadRecipeLibrary, saveRecipeLibrary } from './recipeLibrary.js';
 
 // --- CONSTANTS & ALGORITHMS ---
 
-const DITHER_METHODS = {
-    NONE: 'Threshold (1-Bit)',
-    FLOYD: 'Floyd-Steinberg',
-    ATKINSON: 'Atkinson',
-    SIERRA: 'Sierra Lite',
-    BAYER2: 'Bayer Matrix 2x2',
-    BAYER4: 'Bayer Matrix 4x4',
-    BAYER8: 'Bayer Matrix 8x8',
-    NOISE: 'Blue Noise',
-    STRETCH: 'Stretch Error',
-    JARVIS: 'Jarvis-Judice-Ninke'
-};
-
-const PALETTE_METHODS = {
-    K_MEANS: 'K-Means Clustering',
-    HISTOGRAM: 'Histogram Freq',
-    MEDIAN_CUT: 'Median Cut (Wide)',
-    EXTREME: 'Extremes',
-    VARIDE: 'Varied Distribution',
-    DISTANT: 'Max Distance',
-    PRONOUNCED: 'Pronounced'
-};
-
-const PALETTE_PRESETS = {
-    DEFAULT: { name: 'Basic (5 Colors)', colors: ['#000000', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF'] },
-    RAINBOW: { name: 'Rainbow (8 Colors)', colors: ['#000000', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#00FFFF', '#FF00FF'] },
-    GAMEBOY: { name: 'Gameboy (GB)', colors: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'] },
-    MAC_BW: { name: 'Classic Mac (1-Bit)', colors: ['#000000', '#FFFFFF'] },
-    CGA_1: { name: 'CGA (Magenta/Cyan)', colors: ['#000000', '#55FFFF', '#FF55FF', '#FFFFFF'] },
-    CGA_2: { name: 'CGA (Red/Green)', colors: ['#000000', '#55FF55', '#FF5555', '#FFFF55'] },
-    VAPORWAVE: { name: 'Vaporwave', colors: ['#ff71ce', '#01cdfe', '#05ffa1', '#b967ff', '#fffb96'] },
-    NEON_NOIR: { name: 'Neon Noir', colors: ['#0b0c15', '#161b2d', '#232c45', '#ff0055', '#00e5ff', '#ffffff'] },
-    SEPIA: { name: 'Sepia', colors: ['#2e211b', '#4d3930', '#805d46', '#bf9775', '#e6cbb3'] },
-    C64: { name: 'Commodore 64', colors: ['#000000', '#FFFFFF', '#880000', '#AAFFEE', '#CC44CC', '#00CC55', '#0000AA', '#EEEE77', '#DD8855', '#664400', '#FF7777', '#333333', '#777777', '#AAFF66', '#0088FF', '#BBBBBB'] }
-};
-
-const BAYER_MATRIX_2 = [[0, 2], [3, 1]];
-const BAYER_MATRIX_4 = [[0, 8, 2, 10], [12, 4, 14, 6], [3, 11, 1, 9], [15, 7, 13, 5]];
-const BAYER_MATRIX_8 = [
-    [0, 32, 8, 40, 2, 34, 10, 42], [48, 16, 56, 24, 50, 18, 58, 26],
-    [12, 44, 4, 36, 14, 46, 6, 38], [60, 28, 52, 20, 62, 30, 54, 22],
-    [3, 35, 11, 43, 1, 33, 9, 41], [51, 19, 59, 27, 49, 17, 57, 25],
-    [15, 47, 7, 39, 13, 45, 5, 37], [63, 31, 55, 23, 61, 29, 53, 21]
-];
-
-// Helper to hex to rgb
-const hexToRgb = (hex) => {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? { r: parseInt(result[1], 16), g: parseInt(result[2], 16), b: parseInt(result[3], 16) } : { r: 0, g: 0, b: 0 };
-};
-
-// Helper: Find nearest color (Updated to Redmean for better accuracy)
-const findNearestColor = (r, g, b, paletteRgb) => {
-    let minDist = Infinity;
-    let bestColor = paletteRgb[0];
-
-    for (let i = 0; i < paletteRgb.length; i++) {
-        const p = paletteRgb[i];
-        const rMean = (r + p.r) / 2;
-        const dR = r - p.r;
-        const dG = g - p.g;
-        const dB = b - p.b;
-
-        // Redmean formula
-        const weightR = 2 + rMean / 256;
-        const weightG = 4.0;
-        const weightB = 2 + (255 - rMean) / 256;
-
-        const dist = weightR * dR * dR + weightG * dG * dG + weightB * dB * dB;
-
-        if (dist < minDist) { minDist = dist; bestColor = p; }
-    }
-    return bestColor;
-};
-
-// Helper: Convert RGB object to Hex
-const rgbToHex = (r, g, b) => {
-    const toHex = (n) => Math.round(n).toString(16).padStart(2, '0');
-    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-};
+const MAX_THRESHOLD_MAP_SIZE = 256;
 
 // Helper: Truncate Filename
 const truncateFilename = (str, maxLength = 12) => {
@@ -92,206 +36,56 @@ const truncateFilename = (str, maxLength = 12) => {
     return str.substr(0, left) + "..." + str.substr(str.length - right);
 };
 
-// --- PALETTE EXTRACTION ---
-const extractPalette = (img, method, count = 5) => {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const w = 64;
-    const h = 64;
-    canvas.width = w;
-    canvas.height = h;
-    ctx.drawImage(img, 0, 0, w, h);
-    const data = ctx.getImageData(0, 0, w, h).data;
-
-    let pixels = [];
-    for (let i = 0; i < data.length; i += 4) {
-        if (data[i + 3] > 128) {
-            pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2] });
-        }
-    }
-
-    if (pixels.length === 0) return PALETTE_PRESETS.DEFAULT.colors;
-
-    let chosenColors = [];
-
-    switch (method) {
-        case 'HISTOGRAM': {
-            const hist = {};
-            pixels.forEach(p => {
-                const key = `${p.r >> 4}|${p.g >> 4}|${p.b >> 4}`;
-                if (!hist[key]) hist[key] = { count: 0, r: 0, g: 0, b: 0 };
-                hist[key].count++;
-                hist[key].r += p.r;
-                hist[key].g += p.g;
-                hist[key].b += p.b;
-            });
-            const buckets = Object.values(hist).map(b => ({
-                r: b.r / b.count,
-                g: b.g / b.count,
-                b: b.b / b.count,
-                count: b.count
-            })).sort((a, b) => b.count - a.count);
-            chosenColors = buckets.slice(0, count);
-            break;
-        }
-        case 'K_MEANS': {
-            let centroids = [];
-            for (let i = 0; i < count; i++) centroids.push(pixels[Math.floor(Math.random() * pixels.length)]);
-            for (let iter = 0; iter < 5; iter++) {
-                const clusters = Array(count).fill().map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
-                pixels.forEach(p => {
-                    let minDist = Infinity;
-                    let idx = 0;
-                    centroids.forEach((c, i) => {
-                        const dist = (p.r - c.r) ** 2 + (p.g - c.g) ** 2 + (p.b - c.b) ** 2;
-                        if (dist < minDist) { minDist = dist; idx = i; }
-                    });
-                    clusters[idx].r += p.r;
-                    clusters[idx].g += p.g;
-                    clusters[idx].b += p.b;
-                    clusters[idx].count++;
-                });
-                centroids = clusters.map(c => c.count > 0 ? { r: c.r / c.count, g: c.g / c.count, b: c.b / c.count } : { r: 0, g: 0, b: 0 });
-            }
-            chosenColors = centroids.filter(c => c.r !== undefined);
-            break;
-        }
-        case 'EXTREME': {
-            pixels.sort((a, b) => (a.r + a.g + a.b) - (b.r + b.g + b.b));
-            const step = Math.floor(pixels.length / (count - 1));
-            chosenColors.push(pixels[0]);
-            for (let i = 1; i < count - 1; i++) chosenColors.push(pixels[i * step]);
-            chosenColors.push(pixels[pixels.length - 1]);
-            break;
-        }
-        case 'VARIDE': {
-            chosenColors.push(pixels[Math.floor(Math.random() * pixels.length)]);
-            let safeLimit = 0;
-            while (chosenColors.length < count && safeLimit < 1000) {
-                const candidate = pixels[Math.floor(Math.random() * pixels.length)];
-                let minDist = Infinity;
-                chosenColors.forEach(c => {
-                    const dist = Math.sqrt((candidate.r - c.r) ** 2 + (candidate.g - c.g) ** 2 + (candidate.b - c.b) ** 2);
-                    if (dist < minDist) minDist = dist;
-                });
-                if (minDist > 50) chosenColors.push(candidate);
-                safeLimit++;
-            }
-            while (chosenColors.length < count) chosenColors.push(pixels[Math.floor(Math.random() * pixels.length)]);
-            break;
-        }
-        case 'DISTANT': {
-            chosenColors.push(pixels[Math.floor(Math.random() * pixels.length)]);
-            for (let k = 1; k < count; k++) {
-                let maxDist = -1;
-                let bestP = pixels[0];
-                for (let s = 0; s < 200; s++) {
-                    const p = pixels[Math.floor(Math.random() * pixels.length)];
-                    let minDist = Infinity;
-                    chosenColors.forEach(c => {
-                        const d = (p.r - c.r) ** 2 + (p.g - c.g) ** 2 + (p.b - c.b) ** 2;
-                        if (d < minDist) minDist = d;
-                    });
-                    if (minDist > maxDist) { maxDist = minDist; bestP = p; }
-                }
-                chosenColors.push(bestP);
-            }
-            break;
-        }
-        case 'PRONOUNCED': {
-            const satPixels = pixels.filter(p => {
-                const max = Math.max(p.r, p.g, p.b);
-                const min = Math.min(p.r, p.g, p.b);
-                const delta = max - min;
-                return delta > 50;
-            });
-            const source = satPixels.length > 100 ? satPixels : pixels;
-            const hist = {};
-            source.forEach(p => {
-                const key = `${p.r >> 5}|${p.g >> 5}|${p.b >> 5}`;
-                if (!hist[key]) hist[key] = { count: 0, r: 0, g: 0, b: 0 };
-                hist[key].count++;
-                hist[key].r += p.r;
-                hist[key].g += p.g;
-                hist[key].b += p.b;
-            });
-            const buckets = Object.values(hist).map(b => ({
-                r: b.r / b.count,
-                g: b.g / b.count,
-                b: b.b / b.count,
-                count: b.count
-            })).sort((a, b) => b.count - a.count);
-            chosenColors = buckets.slice(0, count);
-            break;
-        }
-        case 'MEDIAN_CUT':
-        default: {
-            // Enhanced Priority-Queue Median Cut to ensure we get exactly 'count' representatives 
-            // that cover the widest ranges (fixing the "too tight" issue)
-            let boxes = [{ pixels: pixels }];
-
-            const getRange = (px) => {
-                if (px.length === 0) return 0;
-                let minR = 255, maxR = 0, minG = 255, maxG = 0, minB = 255, maxB = 0;
-                px.forEach(p => {
-                    minR = Math.min(minR, p.r); maxR = Math.max(maxR, p.r);
-                    minG = Math.min(minG, p.g); maxG = Math.max(maxG, p.g);
-                    minB = Math.min(minB, p.b); maxB = Math.max(maxB, p.b);
-                });
-                return Math.max(maxR - minR, maxG - minG, maxB - minB);
-            };
+// Undo history: settings that stay put this long become one step, so a
+// slider drag is a single entry
+const MAX_HISTORY = 100;
+const HISTORY_COALESCE_MS = 400;
+
+// Helper: History label for the step from one settings snapshot to the next
+const describeChange = (prev, next) => {
+    const changed = Object.keys(next).filter(key => JSON.stringify(prev[key]) !== JSON.stringify(next[key]));
+    // A palette swap renames it too; that's one change
+    const keys = changed.includes('palette') ? changed.filter(key => key !== 'paletteName') : changed;
+    if (keys.length === 0) return 'CHANGE';
+    const label = keys[0].replace(/([A-Z])/g, ' $1').toUpperCase();
+    if (keys.length > 1) return `${label} +${keys.length - 1}`;
+    const value = next[keys[0]];
+    return typeof value === 'object' ? label : `${label} ${value}`;
+};
 
-            // Assign initial range
-            boxes[0].range = getRange(boxes[0].pixels);
+// Helper: Human-readable byte size
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
 
-            while (boxes.length < count) {
-                // Split the box with the largest range
-                boxes.sort((a, b) => b.range - a.range);
-                const box = boxes.shift();
-                const px = box.pixels;
+// --- SOURCE PIXELS ---
+// Images are decoded without color management and read at full size; resizing
+// and blur happen in the engine so the CLI gets the same pixels.
+const DECODE_OPTIONS = { colorSpaceConversion: 'none', premultiplyAlpha: 'none' };
 
-                if (px.length === 0) {
-                    boxes.push(box);
-                    break;
-                }
+// Batch items whose prepared source is kept for the next run
+const BATCH_PREPARE_LIMIT = 16;
 
-                // Find largest dimension to split
-                let minR = 255, maxR = 0, minG = 255, maxG = 0, minB = 255, maxB = 0;
-                px.forEach(p => {
-                    minR = Math.min(minR, p.r); maxR = Math.max(maxR, p.r);
-                    minG = Math.min(minG, p.g); maxG = Math.max(maxG, p.g);
-                    minB = Math.min(minB, p.b); maxB = Math.max(maxB, p.b);
-                });
-                const rR = maxR - minR, rG = maxG - minG, rB = maxB - minB;
-                const maxRange = Math.max(rR, rG, rB);
-                const sortChannel = maxRange === rG ? 'g' : (maxRange === rB ? 'b' : 'r');
-
-                px.sort((a, b) => a[sortChannel] - b[sortChannel]);
-                const mid = Math.floor(px.length / 2);
-
-                const p1 = px.slice(0, mid);
-                const p2 = px.slice(mid);
-
-                boxes.push({ pixels: p1, range: getRange(p1) });
-                boxes.push({ pixels: p2, range: getRange(p2) });
-            }
+const readPixels = (source) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
 
-            chosenColors = boxes.map(b => {
-                if (b.pixels.length === 0) return { r: 0, g: 0, b: 0 };
-                const sum = b.pixels.reduce((a, c) => ({ r: a.r + c.r, g: a.g + c.g, b: a.b + c.b }), { r: 0, g: 0, b: 0 });
-                return {
-                    r: Math.round(sum.r / b.pixels.length),
-                    g: Math.round(sum.g / b.pixels.length),
-                    b: Math.round(sum.b / b.pixels.length)
-                };
-            });
-            break;
-        }
-    }
+// Downscaled RGBA sample of the source for palette extraction
+const samplePixels = (pixels, size) => resizeRgba(pixels.data, pixels.width, pixels.height, size, size);
 
-    const hexColors = chosenColors.map(c => rgbToHex(c.r, c.g, c.b)).filter((v, i, a) => a.indexOf(v) === i);
-    while (hexColors.length < count) hexColors.push('#FFFFFF');
-    return hexColors.slice(0, count);
+const resultCanvas = (data, width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+    return canvas;
 };
 
 
@@ -328,6 +122,20 @@ const RangeSlider = ({ value, min, max, onChange, className = "" }) => (
     />
 );
 
+const PillSelect = ({ options, value, onChange }) => (
+    <div className="flex gap-1">
+        {options.map(opt => (
+            <button
+                key={opt}
+                onClick={() => onChange(opt)}
+                className={`border border-black rounded-full px-2 py-1 text-[10px] font-bold transition-colors ${value === opt ? 'bg-black text-white' : 'hover:bg-black/5'}`}
+            >
+                {opt}
+            </button>
+        ))}
+    </div>
+);
+
 const InfoCard = ({ title, value, sub, action, className = "" }) => (
     <div className={`border border-black rounded-[2rem] p-5 flex flex-col justify-between h-40 relative bg-transparent ${className}`}>
         <div>
@@ -349,51 +157,687 @@ const SliderCard = ({ title, value, min, max, onChange, className = "" }) => (
     </div>
 );
 
+// Tone curve: drag points, click empty space to add one, double-click a point to remove it
+const CurveEditor = ({ points, onChange }) => {
+    const svgRef = useRef(null);
+    const dragRef = useRef(null);
+    const table = useMemo(() => curveTable(points), [points]);
+
+    const toCurve = (e) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        const clamp = (v) => Math.min(255, Math.max(0, Math.round(v)));
+        return [clamp((e.clientX - rect.left) / rect.width * 255), clamp((1 - (e.clientY - rect.top) / rect.height) * 255)];
+    };
+
+    // Points keep their order, so x stays between the neighbours
+    const movePoint = (index, [x, y]) => {
+        const lo = index > 0 ? points[index - 1][0] + 1 : 0;
+        const hi = index < points.length - 1 ? points[index + 1][0] - 1 : 255;
+        onChange(points.map((p, i) => (i === index ? [Math.min(hi, Math.max(lo, x)), y] : p)));
+    };
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        if (e.target.dataset.point !== undefined) {
+            dragRef.current = Number(e.target.dataset.point);
+            return;
+        }
+        const [x, y] = toCurve(e);
+        if (points.length >= MAX_CURVE_POINTS || points.some(p => p[0] === x)) return;
+        const next = [...points, [x, y]].sort((a, b) => a[0] - b[0]);
+        dragRef.current = next.findIndex(p => p[0] === x);
+        onChange(next);
+    };
+
+    const removePoint = (index) => {
+        if (points.length > 2) onChange(points.filter((_, i) => i !== index));
+    };
+
+    const path = Array.from(table, (v, x) => `${x === 0 ? 'M' : 'L'}${x},${(255 - v).toFixed(1)}`).join(' ');
+
+    return (
+        <svg
+            ref={svgRef}
+            viewBox="0 0 255 255"
+            preserveAspectRatio="none"
+            onPointerDown={handlePointerDown}
+            onPointerMove={(e) => { if (dragRef.current !== null) movePoint(dragRef.current, toCurve(e)); }}
+            onPointerUp={() => { dragRef.current = null; }}
+            className="w-full aspect-square border border-black rounded-[0.75rem] bg-white cursor-crosshair touch-none"
+        >
+            {[64, 128, 192].map(v => (
+                <g key={v} stroke="black" strokeOpacity="0.1">
+                    <line x1={v} y1="0" x2={v} y2="255" vectorEffect="non-scaling-stroke" />
+                    <line x1="0" y1={v} x2="255" y2={v} vectorEffect="non-scaling-stroke" />
+                </g>
+            ))}
+            <line x1="0" y1="255" x2="255" y2="0" stroke="black" strokeOpacity="0.2" strokeDasharray="4 4" vectorEffect="non-scaling-stroke" />
+            <path d={path} fill="none" stroke="black" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            {points.map(([x, y], i) => (
+                <circle key={i} data-point={i} cx={x} cy={255 - y} r="7" fill="white" stroke="black" strokeWidth="1.5" vectorEffect="non-scaling-stroke" className="cursor-move" onDoubleClick={() => removePoint(i)} />
+            ))}
+        </svg>
+    );
+};
+
+// Luma histograms, square-root scaled so midtone detail isn't flattened by spikes
+const Histogram = ({ source, adjusted }) => {
+    const peak = Math.max(1, ...source, ...adjusted);
+    const area = (bins) => `M0,64 ${Array.from(bins, (n, x) => `L${x},${(64 - Math.sqrt(n / peak) * 64).toFixed(1)}`).join(' ')} L255,64 Z`;
+    return (
+        <svg viewBox="0 0 255 64" preserveAspectRatio="none" className="w-full h-24 border border-black rounded-[0.75rem] bg-white">
+            <path d={area(source)} fill="black" fillOpacity="0.15" />
+            <path d={area(adjusted)} fill="black" fillOpacity="0.7" />
+        </svg>
+    );
+};
+
+// Output modes: 1-bit, gray levels (optionally tinted) and palette matching
+const COLOR_MODES = { bw: 'BW', gray: 'Gray', color: 'Color' };
+
+// Zoom steps in output pixels per device pixel, so every step is pixel-accurate
+const ZOOM_LEVELS = [0.25, 0.5, 1, 2, 3, 4, 6, 8, 12, 16];
+
+// Result viewer: fits the largest zoom step by default, wheel zooms around the
+// cursor, dragging pans and `split` overlays `before` left of a movable divider
+const PixelViewer = ({ width, height, before, split, children }) => {
+    const frameRef = useRef(null);
+    const contentRef = useRef(null);
+    const beforeRef = useRef(null);
+    const dragRef = useRef(null);
+    const wheelRef = useRef(null);
+    const [frameSize, setFrameSize] = useState({ width: 0, height: 0 });
+    const [zoom, setZoom] = useState(null); // null = fit
+    const [pan, setPan] = useState({ x: 0, y: 0 });
+    const [splitAt, setSplitAt] = useState(0.5);
+
+    useEffect(() => {
+        const observer = new ResizeObserver(([entry]) => setFrameSize({ width: entry.contentRect.width, height: entry.contentRect.height }));
+        observer.observe(frameRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    // The original is drawn smoothly at output size under the divider
+    useEffect(() => {
+        const canvas = beforeRef.current;
+        if (!split || !canvas || !before) return;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(before, 0, 0, width, height);
+    }, [split, before, width, height]);
+
+    const dpr = window.devicePixelRatio || 1;
+    const margin = 48; // room for the frame border and zoom controls
+    const fitZoom = ZOOM_LEVELS.filter(z => width * z / dpr <= frameSize.width - margin && height * z / dpr <= frameSize.height - margin * 2).pop() || ZOOM_LEVELS[0];
+    const scale = zoom ?? fitZoom;
+
+    const zoomTo = (next, anchor = { x: 0, y: 0 }) => {
+        if (next === scale) return;
+        // Keep the point under the anchor (relative to the frame center) in place
+        const ratio = next / scale;
+        setPan({ x: pan.x - (anchor.x - pan.x) * (ratio - 1), y: pan.y - (anchor.y - pan.y) * (ratio - 1) });
+        setZoom(next);
+    };
+
+    const stepZoom = (direction, anchor) => {
+        const step = ZOOM_LEVELS.indexOf(scale) + direction;
+        if (step >= 0 && step < ZOOM_LEVELS.length) zoomTo(ZOOM_LEVELS[step], anchor);
+    };
+
+    const fit = () => { setZoom(null); setPan({ x: 0, y: 0 }); };
+
+    wheelRef.current = (e) => {
+        const rect = frameRef.current.getBoundingClientRect();
+        stepZoom(e.deltaY < 0 ? 1 : -1, { x: e.clientX - rect.left - rect.width / 2, y: e.clientY - rect.top - rect.height / 2 });
+    };
+
+    // Native listener: React's wheel handlers are passive and can't stop page scroll
+    useEffect(() => {
+        const frame = frameRef.current;
+        const handleWheel = (e) => { e.preventDefault(); wheelRef.current(e); };
+        frame.addEventListener('wheel', handleWheel, { passive: false });
+        return () => frame.removeEventListener('wheel', handleWheel);
+    }, []);
+
+    const moveSplit = (clientX) => {
+        const rect = contentRef.current.getBoundingClientRect();
+        setSplitAt(Math.min(1, Math.max(0, (clientX - rect.left) / rect.width)));
+    };
+
+    const handlePointerDown = (e) => {
+        if (e.button !== 0) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = e.target.dataset.splitHandle ? { split: true } : { x: e.clientX - pan.x, y: e.clientY - pan.y };
+        if (dragRef.current.split) moveSplit(e.clientX);
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        if (drag.split) moveSplit(e.clientX);
+        else setPan({ x: e.clientX - drag.x, y: e.clientY - drag.y });
+    };
+
+    return (
+        <div
+            ref={frameRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={() => { dragRef.current = null; }}
+            onPointerCancel={() => { dragRef.current = null; }}
+            onDoubleClick={fit}
+            className="absolute inset-0 overflow-hidden cursor-grab active:cursor-grabbing touch-none select-none"
+        >
+            <div
+                className="absolute left-1/2 top-1/2 shadow-xl border border-black/10 bg-white p-2 box-content"
+                style={{ width: width * scale / dpr, height: height * scale / dpr, transform: `translate(calc(-50% + ${pan.x}px), calc(-50% + ${pan.y}px))` }}
+            >
+                <div ref={contentRef} className="relative w-full h-full">
+                    {children}
+                    {split && (
+                        <>
+                            <canvas
+                                ref={beforeRef}
+                                width={width}
+                                height={height}
+                                className="absolute inset-0 w-full h-full pointer-events-none"
+                                style={{ clipPath: `inset(0 ${(1 - splitAt) * 100}% 0 0)` }}
+                            />
+                            <div data-split-handle="true" className="absolute top-0 bottom-0 w-4 -ml-2 cursor-ew-resize flex justify-center" style={{ left: `${splitAt * 100}%` }}>
+                                <div className="w-0.5 h-full bg-black pointer-events-none"></div>
+                                <span className="absolute top-2 right-3 text-[9px] font-bold bg-black text-white rounded-full px-2 py-0.5 pointer-events-none">BEFORE</span>
+                                <span className="absolute top-2 left-3 text-[9px] font-bold bg-black text-white rounded-full px-2 py-0.5 pointer-events-none">AFTER</span>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            {/* Floating Zoom Controls */}
+            <div onPointerDown={(e) => e.stopPropagation()} className="absolute bottom-4 left-1/2 -translate-x-1/2 flex items-center gap-4 bg-[#F1F3EB] border border-black rounded-full px-4 py-2 shadow-xl z-20 cursor-default">
+                <button onClick={() => stepZoom(-1)} disabled={scale === ZOOM_LEVELS[0]} className="disabled:opacity-30"><Minus size={14} /></button>
+                <span className="text-xs font-bold w-12 text-center">{scale}x</span>
+                <button onClick={() => stepZoom(1)} disabled={scale === ZOOM_LEVELS[ZOOM_LEVELS.length - 1]} className="disabled:opacity-30"><Plus size={14} /></button>
+                <button onClick={fit} className={`border border-black rounded-full px-2 py-0.5 text-[10px] font-bold transition-colors ${zoom === null ? 'bg-black text-white' : 'hover:bg-black/5'}`}>FIT</button>
+            </div>
+        </div>
+    );
+};
+
+// Crop on the rotated/flipped source: drag to draw, drag inside to move,
+// corners to resize, double-click to clear. `crop` is in view fractions.
+const CROP_PREVIEW_SIZE = 1024;
+const MIN_CROP = 0.01;
+
+const CropEditor = ({ source, rotate, flipH, flipV, crop, onChange }) => {
+    const frameRef = useRef(null);
+    const areaRef = useRef(null);
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+    const [frameSize, setFrameSize] = useState({ width: 0, height: 0 });
+    const oriented = orientedSize(source.width, source.height, rotate);
+
+    useEffect(() => {
+        const observer = new ResizeObserver(([entry]) => setFrameSize({ width: entry.contentRect.width, height: entry.contentRect.height }));
+        observer.observe(frameRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    // Display copy only; the engine does the exact transform
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const scale = Math.min(1, CROP_PREVIEW_SIZE / Math.max(oriented.width, oriented.height));
+        canvas.width = Math.max(1, Math.round(oriented.width * scale));
+        canvas.height = Math.max(1, Math.round(oriented.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+        ctx.rotate(rotate * Math.PI / 180);
+        ctx.drawImage(source, -source.width * scale / 2, -source.height * scale / 2, source.width * scale, source.height * scale);
+    }, [source, rotate, flipH, flipV]);
+
+    const fit = Math.min(frameSize.width / oriented.width, frameSize.height / oriented.height) || 0;
+    const rect = crop || { x: 0, y: 0, width: 1, height: 1 };
+    const pixels = cropPixels(oriented.width, oriented.height, crop);
+
+    const toFraction = (e) => {
+        const box = areaRef.current.getBoundingClientRect();
+        return {
+            x: Math.min(1, Math.max(0, (e.clientX - box.left) / box.width)),
+            y: Math.min(1, Math.max(0, (e.clientY - box.top) / box.height))
+        };
+    };
+
+    const handlePointerDown = (e) => {
+        if (e.button !== 0) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const point = toFraction(e);
+        const handle = e.target.dataset.cropHandle;
+        if (handle === 'move') {
+            dragRef.current = { move: true, start: point, rect };
+        } else if (handle) {
+            // Resizing keeps the opposite corner fixed
+            dragRef.current = {
+                anchor: { x: handle.includes('w') ? rect.x + rect.width : rect.x, y: handle.includes('n') ? rect.y + rect.height : rect.y }
+            };
+        } else {
+            dragRef.current = { anchor: point };
+        }
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const point = toFraction(e);
+        if (drag.move) {
+            const { rect: from, start } = drag;
+            onChange({
+                ...from,
+                x: Math.min(1 - from.width, Math.max(0, from.x + point.x - start.x)),
+                y: Math.min(1 - from.height, Math.max(0, from.y + point.y - start.y))
+            });
+            return;
+        }
+        const width = Math.abs(point.x - drag.anchor.x);
+        const height = Math.abs(point.y - drag.anchor.y);
+        if (width < MIN_CROP || height < MIN_CROP) return;
+        onChange({ x: Math.min(point.x, drag.anchor.x), y: Math.min(point.y, drag.anchor.y), width, height });
+    };
+
+    // A crop covering everything is no crop
+    const handlePointerUp = () => {
+        dragRef.current = null;
+        if (crop && crop.x <= 0 && crop.y <= 0 && crop.width >= 1 && crop.height >= 1) onChange(null);
+    };
+
+    return (
+        <div ref={frameRef} className="absolute inset-0 pb-12 flex items-center justify-center">
+            <div
+                ref={areaRef}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                onDoubleClick={() => onChange(null)}
+                className="relative overflow-hidden shadow-xl bg-white cursor-crosshair touch-none select-none"
+                style={{ width: oriented.width * fit, height: oriented.height * fit }}
+            >
+                <canvas ref={canvasRef} className="block w-full h-full pointer-events-none" />
+                <div
+                    data-crop-handle="move"
+                    className="absolute border border-white outline outline-1 outline-black cursor-move"
+                    style={{
+                        left: `${rect.x * 100}%`, top: `${rect.y * 100}%`, width: `${rect.width * 100}%`, height: `${rect.height * 100}%`,
+                        boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.45)'
+                    }}
+                >
+                    {['nw', 'ne', 'sw', 'se'].map(corner => (
+                        <div
+                            key={corner}
+                            data-crop-handle={corner}
+                            className={`absolute w-3 h-3 bg-white border border-black ${corner[0] === 'n' ? '-top-1.5' : '-bottom-1.5'} ${corner[1] === 'w' ? '-left-1.5' : '-right-1.5'} ${corner === 'nw' || corner === 'se' ? 'cursor-nwse-resize' : 'cursor-nesw-resize'}`}
+                        />
+                    ))}
+                </div>
+            </div>
+            <div className="absolute bottom-4 left-1/2 -translate-x-1/2 bg-[#F1F3EB] border border-black rounded-full px-4 py-2 shadow-xl text-xs font-bold">
+                {crop ? `CROP ${pixels.width}×${pixels.height}` : `FULL ${oriented.width}×${oriented.height}`}
+            </div>
+        </div>
+    );
+};
+
 // --- MAIN APP ---
 
 export default function App() {
     const [image, setImage] = useState(null);
     const [fileName, setFileName] = useState('No File');
+    // Bumped per upload so the viewer starts over at fit zoom
+    const [viewerKey, setViewerKey] = useState(0);
     const [mode, setMode] = useState('bw');
     const [outputWidth, setOutputWidth] = useState(600);
+    // 0 follows the source aspect ratio; otherwise fitMode decides how it fills
+    const [outputHeight, setOutputHeight] = useState(0);
+    const [fitMode, setFitMode] = useState('FIT');
+    const [background, setBackground] = useState('#FFFFFF');
+    const [rotate, setRotate] = useState(0);
+    const [flipH, setFlipH] = useState(false);
+    const [flipV, setFlipV] = useState(false);
+    const [crop, setCrop] = useState(null);
     const [pixelSize, setPixelSize] = useState(4);
     const [threshold, setThreshold] = useState(128);
     const [blur, setBlur] = useState(0);
     const [colorDepth, setColorDepth] = useState(8);
+
+    // Tone adjustment before dithering
+    const [brightness, setBrightness] = useState(TONE_DEFAULTS.brightness);
+    const [contrast, setContrast] = useState(TONE_DEFAULTS.contrast);
+    const [gamma, setGamma] = useState(TONE_DEFAULTS.gamma);
+    const [blackPoint, setBlackPoint] = useState(TONE_DEFAULTS.blackPoint);
+    const [whitePoint, setWhitePoint] = useState(TONE_DEFAULTS.whitePoint);
+    const [toneCurve, setToneCurve] = useState(TONE_DEFAULTS.toneCurve);
+    const [sharpenAmount, setSharpenAmount] = useState(TONE_DEFAULTS.sharpenAmount);
+    const [sharpenRadius, setSharpenRadius] = useState(TONE_DEFAULTS.sharpenRadius);
+    const [edgeAmount, setEdgeAmount] = useState(TONE_DEFAULTS.edgeAmount);
     const [ditherMethod, setDitherMethod] = useState('FLOYD');
+    const [customKernelText, setCustomKernelText] = useState(DEFAULT_CUSTOM_KERNEL);
+    const [customKernelDivisor, setCustomKernelDivisor] = useState('');
+    const [serpentine, setSerpentine] = useState(false);
+    const [diffusionStrength, setDiffusionStrength] = useState(100);
+    const [errorClamp, setErrorClamp] = useState(0);
+    const [noiseSize, setNoiseSize] = useState(DEFAULT_NOISE_SIZE);
+    const [noiseSeed, setNoiseSeed] = useState(1);
+    const [bayerSize, setBayerSize] = useState(16);
+    const [screenSize, setScreenSize] = useState(8);
+    const [screenAngle, setScreenAngle] = useState(45);
+    const [thresholdMap, setThresholdMap] = useState(null);
+    const [thresholdMapName, setThresholdMapName] = useState('');
+    const [thresholdMapError, setThresholdMapError] = useState(null);
+    const [orderedStrength, setOrderedStrength] = useState(DEFAULT_ORDERED_STRENGTH);
     const [paletteMethod, setPaletteMethod] = useState('MEDIAN_CUT');
+    const [paletteSize, setPaletteSize] = useState(5);
+    const [paletteSampleSize, setPaletteSampleSize] = useState(64);
+    const [paletteSeed, setPaletteSeed] = useState(1);
+    const [colorMetric, setColorMetric] = useState('REDMEAN');
+    const [linearLight, setLinearLight] = useState(false);
+    const [grayLevelCount, setGrayLevelCount] = useState(4);
+    const [grayLevelsText, setGrayLevelsText] = useState('');
+    const [grayTint, setGrayTint] = useState(false);
+    const [grayRamp, setGrayRamp] = useState(GRAY_RAMPS.NEUTRAL.colors);
+    const [hardwareMode, setHardwareMode] = useState('NONE');
+    const [tileWidth, setTileWidth] = useState(8);
+    const [tileHeight, setTileHeight] = useState(8);
+    const [tileColors, setTileColors] = useState(2);
+    const [pixelAspect, setPixelAspect] = useState(1);
+    const [hardwareFormat, setHardwareFormat] = useState('JSON');
+    const [alphaMode, setAlphaMode] = useState('THRESHOLD');
+    const [alphaThreshold, setAlphaThreshold] = useState(128);
+    const [matteColor, setMatteColor] = useState('#FFFFFF');
+    const [transparentIndex, setTransparentIndex] = useState(-1);
 
     // Extracted palette is stored separately so we can revert to it
     const [savedPalette, setSavedPalette] = useState(PALETTE_PRESETS.DEFAULT.colors);
     const [palette, setPalette] = useState(PALETTE_PRESETS.DEFAULT.colors);
+    const [paletteName, setPaletteName] = useState(PALETTE_PRESETS.DEFAULT.name);
+    const [paletteFileError, setPaletteFileError] = useState(null);
+    const [paletteExtractError, setPaletteExtractError] = useState(null);
+    const [paletteExportFormat, setPaletteExportFormat] = useState('GPL');
+
+    // User palette library, persisted on every change
+    const [paletteLibrary, setPaletteLibrary] = useState(loadPaletteLibrary);
+    const [libraryError, setLibraryError] = useState(null);
+    const [renamingId, setRenamingId] = useState(null);
+    const [renameText, setRenameText] = useState('');
 
     const [isProcessing, setIsProcessing] = useState(false);
+    const [processError, setProcessError] = useState(null);
+    const [progress, setProgress] = useState(0);
     const [previewUrl, setPreviewUrl] = useState(null);
     const [processedData, setProcessedData] = useState(null);
-    const [zoom, setZoom] = useState(1);
+    // Right panel: single result, before/after split or the compare grid
+    const [viewMode, setViewMode] = useState('RESULT');
+    const [compareBy, setCompareBy] = useState('METHODS');
+    const [compareCells, setCompareCells] = useState([]);
+    const [svgMode, setSvgMode] = useState('RECTANGLES');
+    const [svgExport, setSvgExport] = useState(null);
+    const [svgError, setSvgError] = useState(null);
+    const [bitmapExportError, setBitmapExportError] = useState(null);
+    const [bitmapFormat, setBitmapFormat] = useState('PNG');
+    const [exportScale, setExportScale] = useState('SCALED');
+
+    // Firmware code export
+    const [codeOpen, setCodeOpen] = useState(false);
+    const [codeFormat, setCodeFormat] = useState('C_HEADER');
+    const [codeEncoding, setCodeEncoding] = useState('MONO');
+    const [codePacking, setCodePacking] = useState('HORIZONTAL');
+    const [codeBitOrder, setCodeBitOrder] = useState('MSB');
+    const [codeInvert, setCodeInvert] = useState(false);
+
+    // Thermal printer output
+    const [printerOpen, setPrinterOpen] = useState(false);
+    const [printerLanguage, setPrinterLanguage] = useState('ESCPOS');
+    const [printerCut, setPrinterCut] = useState(true);
+
+    // Animation: decoded source frames, the frame shown in the preview and the
+    // rendered sequence (cleared whenever a setting changes)
+    const [frames, setFrames] = useState(null);
+    const [frameIndex, setFrameIndex] = useState(0);
+    const [uploadError, setUploadError] = useState(null);
+    const [temporalMode, setTemporalMode] = useState('OFF');
+    const [temporalThreshold, setTemporalThreshold] = useState(8);
+    const [temporalBlend, setTemporalBlend] = useState(50);
+    const [sequence, setSequence] = useState(null);
+    const [sequenceProgress, setSequenceProgress] = useState(null);
+    const [animationError, setAnimationError] = useState(null);
+    const [animationFormat, setAnimationFormat] = useState('GIF');
+    const [playing, setPlaying] = useState(false);
+    const [playFrame, setPlayFrame] = useState(0);
+
+    // Batch: queued files run through the current recipe one at a time
+    const [batchItems, setBatchItems] = useState([]);
+    const [batchPalette, setBatchPalette] = useState('SHARED');
+    const [batchRunning, setBatchRunning] = useState(false);
+    const [batchDragOver, setBatchDragOver] = useState(false);
+
+    // Recipes: named local list plus the last import/link result
+    const [recipeLibrary, setRecipeLibrary] = useState(loadRecipeLibrary);
+    const [recipeLibraryError, setRecipeLibraryError] = useState(null);
+    const [recipeName, setRecipeName] = useState('');
+    const [recipeMessage, setRecipeMessage] = useState(null);
+
+    // Undo history of settings snapshots; `index` is the current entry
+    const [history, setHistory] = useState(null);
 
     const fileInputRef = useRef(null);
+    const thresholdMapInputRef = useRef(null);
+    const paletteInputRef = useRef(null);
     const processingTimerRef = useRef(null);
+    const ditherClientRef = useRef(null);
+    if (!ditherClientRef.current) ditherClientRef.current = createDitherClient();
+    // Sequences get their own worker so preview updates don't cancel them
+    const sequenceClientRef = useRef(null);
+    if (!sequenceClientRef.current) sequenceClientRef.current = createDitherClient();
+    const playCanvasRef = useRef(null);
+    const batchClientRef = useRef(null);
+    if (!batchClientRef.current) batchClientRef.current = createDitherClient();
+    const batchInputRef = useRef(null);
+    const batchFolderInputRef = useRef(null);
+    const batchStopRef = useRef(false);
+    const compareClientRef = useRef(null);
+    if (!compareClientRef.current) compareClientRef.current = createDitherClient();
+    // Resampled, toned sources for the preview and compare grid, and for batch items
+    const prepareCacheRef = useRef(null);
+    if (!prepareCacheRef.current) prepareCacheRef.current = createPrepareCache();
+    const batchPrepareRef = useRef(null);
+    if (!batchPrepareRef.current) batchPrepareRef.current = createPrepareCache(BATCH_PREPARE_LIMIT);
+    const recipeInputRef = useRef(null);
+    // Extraction settings under which a recipe's fixed palette is kept
+    const pinnedPaletteRef = useRef(null);
+    const applyRecipeResultRef = useRef(null);
+    const historyKeysRef = useRef(null);
+
+    useEffect(() => () => {
+        ditherClientRef.current.dispose();
+        sequenceClientRef.current.dispose();
+        batchClientRef.current.dispose();
+        compareClientRef.current.dispose();
+    }, []);
+
+    // Animations extract one palette from a montage of frames so every frame shares it
+    const montagePixels = useMemo(() => frames && readPixels(frameMontage(frames)), [frames]);
+    const sourcePixels = useMemo(() => image && readPixels(image), [image]);
+    // One prepared source per animation frame, kept while the frames stay
+    const sequencePrepare = useMemo(() => createPrepareCache(frames ? frames.length : 1), [frames]);
+    const palettePixels = montagePixels || sourcePixels;
+    const sourceHasAlpha = useMemo(() => !!sourcePixels && sourcePixels.data.some((v, i) => (i & 3) === 3 && v < 255), [sourcePixels]);
 
     // Initial Palette Extraction (Updates Saved Palette)
     useEffect(() => {
-        if (mode === 'color' && image) {
-            const extracted = extractPalette(image, paletteMethod, 5);
-            setSavedPalette(extracted);
-            setPalette(extracted); // Default to using it immediately
+        if (mode === 'color' && palettePixels) {
+            // A recipe's fixed colors stay until the extraction settings change
+            const extractionKey = JSON.stringify([paletteMethod, paletteSize, paletteSampleSize, paletteSeed, colorMetric]);
+            if (pinnedPaletteRef.current === extractionKey) return;
+            pinnedPaletteRef.current = null;
+
+            // Debounced so dragging PALETTE SIZE doesn't queue up extractions
+            let stale = false;
+            const timer = setTimeout(() => {
+                const sample = samplePixels(palettePixels, paletteSampleSize);
+                ditherClientRef.current.extractPalette(sample, paletteMethod, paletteSize, { colorMetric, seed: paletteSeed })
+                    .then((extracted) => {
+                        if (stale || !extracted || extracted.length === 0) return;
+                        setPaletteExtractError(null);
+                        setSavedPalette(extracted);
+                        setPalette(extracted); // Default to using it immediately
+                        setPaletteName('Extracted Palette');
+                    })
+                    .catch((err) => { if (!stale) setPaletteExtractError(`Extraction failed: ${err.message || 'unknown error'}`); });
+            }, 150);
+            return () => { stale = true; clearTimeout(timer); ditherClientRef.current.cancelPalette(); };
         } else if (mode === 'bw') {
             setPalette(['#000000', '#FFFFFF']);
         }
-    }, [mode, paletteMethod, image]);
+    }, [mode, paletteMethod, paletteSize, paletteSampleSize, paletteSeed, colorMetric, palettePixels]);
+
+    // Animated GIF/APNG and frame zips are decoded to canvases; anything else
+    // loads as a still image
+    const handleImageUpload = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        setUploadError(null);
+        let loaded;
+        try {
+            loaded = await loadAnimationFrames(file);
+        } catch (err) {
+            setUploadError(`${file.name}: ${err.message}`);
+            return;
+        }
+        if (loaded) {
+            setFileName(file.name);
+            setFrames(loaded.length > 1 ? loaded : null);
+            setFrameIndex(0);
+            setImage(loaded[0].canvas);
+            setViewerKey(k => k + 1);
+            return;
+        }
+        if (!file.type.startsWith('image/')) return;
+        try {
+            const bitmap = await createImageBitmap(file, DECODE_OPTIONS);
+            setFileName(file.name);
+            setFrames(null);
+            setImage(bitmap);
+            setViewerKey(k => k + 1);
+        } catch (err) {
+            setUploadError(`${file.name}: could not decode image`);
+        }
+    };
+
+    const selectFrame = (index) => {
+        setFrameIndex(index);
+        setImage(frames[index].canvas);
+    };
+
+    // Palette files are parsed from raw bytes; errors stay in the palette section
+    const handlePaletteUpload = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const { colors, name, error } = parsePaletteFile(file.name, new Uint8Array(event.target.result));
+            if (error) { setPaletteFileError(error); return; }
+            setPalette(colors);
+            setPaletteName(name);
+            setPaletteFileError(null);
+        };
+        reader.onerror = () => setPaletteFileError('Could not read file');
+        reader.readAsArrayBuffer(file);
+    };
+
+    const exportPalette = () => {
+        const format = PALETTE_FORMATS[paletteExportFormat];
+        const contents = serializePalette(paletteExportFormat, palette, paletteName);
+        downloadBlob(new Blob([contents], { type: format.mime }), `palette_${Date.now()}.${format.ext}`);
+    };
+
+    useEffect(() => {
+        setLibraryError(savePaletteLibrary(paletteLibrary) ? null : 'Could not store palettes in this browser');
+    }, [paletteLibrary]);
+
+    // The preset select shows whichever built-in or saved palette matches the current colors
+    const activePaletteKey = useMemo(() => {
+        const preset = Object.keys(PALETTE_PRESETS).find(k => samePalette(PALETTE_PRESETS[k].colors, palette));
+        if (preset) return preset;
+        const saved = paletteLibrary.find(p => samePalette(p.colors, palette));
+        if (saved) return `user:${saved.id}`;
+        return samePalette(savedPalette, palette) ? 'EXTRACTED' : 'CUSTOM';
+    }, [palette, savedPalette, paletteLibrary]);
+
+    const selectPalette = (key) => {
+        if (key === 'EXTRACTED') {
+            setPalette(savedPalette);
+            setPaletteName('Extracted Palette');
+        } else if (key.startsWith('user:')) {
+            const entry = paletteLibrary.find(p => `user:${p.id}` === key);
+            if (entry) { setPalette(entry.colors); setPaletteName(entry.name); }
+        } else if (PALETTE_PRESETS[key]) {
+            setPalette(PALETTE_PRESETS[key].colors);
+            setPaletteName(PALETTE_PRESETS[key].name);
+        }
+    };
+
+    const saveToLibrary = () => {
+        const name = paletteName.trim() || 'Untitled Palette';
+        setPaletteLibrary([...paletteLibrary, { id: createPaletteId(), name, colors: [...palette] }]);
+    };
+
+    const commitRename = () => {
+        const name = renameText.trim();
+        if (name) setPaletteLibrary(paletteLibrary.map(p => p.id === renamingId ? { ...p, name } : p));
+        setRenamingId(null);
+    };
+
+    const duplicateLibraryPalette = (index) => {
+        const source = paletteLibrary[index];
+        const copy = { id: createPaletteId(), name: `${source.name} Copy`, colors: [...source.colors] };
+        setPaletteLibrary([...paletteLibrary.slice(0, index + 1), copy, ...paletteLibrary.slice(index + 1)]);
+    };
+
+    const moveLibraryPalette = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= paletteLibrary.length) return;
+        const next = [...paletteLibrary];
+        [next[index], next[target]] = [next[target], next[index]];
+        setPaletteLibrary(next);
+    };
 
-    const handleImageUpload = (e) => {
+    const deleteLibraryPalette = (id) => setPaletteLibrary(paletteLibrary.filter(p => p.id !== id));
+
+    // Small grayscale image used as a tiled threshold map
+    const handleThresholdMapUpload = (e) => {
         const file = e.target.files[0];
+        e.target.value = '';
         if (!file || !file.type.startsWith('image/')) return;
-        setFileName(file.name);
         const reader = new FileReader();
         reader.onload = (event) => {
             const img = new Image();
-            img.onload = () => { setImage(img); setZoom(0.8); };
+            img.onload = () => {
+                if (img.width > MAX_THRESHOLD_MAP_SIZE || img.height > MAX_THRESHOLD_MAP_SIZE) {
+                    setThresholdMapError(`Map must be at most ${MAX_THRESHOLD_MAP_SIZE}x${MAX_THRESHOLD_MAP_SIZE}px`);
+                    return;
+                }
+                const canvas = document.createElement('canvas');
+                canvas.width = img.width;
+                canvas.height = img.height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0);
+                const { data } = ctx.getImageData(0, 0, img.width, img.height);
+                setThresholdMap(thresholdMapFromRgba(data, img.width, img.height));
+                setThresholdMapName(file.name);
+                setThresholdMapError(null);
+            };
+            img.onerror = () => setThresholdMapError('Could not read image');
             img.src = event.target.result;
         };
         reader.readAsDataURL(file);
@@ -412,189 +856,719 @@ export default function App() {
         const newPal = [...palette];
         newPal.splice(index, 1);
         setPalette(newPal);
+        // Keep the reserved transparent color pointing at the same swatch
+        if (index === transparentIndex) setTransparentIndex(-1);
+        else if (index < transparentIndex) setTransparentIndex(transparentIndex - 1);
+    };
+
+    // Custom kernel grid is parsed here so errors can be shown next to the editor
+    const customKernelParsed = useMemo(() => parseKernelGrid(customKernelText, customKernelDivisor), [customKernelText, customKernelDivisor]);
+    const customKernel = customKernelParsed.kernel;
+
+    // Custom gray values win over the level count while they parse
+    const grayLevelsParsed = useMemo(() => parseGrayLevels(grayLevelsText), [grayLevelsText]);
+    const grayLevels = useMemo(() => grayLevelsParsed.levels || evenGrayLevels(grayLevelCount), [grayLevelsParsed, grayLevelCount]);
+    const grayRampColors = grayTint ? grayRamp : null;
+    const grayShades = useMemo(() => grayPalette(grayLevels, grayRampColors), [grayLevels, grayRampColors]);
+    const grayRampKey = Object.keys(GRAY_RAMPS).find(key => JSON.stringify(GRAY_RAMPS[key].colors) === JSON.stringify(grayRamp)) || 'CUSTOM';
+    const updateRampColor = (index, value) => setGrayRamp(grayRamp.map((c, i) => (i === index ? value : c)));
+    const removeRampColor = (index) => { if (grayRamp.length > 2) setGrayRamp(grayRamp.filter((_, i) => i !== index)); };
+
+    // Engine settings shared by the preview and sequence renders
+    const ditherSettings = useMemo(() => ({
+        ditherMethod, threshold, colorDepth, palette, mode, customKernel, serpentine, diffusionStrength, errorClamp,
+        noiseSize, noiseSeed, bayerSize, screenSize, screenAngle, thresholdMap, orderedStrength, colorMetric, linearLight,
+        alphaMode, alphaThreshold, matteColor, transparentIndex, grayLevels, grayRamp: grayRampColors,
+        hardwareMode, tileWidth, tileHeight, tileColors, pixelAspect
+    }), [ditherMethod, threshold, colorDepth, palette, mode, customKernel, serpentine, diffusionStrength, errorClamp, noiseSize, noiseSeed, bayerSize, screenSize, screenAngle, thresholdMap, orderedStrength, colorMetric, linearLight, alphaMode, alphaThreshold, matteColor, transparentIndex, grayLevels, grayRampColors, hardwareMode, tileWidth, tileHeight, tileColors, pixelAspect]);
+
+    const toneSettings = useMemo(() => ({
+        brightness, contrast, gamma, blackPoint, whitePoint, toneCurve, sharpenAmount, sharpenRadius, edgeAmount
+    }), [brightness, contrast, gamma, blackPoint, whitePoint, toneCurve, sharpenAmount, sharpenRadius, edgeAmount]);
+
+    const toneSetters = {
+        brightness: setBrightness, contrast: setContrast, gamma: setGamma, blackPoint: setBlackPoint, whitePoint: setWhitePoint,
+        toneCurve: setToneCurve, sharpenAmount: setSharpenAmount, sharpenRadius: setSharpenRadius, edgeAmount: setEdgeAmount
     };
 
+    // Everything prepareSource needs, shared by every render path
+    const sourceSettings = useMemo(() => ({
+        outputWidth, outputHeight, fitMode, background, pixelSize, pixelAspect, blur, tone: toneSettings, rotate, flipH, flipV, crop
+    }), [outputWidth, outputHeight, fitMode, background, pixelSize, pixelAspect, blur, toneSettings, rotate, flipH, flipV, crop]);
+
+    const resetTone = () => Object.entries(toneSetters).forEach(([key, set]) => set(TONE_DEFAULTS[key]));
+
+    // Histograms from a small sample of the current source, before and after tone
+    const toneSample = useMemo(() => sourcePixels && samplePixels(sourcePixels, 128), [sourcePixels]);
+    const toneHistograms = useMemo(() => toneSample && {
+        source: lumaHistogram(toneSample),
+        adjusted: lumaHistogram(applyTone(toneSample, 128, 128, toneSettings))
+    }, [toneSample, toneSettings]);
+
     const processImage = useCallback(() => {
-        if (!image) return;
+        if (!sourcePixels) return;
         setIsProcessing(true);
 
+        // Stop the job in flight right away; the new one starts after the debounce
         if (processingTimerRef.current) clearTimeout(processingTimerRef.current);
+        ditherClientRef.current.cancel();
 
-        processingTimerRef.current = setTimeout(() => {
+        processingTimerRef.current = setTimeout(async () => {
             try {
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                const aspect = image.height / image.width;
-                const ditherW = Math.max(1, Math.floor(outputWidth / pixelSize));
-                const ditherH = Math.round(ditherW * aspect);
-
-                canvas.width = ditherW;
-                canvas.height = ditherH;
-                ctx.clearRect(0, 0, ditherW, ditherH);
-
-                if (blur > 0) ctx.filter = `blur(${blur}px)`;
-                ctx.drawImage(image, 0, 0, ditherW, ditherH);
-                ctx.filter = 'none';
-
-                const imgData = ctx.getImageData(0, 0, ditherW, ditherH);
-                const data = imgData.data;
-                const width = imgData.width;
-                const height = imgData.height;
-                const paletteRgb = palette.map(hex => ({ ...hexToRgb(hex), hex }));
-                const floatBuffer = new Float32Array(width * height * 4);
-
-                const levels = Math.pow(2, colorDepth);
-                const step = 255 / (levels - 1);
-
-                for (let i = 0; i < width * height; i++) {
-                    let r = data[i * 4], g = data[i * 4 + 1], b = data[i * 4 + 2], a = data[i * 4 + 3];
-
-                    if (colorDepth < 8) {
-                        r = Math.round(Math.round(r / step) * step);
-                        g = Math.round(Math.round(g / step) * step);
-                        b = Math.round(Math.round(b / step) * step);
-                    }
-
-                    floatBuffer[i * 4] = r;
-                    floatBuffer[i * 4 + 1] = g;
-                    floatBuffer[i * 4 + 2] = b;
-                    floatBuffer[i * 4 + 3] = a;
-                }
+                const prepared = prepareCacheRef.current(sourcePixels, sourceSettings, () => prepareSource(sourcePixels, sourceSettings));
+                const { width: ditherW, height: ditherH, outputWidth: previewW, outputHeight: previewH } = prepared;
 
-                const addErr = (x, y, errR, errG, errB, factor) => {
-                    if (x < 0 || x >= width || y < 0 || y >= height) return;
-                    const idx = (y * width + x) * 4;
-                    if (floatBuffer[idx + 3] < 128) return;
-                    floatBuffer[idx] += errR * factor;
-                    floatBuffer[idx + 1] += errG * factor;
-                    floatBuffer[idx + 2] += errB * factor;
-                };
-
-                const userBias = threshold - 128;
-                const clamp = (v) => Math.max(0, Math.min(255, v));
-
-                for (let y = 0; y < height; y++) {
-                    for (let x = 0; x < width; x++) {
-                        const idx = (y * width + x) * 4;
-                        if (floatBuffer[idx + 3] < 128) {
-                            data[idx] = data[idx + 1] = data[idx + 2] = data[idx + 3] = 0;
-                            continue;
-                        }
-
-                        // CLAMP INPUT TO PREVENT RUNAWAY ERROR
-                        let oldR = clamp(floatBuffer[idx]);
-                        let oldG = clamp(floatBuffer[idx + 1]);
-                        let oldB = clamp(floatBuffer[idx + 2]);
-
-                        let newR, newG, newB;
-
-                        let ditherBias = 0;
-                        if (ditherMethod.startsWith('BAYER')) {
-                            let matrix, dim;
-                            if (ditherMethod === 'BAYER2') { matrix = BAYER_MATRIX_2; dim = 2; }
-                            else if (ditherMethod === 'BAYER4') { matrix = BAYER_MATRIX_4; dim = 4; }
-                            else { matrix = BAYER_MATRIX_8; dim = 8; }
-                            const limit = dim * dim;
-                            const rawMap = matrix[y % dim][x % dim] / limit;
-                            ditherBias = (rawMap - 0.5) * 64;
-                        } else if (ditherMethod === 'NOISE') {
-                            ditherBias = (Math.random() - 0.5) * 64;
-                        }
-
-                        if (mode === 'bw') {
-                            const gray = (oldR * 0.299 + oldG * 0.587 + oldB * 0.114);
-                            const val = (gray + ditherBias + userBias) > 128 ? 255 : 0;
-                            newR = newG = newB = val;
-                        } else {
-                            const effectiveR = clamp(oldR + ditherBias + userBias);
-                            const effectiveG = clamp(oldG + ditherBias + userBias);
-                            const effectiveB = clamp(oldB + ditherBias + userBias);
-
-                            const nearest = findNearestColor(effectiveR, effectiveG, effectiveB, paletteRgb);
-                            newR = nearest.r; newG = nearest.g; newB = nearest.b;
-                        }
-
-                        if (!ditherMethod.startsWith('BAYER') && ditherMethod !== 'NOISE' && ditherMethod !== 'NONE') {
-                            const effectiveTargetR = clamp(oldR + userBias);
-                            const effectiveTargetG = clamp(oldG + userBias);
-                            const effectiveTargetB = clamp(oldB + userBias);
-
-                            const errR = effectiveTargetR - newR;
-                            const errG = effectiveTargetG - newG;
-                            const errB = effectiveTargetB - newB;
-
-                            if (ditherMethod === 'FLOYD') {
-                                addErr(x + 1, y, errR, errG, errB, 7 / 16); addErr(x - 1, y + 1, errR, errG, errB, 3 / 16); addErr(x, y + 1, errR, errG, errB, 5 / 16); addErr(x + 1, y + 1, errR, errG, errB, 1 / 16);
-                            } else if (ditherMethod === 'ATKINSON') {
-                                addErr(x + 1, y, errR, errG, errB, 1 / 8); addErr(x + 2, y, errR, errG, errB, 1 / 8); addErr(x - 1, y + 1, errR, errG, errB, 1 / 8); addErr(x, y + 1, errR, errG, errB, 1 / 8); addErr(x + 1, y + 1, errR, errG, errB, 1 / 8); addErr(x, y + 2, errR, errG, errB, 1 / 8);
-                            } else if (ditherMethod === 'SIERRA') {
-                                addErr(x + 1, y, errR, errG, errB, 2 / 4); addErr(x - 1, y + 1, errR, errG, errB, 1 / 4); addErr(x, y + 1, errR, errG, errB, 1 / 4);
-                            } else if (ditherMethod === 'STRETCH') {
-                                addErr(x + 1, y, errR, errG, errB, 1.0);
-                            }
-                        }
-
-                        data[idx] = newR; data[idx + 1] = newG; data[idx + 2] = newB; data[idx + 3] = 255;
-                    }
-                }
-
-                setProcessedData({ data: data, width: width, height: height });
+                setProgress(0);
+                const result = await ditherClientRef.current.run({ ...prepared, data: prepared.data.slice() }, ditherSettings, setProgress);
+                if (!result) return; // Cancelled by a newer job
 
-                ctx.putImageData(imgData, 0, 0);
+                setProcessedData({ ...result, outputWidth: previewW, outputHeight: previewH });
+                const canvas = resultCanvas(result.data, ditherW, ditherH);
 
                 const previewCanvas = document.createElement('canvas');
-                const previewW = outputWidth;
-                const previewH = Math.round(outputWidth * aspect);
                 previewCanvas.width = previewW;
                 previewCanvas.height = previewH;
                 const pCtx = previewCanvas.getContext('2d');
                 pCtx.imageSmoothingEnabled = false;
                 pCtx.drawImage(canvas, 0, 0, previewW, previewH);
                 setPreviewUrl(previewCanvas.toDataURL());
+                setProcessError(null);
                 setIsProcessing(false);
 
-            } catch (e) { console.error(e); setIsProcessing(false); }
-        }, 50);
-    }, [image, outputWidth, pixelSize, threshold, blur, colorDepth, ditherMethod, palette, mode]);
+            } catch (e) {
+                setProcessError(`Dithering failed: ${e.message || 'unknown error'}`);
+                setIsProcessing(false);
+            }
+        }, 50);
+    }, [sourcePixels, sourceSettings, ditherSettings]);
+
+    useEffect(() => { processImage(); }, [processImage]);
+
+    // --- ANIMATION ---
+
+    useEffect(() => {
+        sequenceClientRef.current.cancel();
+        setSequence(null);
+        setSequenceProgress(null);
+        setAnimationError(null);
+        setPlaying(false);
+    }, [frames, sourceSettings, ditherSettings, temporalMode, temporalThreshold, temporalBlend]);
+
+    // Frames run one after another so each can see the previous frame's
+    // source, indices and error for the temporal modes
+    const renderSequence = async () => {
+        if (!frames) return;
+        const client = sequenceClientRef.current;
+        const rendered = [];
+        let prepared = null;
+        let previousFrame = null;
+        let palette = null;
+        let transparentIndex = null;
+        setSequence(null);
+        setPlaying(false);
+        setSequenceProgress(0);
+        setAnimationError(null);
+        try {
+            for (let f = 0; f < frames.length; f++) {
+                const { canvas } = frames[f];
+                prepared = sequencePrepare(canvas, sourceSettings, () => prepareSource(readPixels(canvas), sourceSettings));
+                const source = temporalMode === 'HOLD' ? prepared.data.slice() : null;
+                const settings = { ...ditherSettings, temporalMode, temporalThreshold, temporalBlend, previousFrame };
+                const result = await client.run({ ...prepared, data: prepared.data.slice() }, settings, (p) => setSequenceProgress((f + p) / frames.length));
+                if (!result) return; // Cancelled by a settings change
+                rendered.push({ indices: result.indices, data: result.data, delay: frames[f].delay });
+                previousFrame = temporalMode === 'OFF' ? null : { source, indices: result.indices, errorField: result.errorField };
+                palette = result.palette;
+                transparentIndex = result.transparentIndex;
+            }
+            const { width, height, outputHeight } = prepared;
+            setSequence({ frames: rendered, palette, transparentIndex, width, height, outputWidth, outputHeight });
+            setPlayFrame(0);
+            setPlaying(true);
+        } catch (e) {
+            setAnimationError(`Render failed: ${e.message}`);
+        }
+        setSequenceProgress(null);
+    };
+
+    // Playback draws the rendered frames at preview size on their own delays
+    useEffect(() => {
+        if (!playing || !sequence) return;
+        const frame = sequence.frames[playFrame];
+        const canvas = playCanvasRef.current;
+        if (canvas) {
+            const small = resultCanvas(frame.data, sequence.width, sequence.height);
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = false;
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(small, 0, 0, canvas.width, canvas.height);
+        }
+        const timer = setTimeout(() => setPlayFrame((playFrame + 1) % sequence.frames.length), frame.delay);
+        return () => clearTimeout(timer);
+    }, [playing, sequence, playFrame]);
+
+    // --- BATCH ---
+
+    // Everything a batch item depends on; items made with an older recipe are outdated
+    const batchRecipe = useMemo(() => ({
+        settings: ditherSettings, source: sourceSettings, format: bitmapFormat, exportScale,
+        extractPalette: mode === 'color' && batchPalette === 'PER IMAGE'
+            ? { method: paletteMethod, count: paletteSize, sampleSize: paletteSampleSize, options: { colorMetric, seed: paletteSeed } }
+            : null
+    }), [ditherSettings, sourceSettings, bitmapFormat, exportScale, mode, batchPalette, paletteMethod, paletteSize, paletteSampleSize, colorMetric, paletteSeed]);
+
+    const addBatchFiles = (files) => {
+        const items = sortFiles(files.filter(isBatchImage)).map(createBatchItem);
+        if (items.length) setBatchItems(prev => [...prev, ...items]);
+    };
+
+    const handleBatchUpload = (e) => {
+        addBatchFiles(Array.from(e.target.files));
+        e.target.value = '';
+    };
+
+    const handleBatchDrop = (e) => {
+        e.preventDefault();
+        setBatchDragOver(false);
+        const addFailed = (failed) => setBatchItems(prev => [...prev, ...failed.map(f => createFailedBatchItem(f.name, f.error))]);
+        collectDroppedFiles(e.dataTransfer)
+            .then(({ files, failed }) => {
+                addBatchFiles(files);
+                if (failed.length) addFailed(failed);
+            })
+            .catch((err) => addFailed([{ name: 'Dropped files', error: err.message || 'Could not read the drop' }]));
+    };
+
+    const updateBatchItem = (id, changes) => setBatchItems(items => items.map(it => (it.id === id ? { ...it, ...changes } : it)));
+
+    const removeBatchItem = (id) => setBatchItems(items => items.filter(it => {
+        if (it.id === id) URL.revokeObjectURL(it.sourceUrl);
+        return it.id !== id;
+    }));
+
+    const clearBatch = () => {
+        batchItems.forEach(it => URL.revokeObjectURL(it.sourceUrl));
+        setBatchItems([]);
+    };
+
+    // Small preview of a result for the queue grid
+    const batchThumbnail = (canvas) => {
+        const scale = Math.min(1, 96 / Math.max(canvas.width, canvas.height));
+        const thumb = document.createElement('canvas');
+        thumb.width = Math.max(1, Math.round(canvas.width * scale));
+        thumb.height = Math.max(1, Math.round(canvas.height * scale));
+        thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+        return thumb.toDataURL();
+    };
+
+    const processBatchItem = async (item, recipe) => {
+        const client = batchClientRef.current;
+        // Decoded only when the prepared source isn't cached or a palette is extracted
+        let pixels = null;
+        const decode = async () => {
+            if (!pixels) {
+                const bitmap = await createImageBitmap(item.file, DECODE_OPTIONS);
+                pixels = readPixels(bitmap);
+                bitmap.close();
+            }
+            return pixels;
+        };
+        const prepared = await batchPrepareRef.current(item.file, recipe.source, async () => prepareSource(await decode(), recipe.source));
+        const { width: ditherW, height: ditherH } = prepared;
+        let settings = recipe.settings;
+        if (recipe.extractPalette) {
+            const { method, count, sampleSize, options } = recipe.extractPalette;
+            const colors = await client.extractPalette(samplePixels(await decode(), sampleSize), method, count, options);
+            if (!colors) return false; // Stopped
+            if (colors.length) settings = { ...settings, palette: colors };
+        }
+
+        const result = await client.run({ ...prepared, data: prepared.data.slice() }, settings, (progress) => updateBatchItem(item.id, { progress }));
+        if (!result) return false; // Stopped
+
+        const native = recipe.exportScale === 'NATIVE';
+        const width = native ? ditherW : prepared.outputWidth;
+        const height = native ? ditherH : prepared.outputHeight;
+        const { indices, palette: colors, transparentIndex } = scaleIndexedImage(result, width, height);
+        const name = item.file.name.replace(/\.[^.]+$/, '') || 'bitmap';
+        const bytes = await client.encodeBitmap(recipe.format, { indices, palette: colors, width, height, transparentIndex }, name);
+
+        const thumbnail = batchThumbnail(resultCanvas(result.data, ditherW, ditherH));
+        updateBatchItem(item.id, { status: 'done', progress: 1, bytes, format: recipe.format, recipe, resultUrl: thumbnail });
+        return true;
+    };
+
+    // Runs queued, failed and outdated items with the recipe as it is now
+    const runBatch = async () => {
+        const recipe = batchRecipe;
+        // Unreadable drops have no file to retry
+        const queue = batchItems.filter(it => it.file && (it.status !== 'done' || it.recipe !== recipe));
+        batchStopRef.current = false;
+        setBatchRunning(true);
+        for (const item of queue) {
+            if (batchStopRef.current) break;
+            updateBatchItem(item.id, { status: 'processing', progress: 0, error: null });
+            try {
+                if (!(await processBatchItem(item, recipe))) break;
+            } catch (e) {
+                updateBatchItem(item.id, { status: 'error', error: e.message || 'Could not read image' });
+            }
+        }
+        setBatchItems(items => items.map(it => (it.status === 'processing' ? { ...it, status: 'queued', progress: 0 } : it)));
+        setBatchRunning(false);
+    };
+
+    const stopBatch = () => {
+        batchStopRef.current = true;
+        batchClientRef.current.cancel();
+        batchClientRef.current.cancelPalette();
+    };
+
+    const batchDone = batchItems.filter(it => it.status === 'done');
+    const batchOutdated = batchDone.filter(it => it.recipe !== batchRecipe).length;
+    const batchErrors = batchItems.filter(it => it.status === 'error').length;
+
+    // Named after the sources; PNG and GIF are already compressed, so they're stored
+    const downloadBatchZip = () => {
+        if (batchDone.length === 0) return;
+        const used = new Set();
+        const entries = batchDone.map(it => ({
+            name: batchOutputName(it.file.name, BITMAP_FORMATS[it.format].ext, used),
+            data: it.bytes,
+            compress: it.format !== 'PNG' && it.format !== 'GIF'
+        }));
+        downloadBlob(new Blob([writeZip(entries)], { type: 'application/zip' }), `bitmap_batch_${Date.now()}.zip`);
+    };
+
+    // --- RECIPES ---
+
+    // Every setting that affects the look; B&W recipes leave the palette at its default
+    const recipeSettings = useMemo(() => ({
+        mode, outputWidth, outputHeight, fitMode, background, rotate, flipH, flipV, crop, pixelSize, pixelAspect, threshold, blur, colorDepth, ...toneSettings, ditherMethod, customKernelText, customKernelDivisor,
+        serpentine, diffusionStrength, errorClamp, noiseSize, noiseSeed, bayerSize, screenSize, screenAngle, orderedStrength,
+        paletteMethod, paletteSize, paletteSampleSize, paletteSeed, colorMetric, linearLight, alphaMode, alphaThreshold, matteColor, transparentIndex,
+        grayLevelCount, grayLevelsText, grayTint, grayRamp, hardwareMode, tileWidth, tileHeight, tileColors,
+        ...(mode === 'color' ? { palette, paletteName, paletteExtracted: activePaletteKey === 'EXTRACTED' } : {}),
+        temporalMode, temporalThreshold, temporalBlend
+    }), [mode, outputWidth, outputHeight, fitMode, background, rotate, flipH, flipV, crop, pixelSize, pixelAspect, threshold, blur, colorDepth, toneSettings, ditherMethod, customKernelText, customKernelDivisor, serpentine, diffusionStrength, errorClamp, noiseSize, noiseSeed, bayerSize, screenSize, screenAngle, orderedStrength, paletteMethod, paletteSize, paletteSampleSize, paletteSeed, colorMetric, linearLight, alphaMode, alphaThreshold, matteColor, transparentIndex, grayLevelCount, grayLevelsText, grayTint, grayRamp, hardwareMode, tileWidth, tileHeight, tileColors, palette, paletteName, activePaletteKey, temporalMode, temporalThreshold, temporalBlend]);
+
+    const recipeSetters = {
+        mode: setMode, outputWidth: setOutputWidth, outputHeight: setOutputHeight, fitMode: setFitMode, background: setBackground,
+        rotate: setRotate, flipH: setFlipH, flipV: setFlipV, crop: setCrop, pixelSize: setPixelSize, threshold: setThreshold, blur: setBlur,
+        colorDepth: setColorDepth, ...toneSetters, ditherMethod: setDitherMethod, customKernelText: setCustomKernelText,
+        customKernelDivisor: setCustomKernelDivisor, serpentine: setSerpentine, diffusionStrength: setDiffusionStrength,
+        errorClamp: setErrorClamp, noiseSize: setNoiseSize, noiseSeed: setNoiseSeed, bayerSize: setBayerSize,
+        screenSize: setScreenSize, screenAngle: setScreenAngle, orderedStrength: setOrderedStrength,
+        paletteMethod: setPaletteMethod, paletteSize: setPaletteSize, paletteSampleSize: setPaletteSampleSize,
+        paletteSeed: setPaletteSeed, colorMetric: setColorMetric, linearLight: setLinearLight,
+        alphaMode: setAlphaMode, alphaThreshold: setAlphaThreshold, matteColor: setMatteColor, transparentIndex: setTransparentIndex,
+        grayLevelCount: setGrayLevelCount, grayLevelsText: setGrayLevelsText, grayTint: setGrayTint, grayRamp: setGrayRamp,
+        hardwareMode: setHardwareMode, tileWidth: setTileWidth, tileHeight: setTileHeight, tileColors: setTileColors, pixelAspect: setPixelAspect,
+        temporalMode: setTemporalMode, temporalThreshold: setTemporalThreshold, temporalBlend: setTemporalBlend
+    };
+
+    // result: from parseRecipe / decodeRecipeHash. `source` names it in messages.
+    const applyRecipeResult = (result, source) => {
+        if (result.error) {
+            setRecipeMessage({ error: true, text: `${source}: ${result.error}` });
+            return false;
+        }
+        const { name, settings } = result.recipe;
+        Object.entries(recipeSetters).forEach(([key, set]) => set(settings[key]));
+
+        // Extracted palettes come from the loaded image; fixed ones are pinned
+        // so extraction doesn't replace them until its settings change
+        pinnedPaletteRef.current = null;
+        if (settings.mode === 'color' && settings.paletteExtracted) {
+            if (palettePixels) { setPalette(savedPalette); setPaletteName('Extracted Palette'); }
+        } else if (settings.mode === 'color') {
+            setPalette(settings.palette);
+            setPaletteName(settings.paletteName);
+            pinnedPaletteRef.current = JSON.stringify([settings.paletteMethod, settings.paletteSize, settings.paletteSampleSize, settings.paletteSeed, settings.colorMetric]);
+        }
+
+        const notes = [...result.warnings];
+        if (settings.ditherMethod === 'THRESHOLD_MAP' && !thresholdMap) notes.push('Upload a threshold map; recipes don\'t include it');
+        setRecipeMessage({ error: false, text: [`Loaded ${name || source}`, ...notes].join('. ') });
+        if (name) setRecipeName(name);
+        return true;
+    };
+    applyRecipeResultRef.current = applyRecipeResult;
+
+    // Shared links: #recipe=... is applied on load and whenever the hash changes
+    useEffect(() => {
+        const readHash = () => {
+            const result = decodeRecipeHash(window.location.hash);
+            if (result) applyRecipeResultRef.current(result, 'Link');
+        };
+        readHash();
+        window.addEventListener('hashchange', readHash);
+        return () => window.removeEventListener('hashchange', readHash);
+    }, []);
+
+    // ...and kept in sync with the settings without adding history entries
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            const hash = encodeRecipeHash(recipeSettings);
+            const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+            if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) window.history.replaceState(null, '', url);
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [recipeSettings]);
+
+    useEffect(() => {
+        setRecipeLibraryError(saveRecipeLibrary(recipeLibrary) ? null : 'Could not store recipes in this browser');
+    }, [recipeLibrary]);
+
+    const handleRecipeUpload = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => applyRecipeResult(parseRecipe(event.target.result), file.name);
+        reader.onerror = () => setRecipeMessage({ error: true, text: `${file.name}: Could not read file` });
+        reader.readAsText(file);
+    };
+
+    const exportRecipe = () => {
+        const recipe = createRecipe(recipeSettings, recipeName.trim());
+        downloadBlob(new Blob([JSON.stringify(recipe, null, 2)], { type: 'application/json' }), `recipe_${Date.now()}.json`);
+    };
+
+    const copyRecipeLink = async () => {
+        const hash = encodeRecipeHash(recipeSettings, recipeName.trim());
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            setRecipeMessage({ error: false, text: 'Link copied' });
+        } catch (e) {
+            setRecipeMessage({ error: true, text: 'Could not copy the link' });
+        }
+    };
+
+    // Saving under an existing name replaces that recipe
+    const saveRecipe = () => {
+        const name = recipeName.trim() || 'Untitled Recipe';
+        const recipe = createRecipe(recipeSettings, name);
+        const existing = recipeLibrary.find(r => r.name === name);
+        setRecipeLibrary(existing
+            ? recipeLibrary.map(r => r.id === existing.id ? { ...r, recipe } : r)
+            : [...recipeLibrary, { id: createRecipeId(), name, recipe }]);
+        setRecipeName(name);
+        setRecipeMessage({ error: false, text: `Saved ${name}` });
+    };
+
+    const loadLibraryRecipe = (entry) => applyRecipeResult(parseRecipe(entry.recipe), entry.name);
+
+    const deleteLibraryRecipe = (id) => setRecipeLibrary(recipeLibrary.filter(r => r.id !== id));
+
+    // --- HISTORY ---
+
+    // Everything undoable: the recipe settings plus the exact palette
+    const historySnapshot = useMemo(() => ({
+        ...Object.fromEntries(Object.keys(recipeSetters).map(key => [key, recipeSettings[key]])),
+        palette, paletteName
+    }), [recipeSettings, palette, paletteName]);
+    const historySnapshotKey = JSON.stringify(historySnapshot);
+
+    // Records a step once the settings have been still for a moment
+    useEffect(() => {
+        if (!history) {
+            setHistory({ entries: [{ snapshot: historySnapshot, label: 'START' }], index: 0 });
+            return;
+        }
+        const timer = setTimeout(() => {
+            setHistory(h => {
+                const current = h.entries[h.index].snapshot;
+                if (JSON.stringify(current) === historySnapshotKey) return h;
+                const entries = [...h.entries.slice(0, h.index + 1), { snapshot: historySnapshot, label: describeChange(current, historySnapshot) }].slice(-MAX_HISTORY);
+                return { entries, index: entries.length - 1 };
+            });
+        }, HISTORY_COALESCE_MS);
+        return () => clearTimeout(timer);
+    }, [historySnapshotKey]);
+
+    // Palettes are restored as they were; extraction only runs again if its
+    // settings differ from the restored ones
+    const restoreSnapshot = (snapshot) => {
+        Object.entries(recipeSetters).forEach(([key, set]) => set(snapshot[key]));
+        setPalette(snapshot.palette);
+        setPaletteName(snapshot.paletteName);
+        const extractionKey = (s) => JSON.stringify([s.paletteMethod, s.paletteSize, s.paletteSampleSize, s.paletteSeed, s.colorMetric]);
+        if (snapshot.mode === 'color' && (extractionKey(snapshot) !== extractionKey(historySnapshot) || historySnapshot.mode !== 'color')) {
+            pinnedPaletteRef.current = extractionKey(snapshot);
+        }
+    };
+
+    const goToHistory = (index) => {
+        if (!history || index < 0 || index >= history.entries.length) return;
+        restoreSnapshot(history.entries[index].snapshot);
+        setHistory({ ...history, index });
+    };
+
+    // A change still waiting to be recorded is undone first
+    const undo = () => {
+        if (!history) return;
+        const current = history.entries[history.index].snapshot;
+        if (JSON.stringify(current) !== historySnapshotKey) restoreSnapshot(current);
+        else goToHistory(history.index - 1);
+    };
+
+    const redo = () => {
+        if (history && JSON.stringify(history.entries[history.index].snapshot) === historySnapshotKey) goToHistory(history.index + 1);
+    };
+
+    historyKeysRef.current = { undo, redo };
+
+    // Ctrl/Cmd+Z, Shift+Z and Ctrl+Y; text fields keep their own undo
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const { tagName, type } = e.target;
+            if (tagName === 'TEXTAREA' || (tagName === 'INPUT' && ['text', 'number', 'search'].includes(type))) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) historyKeysRef.current.undo();
+            else if ((key === 'z' && e.shiftKey) || key === 'y') historyKeysRef.current.redo();
+            else return;
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, []);
+
+    // --- COMPARE ---
+
+    // One cell per dither method, or per palette (presets, saved and extracted)
+    const compareVariants = useMemo(() => {
+        if (compareBy === 'METHODS') {
+            return Object.entries(DITHER_METHODS)
+                .filter(([key]) => key !== 'THRESHOLD_MAP' || thresholdMap)
+                .map(([key, name]) => ({ key, name, settings: { ditherMethod: key } }));
+        }
+        const palettes = [
+            ...(mode === 'color' ? [{ key: 'EXTRACTED', name: 'Extracted Palette', colors: savedPalette }] : []),
+            ...Object.entries(PALETTE_PRESETS).map(([key, p]) => ({ key, name: p.name, colors: p.colors })),
+            ...paletteLibrary.map(p => ({ key: `user:${p.id}`, name: p.name, colors: p.colors }))
+        ];
+        return palettes.map(p => ({ ...p, settings: { mode: 'color', palette: p.colors } }));
+    }, [compareBy, thresholdMap, mode, savedPalette, paletteLibrary]);
+
+    // Cells render one at a time on their own worker and fill in as they finish
+    useEffect(() => {
+        if (viewMode !== 'COMPARE' || !sourcePixels) return;
+        const client = compareClientRef.current;
+        let stale = false;
+        setCompareCells(compareVariants.map(v => ({ key: v.key, name: v.name, url: null })));
+        const timer = setTimeout(async () => {
+            const prepared = prepareCacheRef.current(sourcePixels, sourceSettings, () => prepareSource(sourcePixels, sourceSettings));
+            for (let i = 0; i < compareVariants.length; i++) {
+                try {
+                    const result = await client.run({ ...prepared, data: prepared.data.slice() }, { ...ditherSettings, ...compareVariants[i].settings });
+                    if (stale || !result) return;
+                    const url = resultCanvas(result.data, result.width, result.height).toDataURL();
+                    setCompareCells(cells => cells.map((c, k) => (k === i ? { ...c, url } : c)));
+                } catch (e) { }
+            }
+        }, 200);
+        return () => { stale = true; clearTimeout(timer); client.cancel(); };
+    }, [viewMode, compareVariants, sourcePixels, sourceSettings, ditherSettings]);
+
+    const compareActiveKey = compareBy === 'METHODS' ? ditherMethod : mode === 'color' ? activePaletteKey : null;
+
+    const pickCompareCell = (key) => {
+        const variant = compareVariants.find(v => v.key === key);
+        if (!variant) return;
+        if (compareBy === 'METHODS') {
+            setDitherMethod(key);
+        } else {
+            // Switching to color would re-extract over the picked palette
+            if (mode !== 'color') pinnedPaletteRef.current = JSON.stringify([paletteMethod, paletteSize, paletteSampleSize, paletteSeed, colorMetric]);
+            setMode('color');
+            setPalette(variant.colors);
+            setPaletteName(variant.name);
+        }
+        setViewMode('RESULT');
+    };
+
+    const viewSize = useMemo(() => {
+        if (!image) return null;
+        const size = transformedSize(image.width, image.height, { rotate, crop });
+        return ditherSize(size.width, size.height, outputWidth, pixelSize, outputHeight, pixelAspect);
+    }, [image, rotate, crop, outputWidth, pixelSize, outputHeight, pixelAspect]);
+
+    // The split view compares against the transformed source before tone and
+    // blur, so only the geometry settings redraw it
+    const beforeCanvas = useMemo(() => {
+        if (viewMode !== 'SPLIT' || !sourcePixels) return null;
+        const before = prepareSource(sourcePixels, { outputWidth, outputHeight, fitMode, background, pixelSize: 1, pixelAspect, rotate, flipH, flipV, crop });
+        return resultCanvas(before.data, before.width, before.height);
+    }, [viewMode, sourcePixels, outputWidth, outputHeight, fitMode, background, pixelAspect, rotate, flipH, flipV, crop]);
+
+    // --- SOURCE TRANSFORM ---
+
+    // Rotates what's shown; with one flip active the stored rotation runs the
+    // other way. The crop turns with the view.
+    const rotateView = (direction) => {
+        const step = flipH !== flipV ? -direction : direction;
+        setRotate((rotate + step * 90 + 360) % 360);
+        if (crop) {
+            setCrop(direction > 0
+                ? { x: 1 - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width }
+                : { x: crop.y, y: 1 - crop.x - crop.width, width: crop.height, height: crop.width });
+        }
+    };
+
+    const flipView = (horizontal) => {
+        if (horizontal) setFlipH(!flipH);
+        else setFlipV(!flipV);
+        if (crop) {
+            setCrop(horizontal ? { ...crop, x: 1 - crop.x - crop.width } : { ...crop, y: 1 - crop.y - crop.height });
+        }
+    };
+
+    const resetTransform = () => {
+        setRotate(0);
+        setFlipH(false);
+        setFlipV(false);
+        setCrop(null);
+    };
+
+    const cropSize = image && crop && (() => {
+        const oriented = orientedSize(image.width, image.height, rotate);
+        return cropPixels(oriented.width, oriented.height, crop);
+    })();
+
+    const outputPresetKey = Object.keys(OUTPUT_PRESETS).find(k => OUTPUT_PRESETS[k].width === outputWidth && OUTPUT_PRESETS[k].height === outputHeight) || 'CUSTOM';
+
+    // Device sizes are physical pixels, so presets also set the bit size to 1
+    const selectOutputPreset = (key) => {
+        const preset = OUTPUT_PRESETS[key];
+        if (!preset) return;
+        setOutputWidth(preset.width);
+        setOutputHeight(preset.height);
+        setPixelSize(1);
+    };
+
+    // Hardware presets bring their palette, pixel shape and native resolution;
+    // the output width is in square pixels, so wide pixels take more of it
+    const selectHardwareMode = (key) => {
+        setHardwareMode(key);
+        const preset = HARDWARE_MODES[key];
+        if (!preset.palette) return;
+        if (mode !== 'color') pinnedPaletteRef.current = JSON.stringify([paletteMethod, paletteSize, paletteSampleSize, paletteSeed, colorMetric]);
+        setMode('color');
+        selectPalette(preset.palette);
+        setPixelAspect(preset.pixelAspect);
+        setOutputWidth(Math.round(preset.width * preset.pixelAspect));
+        setOutputHeight(preset.height);
+        setPixelSize(1);
+    };
+
+    const hardwareError = processedData && hardwareExportError(hardwareFormat, processedData);
 
-    useEffect(() => { processImage(); }, [processImage]);
+    const downloadHardware = () => {
+        if (!processedData || hardwareError) return;
+        const format = HARDWARE_EXPORTS[hardwareFormat];
+        const bytes = encodeHardware(hardwareFormat, processedData, fileName.replace(/\.[^.]+$/, '') || 'bitmap');
+        downloadBlob(new Blob([bytes], { type: format.mime }), `bitmap_${Date.now()}.${format.ext}`);
+    };
 
-    const downloadPNG = () => {
-        if (!previewUrl) return;
-        const link = document.createElement('a');
-        link.download = `bitmap_${Date.now()}.png`;
-        link.href = previewUrl;
-        link.click();
+    const downloadAnimation = async () => {
+        if (!sequence) return;
+        const format = ANIMATION_FORMATS[animationFormat];
+        const width = exportScale === 'NATIVE' ? sequence.width : sequence.outputWidth;
+        const height = exportScale === 'NATIVE' ? sequence.height : sequence.outputHeight;
+        const scaled = sequence.frames.map(({ indices, delay }) => ({
+            indices: scaleIndexedImage({ indices, width: sequence.width, height: sequence.height }, width, height).indices,
+            delay
+        }));
+        const name = fileName.replace(/\.[^.]+$/, '') || 'frame';
+        setAnimationError(null);
+        try {
+            const bytes = await ditherClientRef.current.encodeAnimation(animationFormat, scaled, sequence.palette, width, height, name, sequence.transparentIndex);
+            downloadBlob(new Blob([bytes], { type: format.mime }), `bitmap_${Date.now()}.${format.ext}`);
+        } catch (e) {
+            setAnimationError(`${format.ext.toUpperCase()} export failed: ${e.message}`);
+        }
     };
 
-    const downloadSVG = () => {
+    // Vector export is rebuilt in the background so its size is known before download
+    useEffect(() => {
+        setSvgExport(null);
+        setSvgError(null);
         if (!processedData) return;
-        const { data, width, height } = processedData;
-        const colorGroups = {};
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const idx = (y * width + x) * 4;
-                const r = data[idx], g = data[idx + 1], b = data[idx + 2], a = data[idx + 3];
-                if (a === 0) continue;
-                const hex = "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
-                if (!colorGroups[hex]) colorGroups[hex] = [];
-                colorGroups[hex].push(`<rect x="${x}" y="${y}" width="1" height="1" />`);
-            }
-        }
-        let svgContent = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`;
-        Object.keys(colorGroups).forEach(color => {
-            svgContent += `<g fill="${color}">` + colorGroups[color].join('') + `</g>`;
-        });
-        svgContent += `</svg>`;
-        const blob = new Blob([svgContent], { type: 'image/svg+xml' });
+        let stale = false;
+        const timer = setTimeout(() => {
+            const { data, width, height, outputWidth: w, outputHeight: h } = processedData;
+            ditherClientRef.current.buildSvg(data, width, height, { mode: svgMode, outputWidth: w, outputHeight: h })
+                .then(({ svg, elementCount }) => {
+                    if (stale) return;
+                    const blob = new Blob([svg], { type: 'image/svg+xml' });
+                    setSvgExport({ blob, elementCount });
+                })
+                .catch((err) => { if (!stale) setSvgError(err.message || 'Could not build SVG'); });
+        }, 300);
+        return () => { stale = true; clearTimeout(timer); };
+    }, [processedData, svgMode]);
+
+    const downloadBlob = (blob, filename) => {
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
-        link.download = `bitmap_${Date.now()}.svg`;
+        link.download = filename;
         link.href = url;
         link.click();
         URL.revokeObjectURL(url);
     };
 
+    // Indexed export from the engine result, at dither resolution or pixelSize-scaled
+    const exportSize = processedData && (exportScale === 'NATIVE'
+        ? { width: processedData.width, height: processedData.height }
+        : { width: processedData.outputWidth, height: processedData.outputHeight });
+
+    // Only generated while the code panel is open; large RGB565 arrays are big strings
+    const codeExport = useMemo(() => {
+        if (!codeOpen || !processedData) return null;
+        const image = scaleIndexedImage(processedData, exportSize.width, exportSize.height);
+        const name = fileName.replace(/\.[^.]+$/, '') || 'bitmap';
+        return generateCode(image, { format: codeFormat, encoding: codeEncoding, packing: codePacking, bitOrder: codeBitOrder, invert: codeInvert, name });
+    }, [codeOpen, processedData, exportScale, fileName, codeFormat, codeEncoding, codePacking, codeBitOrder, codeInvert]);
+
+    const downloadCode = () => {
+        if (!codeExport) return;
+        downloadBlob(new Blob([codeExport.code], { type: 'text/plain' }), `bitmap_${Date.now()}.${CODE_FORMATS[codeFormat].ext}`);
+    };
+
+    // Printers get the pixelSize-scaled image: one output pixel per dot
+    const printerJob = useMemo(() => {
+        if (!printerOpen || !processedData) return null;
+        const image = scaleIndexedImage(processedData, processedData.outputWidth, processedData.outputHeight);
+        return encodePrinterJob(printerLanguage, image, { cut: printerCut });
+    }, [printerOpen, processedData, printerLanguage, printerCut]);
+
+    const downloadPrinterJob = () => {
+        if (!printerJob) return;
+        downloadBlob(new Blob([printerJob], { type: 'application/octet-stream' }), `bitmap_${printerLanguage.toLowerCase()}_${Date.now()}.bin`);
+    };
+
+    const downloadBitmap = async () => {
+        if (!processedData) return;
+        const format = BITMAP_FORMATS[bitmapFormat];
+        const image = scaleIndexedImage(processedData, exportSize.width, exportSize.height);
+        const { indices, palette, width, height, transparentIndex } = image;
+        setBitmapExportError(null);
+        try {
+            const bytes = await ditherClientRef.current.encodeBitmap(bitmapFormat, { indices, palette, width, height, transparentIndex }, 'bitmap');
+            downloadBlob(new Blob([bytes], { type: format.mime }), `bitmap_${Date.now()}.${format.ext}`);
+        } catch (e) {
+            setBitmapExportError(`${format.ext.toUpperCase()} export failed: ${e.message}`);
+        }
+    };
+
+    const downloadSVG = () => {
+        if (!svgExport) return;
+        downloadBlob(svgExport.blob, `bitmap_${Date.now()}.svg`);
+    };
+
     return (
         <div className="min-h-screen bg-[#F1F3EB] text-[#111] font-mono flex flex-col md:flex-row overflow-hidden">
             <style>{`
@@ -621,7 +1595,7 @@ export default function App() {
                         <InfoCard
                             title="SOURCE FILE"
                             value={truncateFilename(fileName)}
-                            sub={image ? `${image.width}x${image.height}px` : "Empty"}
+                            sub={image ? `${image.width}x${image.height}px${frames ? ` · ${frames.length} frames` : ''}` : "Empty"}
                             action={
                                 <button onClick={() => fileInputRef.current.click()} className="mt-auto self-start border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
                                     {image ? 'Replace' : 'Upload'}
@@ -629,17 +1603,36 @@ export default function App() {
                             }
                         />
                         <InfoCard
-                            title="OUTPUT WIDTH"
-                            value={`${outputWidth}px`}
+                            title="OUTPUT SIZE"
+                            value={`${outputWidth}×${outputHeight || 'AUTO'}`}
                             action={
-                                <div className="flex gap-2 mt-auto">
-                                    <button onClick={() => setOutputWidth(w => Math.max(100, w - 50))} className="w-8 h-8 rounded-full border border-black flex items-center justify-center hover:bg-black hover:text-white transition-colors"><Minus size={12} /></button>
-                                    <button onClick={() => setOutputWidth(w => Math.min(2000, w + 50))} className="w-8 h-8 rounded-full border border-black flex items-center justify-center hover:bg-black hover:text-white transition-colors"><Plus size={12} /></button>
+                                <div className="flex flex-col gap-2 mt-auto">
+                                    <div className="flex items-center gap-1">
+                                        <input
+                                            type="number" min={1} max={20000} value={outputWidth}
+                                            onChange={(e) => { const v = parseInt(e.target.value, 10); if (v >= 1) setOutputWidth(Math.min(20000, v)); }}
+                                            className="w-full min-w-0 bg-transparent border border-black rounded-full px-2 py-1 text-[10px] font-mono outline-none"
+                                            title="Width"
+                                        />
+                                        <span className="text-[10px] font-bold">×</span>
+                                        <input
+                                            type="number" min={0} max={20000} value={outputHeight || ''} placeholder="AUTO"
+                                            onChange={(e) => { const v = parseInt(e.target.value, 10); setOutputHeight(v >= 1 ? Math.min(20000, v) : 0); }}
+                                            className="w-full min-w-0 bg-transparent border border-black rounded-full px-2 py-1 text-[10px] font-mono outline-none"
+                                            title="Height (empty follows the image)"
+                                        />
+                                    </div>
+                                    <select value={outputPresetKey} onChange={(e) => selectOutputPreset(e.target.value)} className="bg-transparent border border-black rounded-full px-2 py-1 font-bold text-[10px] uppercase cursor-pointer">
+                                        <option value="CUSTOM">Custom</option>
+                                        {Object.entries(OUTPUT_PRESETS).map(([key, p]) => <option key={key} value={key}>{p.name}</option>)}
+                                    </select>
                                 </div>
                             }
                         />
                     </div>
 
+                    {uploadError && <div className="text-[10px] font-mono text-red-600 mb-4 px-1">{uploadError}</div>}
+
                     {/* New Bit Size / Block Size Slider Card */}
                     <div className="mb-8">
                         <SliderCard
@@ -651,7 +1644,321 @@ export default function App() {
                         />
                     </div>
 
-                    <input ref={fileInputRef} type="file" className="hidden" onChange={handleImageUpload} />
+                    {/* Source transform: rotation, flips, crop and fitting to an explicit size */}
+                    <div className="mb-8">
+                        <div className="flex items-center justify-between mb-2 px-1">
+                            <span className="text-[10px] font-bold uppercase text-gray-500 tracking-widest">+ SOURCE</span>
+                            <button onClick={resetTransform} className="text-[10px] font-bold uppercase underline hover:no-underline">Reset</button>
+                        </div>
+                        <div className="border-t border-black">
+                            <ToggleRow
+                                label="ROTATE"
+                                value={`${rotate}°`}
+                                control={
+                                    <div className="flex gap-2">
+                                        <button onClick={() => rotateView(-1)} className="w-8 h-8 rounded-full border border-black flex items-center justify-center hover:bg-black hover:text-white transition-colors" title="Rotate left"><RotateCcw size={12} /></button>
+                                        <button onClick={() => rotateView(1)} className="w-8 h-8 rounded-full border border-black flex items-center justify-center hover:bg-black hover:text-white transition-colors" title="Rotate right"><RotateCw size={12} /></button>
+                                    </div>
+                                }
+                            />
+                            <ToggleRow
+                                label="FLIP"
+                                control={
+                                    <div className="flex gap-2">
+                                        <button onClick={() => flipView(true)} className={`w-8 h-8 rounded-full border border-black flex items-center justify-center transition-colors ${flipH ? 'bg-black text-white' : 'hover:bg-black/5'}`} title="Flip horizontally"><FlipHorizontal2 size={12} /></button>
+                                        <button onClick={() => flipView(false)} className={`w-8 h-8 rounded-full border border-black flex items-center justify-center transition-colors ${flipV ? 'bg-black text-white' : 'hover:bg-black/5'}`} title="Flip vertically"><FlipVertical2 size={12} /></button>
+                                    </div>
+                                }
+                            />
+                            <ToggleRow
+                                label="CROP"
+                                subLabel={cropSize ? `${cropSize.width}x${cropSize.height}px` : 'Full image'}
+                                control={
+                                    <div className="flex gap-2">
+                                        {crop && (
+                                            <button onClick={() => setCrop(null)} className="border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">Clear</button>
+                                        )}
+                                        <button onClick={() => setViewMode(viewMode === 'CROP' ? 'RESULT' : 'CROP')} disabled={!image} className={`border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase transition-colors disabled:opacity-50 disabled:pointer-events-none ${viewMode === 'CROP' ? 'bg-black text-white' : 'hover:bg-black hover:text-white'}`}>
+                                            {viewMode === 'CROP' ? 'Done' : 'Edit'}
+                                        </button>
+                                    </div>
+                                }
+                            />
+                            {outputHeight > 0 && (
+                                <ToggleRow
+                                    label="FIT"
+                                    subLabel={`Into ${outputWidth}x${outputHeight}`}
+                                    control={
+                                        <select value={fitMode} onChange={(e) => setFitMode(e.target.value)} className="bg-transparent border border-black rounded-full px-3 py-1 font-bold text-[10px] uppercase cursor-pointer">
+                                            {Object.entries(FIT_MODES).map(([key, name]) => <option key={key} value={key}>{name}</option>)}
+                                        </select>
+                                    }
+                                />
+                            )}
+                            {outputHeight > 0 && fitMode === 'FIT' && (
+                                <ToggleRow
+                                    label="BACKGROUND"
+                                    subLabel="Letterbox fill"
+                                    value={background.toUpperCase()}
+                                    control={<input type="color" value={background} onChange={(e) => setBackground(e.target.value.toUpperCase())} className="w-8 h-8 rounded-full border border-black cursor-pointer bg-transparent" />}
+                                />
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Tone: histogram, curve and adjustments applied before dithering */}
+                    <div className="mb-8">
+                        <div className="flex items-center justify-between mb-2 px-1">
+                            <span className="text-[10px] font-bold uppercase text-gray-500 tracking-widest">+ TONE</span>
+                            <button onClick={resetTone} className="text-[10px] font-bold uppercase underline hover:no-underline">Reset</button>
+                        </div>
+                        <div className="grid grid-cols-2 gap-4 mb-4">
+                            <div className="flex flex-col gap-2">
+                                <span className="text-[10px] font-bold uppercase tracking-wider">Curve</span>
+                                <CurveEditor points={toneCurve} onChange={setToneCurve} />
+                            </div>
+                            <div className="flex flex-col gap-2">
+                                <span className="text-[10px] font-bold uppercase tracking-wider">Histogram</span>
+                                {toneHistograms ? (
+                                    <Histogram source={toneHistograms.source} adjusted={toneHistograms.adjusted} />
+                                ) : (
+                                    <div className="w-full h-24 border border-black rounded-[0.75rem] flex items-center justify-center font-mono text-[10px] text-gray-500">NO IMAGE</div>
+                                )}
+                                <span className="font-mono text-[10px] text-gray-500">Light: source · Dark: adjusted</span>
+                            </div>
+                        </div>
+                        <div className="border-t border-black">
+                            <ToggleRow
+                                label="BRIGHTNESS"
+                                value={brightness}
+                                control={<RangeSlider value={brightness} min={-100} max={100} onChange={setBrightness} />}
+                            />
+                            <ToggleRow
+                                label="CONTRAST"
+                                value={contrast}
+                                control={<RangeSlider value={contrast} min={-100} max={100} onChange={setContrast} />}
+                            />
+                            <ToggleRow
+                                label="GAMMA"
+                                subLabel="Above 1 lifts midtones"
+                                value={gamma.toFixed(2)}
+                                control={<RangeSlider value={Math.round(gamma * 100)} min={10} max={500} onChange={(v) => setGamma(v / 100)} />}
+                            />
+                            <ToggleRow
+                                label="BLACK POINT"
+                                value={blackPoint}
+                                control={<RangeSlider value={blackPoint} min={0} max={254} onChange={(v) => setBlackPoint(Math.min(v, whitePoint - 1))} />}
+                            />
+                            <ToggleRow
+                                label="WHITE POINT"
+                                value={whitePoint}
+                                control={<RangeSlider value={whitePoint} min={1} max={255} onChange={(v) => setWhitePoint(Math.max(v, blackPoint + 1))} />}
+                            />
+                            <ToggleRow
+                                label="SHARPEN"
+                                subLabel="Unsharp mask"
+                                value={sharpenAmount > 0 ? `${sharpenAmount}%` : 'OFF'}
+                                control={<RangeSlider value={sharpenAmount} min={0} max={300} onChange={setSharpenAmount} />}
+                            />
+                            {sharpenAmount > 0 && (
+                                <ToggleRow
+                                    label="RADIUS"
+                                    subLabel="In dither pixels"
+                                    value={sharpenRadius.toFixed(1)}
+                                    control={<RangeSlider value={Math.round(sharpenRadius * 10)} min={5} max={100} onChange={(v) => setSharpenRadius(v / 10)} />}
+                                />
+                            )}
+                            <ToggleRow
+                                label="EDGES"
+                                subLabel="Edge enhancement"
+                                value={edgeAmount > 0 ? `${edgeAmount}%` : 'OFF'}
+                                control={<RangeSlider value={edgeAmount} min={0} max={200} onChange={setEdgeAmount} />}
+                            />
+                        </div>
+                    </div>
+
+                    {/* Alpha: how source transparency becomes 1-bit transparency */}
+                    <div className="mb-8">
+                        <div className="text-[10px] font-bold uppercase text-gray-500 tracking-widest mb-2 px-1">+ ALPHA</div>
+                        <div className="border-t border-black">
+                            <ToggleRow
+                                label="TRANSPARENCY"
+                                subLabel={image && !sourceHasAlpha ? 'Source is fully opaque' : 'Partial alpha handling'}
+                                control={
+                                    <select value={alphaMode} onChange={(e) => setAlphaMode(e.target.value)} className="bg-transparent border border-black rounded-full px-3 py-1 font-bold text-[10px] uppercase cursor-pointer">
+                                        {Object.entries(ALPHA_MODES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                                    </select>
+                                }
+                            />
+                            {alphaMode === 'MATTE' ? (
+                                <ToggleRow
+                                    label="MATTE"
+                                    subLabel="Composited under the source"
+                                    value={matteColor}
+                                    control={<input type="color" value={matteColor} onChange={(e) => setMatteColor(e.target.value.toUpperCase())} className="w-8 h-8 rounded-full border border-black cursor-pointer bg-transparent" />}
+                                />
+                            ) : (
+                                <ToggleRow
+                                    label="ALPHA CUTOFF"
+                                    subLabel={alphaMode === 'THRESHOLD' ? 'Min alpha to draw a pixel' : 'Shifts the dithered coverage'}
+                                    value={alphaThreshold}
+                                    control={<RangeSlider value={alphaThreshold} min={1} max={255} onChange={setAlphaThreshold} />}
+                                />
+                            )}
+                            {mode === 'color' && alphaMode !== 'MATTE' && (
+                                <ToggleRow
+                                    label="TRANSPARENT COLOR"
+                                    subLabel="Reserved for transparent pixels"
+                                    control={
+                                        <div className="flex items-center gap-2">
+                                            {transparentIndex >= 0 && transparentIndex < palette.length && (
+                                                <div className="w-6 h-6 rounded-full border border-black" style={{ backgroundColor: palette[transparentIndex] }}></div>
+                                            )}
+                                            <select value={transparentIndex < palette.length ? transparentIndex : -1} onChange={(e) => setTransparentIndex(Number(e.target.value))} className="bg-transparent border border-black rounded-full px-3 py-1 font-bold text-[10px] uppercase cursor-pointer">
+                                                <option value={-1}>None</option>
+                                                {palette.length > 1 && palette.map((c, i) => <option key={i} value={i}>{i} · {c}</option>)}
+                                            </select>
+                                        </div>
+                                    }
+                                />
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Hardware: per-tile color limits of old machines, and their data formats */}
+                    <div className="mb-8">
+                        <div className="text-[10px] font-bold uppercase text-gray-500 tracking-widest mb-2 px-1">+ HARDWARE</div>
+                        <div className="border-t border-black">
+                            <ToggleRow
+                                label="TILE MODE"
+                                subLabel={hardwareMode !== 'NONE' && mode !== 'color' ? 'Applies in color mode' : 'Colors allowed per tile'}
+                                control={
+                                    <select value={hardwareMode} onChange={(e) => selectHardwareMode(e.target.value)} className="bg-transparent border border-black rounded-full px-3 py-1 font-bold text-[10px] uppercase cursor-pointer">
+                                        {Object.entries(HARDWARE_MODES).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                                    </select>
+                                }
+                            />
+                            {hardwareMode === 'CUSTOM' && (
+                                <>
+                                    <ToggleRow
+                                        label="TILE WIDTH"
+                                        value={tileWidth}
+                                        control={<RangeSlider value={tileWidth} min={1} max={MAX_TILE_SIZE} onChange={setTileWidth} />}
+                                    />
+                                    <ToggleRow
+                                        label="TILE HEIGHT"
+                                        value={tileHeight}
+                                        control={<RangeSlider value={tileHeight} min={1} max={MAX_TILE_SIZE} onChange={setTileHeight} />}
+                                    />
+                                    <ToggleRow
+                                        label="TILE COLORS"
+                                        value={tileColors}
+                                        control={<RangeSlider value={tileColors} min={1} max={MAX_TILE_COLORS} onChange={setTileColors} />}
+                                    />
+                                </>
+                            )}
+                            <ToggleRow
+                                label="PIXEL ASPECT"
+                                subLabel="Pixel width over height"
+                                value={pixelAspect.toFixed(2)}
+                                control={<RangeSlider value={Math.round(pixelAspect * 100)} min={25} max={400} onChange={(v) => setPixelAspect(v / 100)} />}
+                            />
+                            {hardwareMode !== 'NONE' && (
+                                <ToggleRow
+                                    label="TILE EXPORT"
+                                    subLabel={hardwareError || 'For converters and emulators'}
+                                    control={
+                                        <div className="flex items-center gap-2">
+                                            <select value={hardwareFormat} onChange={(e) => setHardwareFormat(e.target.value)} className="bg-transparent border border-black rounded-full px-3 py-1 font-bold text-[10px] uppercase cursor-pointer">
+                                                {Object.entries(HARDWARE_EXPORTS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                                            </select>
+                                            <button
+                                                onClick={downloadHardware}
+                                                disabled={!processedData || !!hardwareError}
+                                                className="border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:pointer-events-none"
+                                            >
+                                                Save
+                                            </button>
+                                        </div>
+                                    }
+                                />
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Animation: frame scrubber, temporal stability and sequence export */}
+                    {frames && (
+                        <div className="mb-8">
+                            <div className="text-[10px] font-bold uppercase text-gray-500 tracking-widest mb-2 px-1">+ ANIMATION</div>
+                            <div className="border-t border-black">
+                                <ToggleRow
+                                    label="PREVIEW FRAME"
+                                    value={`${frameIndex + 1}/${frames.length}`}
+                                    subLabel={`${frames[frameIndex].delay}ms`}
+                                    control={<RangeSlider value={frameIndex + 1} min={1} max={frames.length} onChange={(v) => selectFrame(v - 1)} />}
+                                />
+                                <ToggleRow
+                                    label="TEMPORAL"
+                                    subLabel={isOrderedMethod(ditherMethod) ? 'Ordered patterns are already stable' : 'Reduces error-diffusion flicker'}
+                                    control={
+                                        <select value={temporalMode} onChange={(e) => setTemporalMode(e.target.value)} className="bg-transparent border border-black rounded-full px-3 py-1 font-bold text-[10px] uppercase cursor-pointer">
+                                            {Object.entries(TEMPORAL_MODES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                                        </select>
+                                    }
+                                />
+                                {temporalMode === 'HOLD' && (
+                                    <ToggleRow
+                                        label="HOLD TOLERANCE"
+                                        value={temporalThreshold}
+                                        subLabel="Max source change to keep a pixel"
+                                        control={<RangeSlider value={temporalThreshold} min={0} max={64} onChange={setTemporalThreshold} />}
+                                    />
+                                )}
+                                {temporalMode === 'BLEND' && (
+                                    <ToggleRow
+                                        label="ERROR BLEND"
+                                        value={`${temporalBlend}%`}
+                                        subLabel="Share of previous frame's error"
+                                        control={<RangeSlider value={temporalBlend} min={0} max={100} onChange={setTemporalBlend} />}
+                                    />
+                                )}
+                                <ToggleRow
+                                    label="SEQUENCE"
+                                    value={sequenceProgress !== null ? `${Math.round(sequenceProgress * 100)}%` : sequence ? `${sequence.frames.length} FR` : undefined}
+                                    control={
+                                        <div className="flex gap-2">
+                                            {sequence && (
+                                                <button onClick={() => setPlaying(!playing)} className="w-8 h-8 rounded-full border border-black flex items-center justify-center hover:bg-black hover:text-white transition-colors" title={playing ? 'Pause' : 'Play'}>
+                                                    {playing ? <Pause size={12} /> : <Play size={12} />}
+                                                </button>
+                                            )}
+                                            <button onClick={renderSequence} disabled={sequenceProgress !== null} className="border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:pointer-events-none">
+                                                Render All
+                                            </button>
+                                        </div>
+                                    }
+                                />
+                                <div className="flex items-center gap-2 py-4">
+                                    <select
+                                        value={animationFormat}
+                                        onChange={(e) => setAnimationFormat(e.target.value)}
+                                        className="flex-grow min-w-0 bg-transparent border border-black rounded-full px-3 py-1.5 font-bold text-[10px] uppercase cursor-pointer hover:bg-black/5"
+                                        title="Animation Format"
+                                    >
+                                        {Object.entries(ANIMATION_FORMATS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                                    </select>
+                                    <button onClick={downloadAnimation} disabled={!sequence} className="border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:pointer-events-none flex items-center gap-2">
+                                        <Download size={12} /> Export
+                                    </button>
+                                </div>
+                                {animationError && <span className="block text-[10px] font-bold text-red-600 pb-4">{animationError}</span>}
+                            </div>
+                        </div>
+                    )}
+
+                    <input ref={fileInputRef} type="file" accept={ANIMATION_FILE_ACCEPT} className="hidden" onChange={handleImageUpload} />
+                    <input ref={thresholdMapInputRef} type="file" accept="image/*" className="hidden" onChange={handleThresholdMapUpload} />
+                    <input ref={paletteInputRef} type="file" accept={PALETTE_FILE_ACCEPT} className="hidden" onChange={handlePaletteUpload} />
 
                     {/* Settings Panel (Configuration) */}
                     <div>
@@ -659,7 +1966,19 @@ export default function App() {
                         <div className="border-t border-black">
                             <ToggleRow
                                 label="COLOR MODE"
-                                control={<ToggleSwitch active={mode === 'color'} onToggle={() => setMode(mode === 'bw' ? 'color' : 'bw')} labelOn="COL" labelOff="BW" />}
+                                control={
+                                    <div className="flex gap-1">
+                                        {Object.entries(COLOR_MODES).map(([key, label]) => (
+                                            <button
+                                                key={key}
+                                                onClick={() => setMode(key)}
+                                                className={`border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase transition-colors ${mode === key ? 'bg-black text-white' : 'hover:bg-black hover:text-white'}`}
+                                            >
+                                                {label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                }
                             />
 
                             <ToggleRow
@@ -693,8 +2012,218 @@ export default function App() {
                                     </select>
                                     <ArrowRight className="absolute right-4 top-1/2 -translate-y-1/2 pointer-events-none" size={16} />
                                 </div>
+
+                                {/* Custom Kernel Grid */}
+                                {ditherMethod === 'CUSTOM' && (
+                                    <div className="mt-3 flex flex-col gap-2 animate-in fade-in slide-in-from-top-2">
+                                        <span className="text-[10px] text-gray-500 font-mono">WEIGHT GRID (* = CURRENT PIXEL)</span>
+                                        <textarea
+                                            value={customKernelText}
+                                            onChange={(e) => setCustomKernelText(e.target.value)}
+                                            rows={3}
+                                            spellCheck={false}
+                                            className="w-full bg-transparent border border-black rounded-[1rem] px-4 py-3 font-mono text-xs resize-y"
+                                        />
+                                        <div className="flex items-center justify-between">
+                                            <span className="text-[10px] text-gray-500 font-mono">DIVISOR</span>
+                                            <input
+                                                type="number"
+                                                value={customKernelDivisor}
+                                                placeholder={customKernel ? String(customKernel.taps.reduce((a, t) => a + t[2], 0)) : 'SUM'}
+                                                onChange={(e) => setCustomKernelDivisor(e.target.value)}
+                                                className="w-24 bg-transparent border border-black rounded-full px-3 py-1 font-mono text-xs text-right"
+                                            />
+                                        </div>
+                                        {customKernelParsed.error && <span className="text-[10px] font-bold text-red-600">{customKernelParsed.error}</span>}
+                                    </div>
+                                )}
                             </div>
 
+                            {/* Noise Controls */}
+                            {ditherMethod === 'NOISE' && (
+                                <ToggleRow
+                                    label="NOISE SIZE"
+                                    subLabel="Tiled threshold map"
+                                    control={<PillSelect options={BLUE_NOISE_SIZES} value={noiseSize} onChange={setNoiseSize} />}
+                                />
+                            )}
+
+                            {/* Ordered Controls */}
+                            {ditherMethod === 'BAYER_N' && (
+                                <ToggleRow
+                                    label="MATRIX SIZE"
+                                    control={<PillSelect options={BAYER_SIZES} value={bayerSize} onChange={setBayerSize} />}
+                                />
+                            )}
+
+                            {ditherMethod.startsWith('HALFTONE') && (
+                                <>
+                                    <ToggleRow
+                                        label="CELL SIZE"
+                                        subLabel="Screen frequency (px per cell)"
+                                        value={screenSize}
+                                        control={<RangeSlider value={screenSize} min={2} max={32} onChange={setScreenSize} />}
+                                    />
+                                    <ToggleRow
+                                        label="SCREEN ANGLE"
+                                        value={`${screenAngle}°`}
+                                        control={<RangeSlider value={screenAngle} min={0} max={180} onChange={setScreenAngle} />}
+                                    />
+                                </>
+                            )}
+
+                            {ditherMethod === 'THRESHOLD_MAP' && (
+                                <ToggleRow
+                                    label="THRESHOLD MAP"
+                                    subLabel={thresholdMapError || (thresholdMap ? `${truncateFilename(thresholdMapName)} ${thresholdMap.width}x${thresholdMap.height}` : 'Grayscale PNG, tiled')}
+                                    control={
+                                        <button onClick={() => thresholdMapInputRef.current.click()} className="border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                            {thresholdMap ? 'Replace' : 'Upload'}
+                                        </button>
+                                    }
+                                />
+                            )}
+
+                            {isOrderedMethod(ditherMethod) && (
+                                <ToggleRow
+                                    label="ORDER STRENGTH"
+                                    value={orderedStrength}
+                                    control={<RangeSlider value={orderedStrength} min={0} max={255} onChange={setOrderedStrength} />}
+                                />
+                            )}
+
+                            {ditherMethod === 'WHITE_NOISE' && (
+                                <ToggleRow
+                                    label="SEED"
+                                    subLabel="Same seed, same output"
+                                    control={
+                                        <div className="flex items-center gap-2">
+                                            <input
+                                                type="number"
+                                                min={0}
+                                                value={noiseSeed}
+                                                onChange={(e) => setNoiseSeed(Math.max(0, Math.floor(Number(e.target.value) || 0)))}
+                                                className="w-24 bg-transparent border border-black rounded-full px-3 py-1 font-mono text-xs text-right"
+                                            />
+                                            <button
+                                                onClick={() => setNoiseSeed(Math.floor(Math.random() * 100000))}
+                                                className="w-8 h-8 rounded-full border border-black flex items-center justify-center hover:bg-black hover:text-white transition-colors"
+                                                title="New Seed"
+                                            >
+                                                <RefreshCcw size={12} />
+                                            </button>
+                                        </div>
+                                    }
+                                />
+                            )}
+
+                            {/* Error Diffusion Controls (kernel-based methods only) */}
+                            {resolveKernel(ditherMethod, customKernel) && (
+                                <>
+                                    <ToggleRow
+                                        label="SERPENTINE"
+                                        subLabel="Alternate scan direction per row"
+                                        control={<ToggleSwitch active={serpentine} onToggle={() => setSerpentine(!serpentine)} />}
+                                    />
+
+                                    <ToggleRow
+                                        label="DIFFUSION"
+                                        value={`${diffusionStrength}%`}
+                                        control={<RangeSlider value={diffusionStrength} min={0} max={150} onChange={setDiffusionStrength} />}
+                                    />
+
+                                    <ToggleRow
+                                        label="LINEAR LIGHT"
+                                        subLabel="Diffuse error in linear RGB"
+                                        control={<ToggleSwitch active={linearLight} onToggle={() => setLinearLight(!linearLight)} />}
+                                    />
+
+                                    <ToggleRow
+                                        label="ERROR CLAMP"
+                                        subLabel="Max carried error per pixel"
+                                        value={errorClamp > 0 ? errorClamp : 'OFF'}
+                                        control={<RangeSlider value={errorClamp} min={0} max={255} onChange={setErrorClamp} />}
+                                    />
+                                </>
+                            )}
+
+                            {mode === 'gray' && (
+                                <div className="flex flex-col py-4 border-b border-black animate-in fade-in slide-in-from-top-2">
+                                    <span className="text-sm font-bold uppercase tracking-wider mb-2">GRAY LEVELS ({grayLevels.length})</span>
+                                    <div className="flex w-full h-8 border border-black rounded-[1rem] overflow-hidden mb-3">
+                                        {grayShades.map((c, i) => <div key={i} className="flex-grow h-full" style={{ backgroundColor: c }} title={`${grayLevels[i]} · ${c}`}></div>)}
+                                    </div>
+                                    <ToggleRow
+                                        label="LEVELS"
+                                        subLabel={grayLevelsParsed.levels ? 'Set by custom values' : 'Evenly spaced'}
+                                        value={grayLevelsParsed.levels ? 'CUSTOM' : grayLevelCount}
+                                        control={<RangeSlider value={grayLevelCount} min={MIN_GRAY_LEVELS} max={MAX_GRAY_LEVELS} onChange={setGrayLevelCount} />}
+                                    />
+                                    <div className="flex flex-col gap-1 py-3">
+                                        <input
+                                            type="text"
+                                            value={grayLevelsText}
+                                            onChange={(e) => setGrayLevelsText(e.target.value)}
+                                            className="w-full min-w-0 bg-transparent border border-black rounded-full px-3 py-1.5 font-mono text-xs"
+                                            placeholder={`Custom values, e.g. ${evenGrayLevels(4).join(', ')}`}
+                                        />
+                                        {grayLevelsParsed.error && <span className="text-[10px] font-bold text-red-600">{grayLevelsParsed.error}</span>}
+                                    </div>
+                                    <ToggleRow
+                                        label="TINT RAMP"
+                                        subLabel="Map levels onto a gradient"
+                                        control={<ToggleSwitch active={grayTint} onToggle={() => setGrayTint(!grayTint)} />}
+                                    />
+                                    {grayTint && (
+                                        <div className="flex flex-col gap-3 pt-3">
+                                            <div className="flex items-center gap-2">
+                                                <select
+                                                    value={grayRampKey}
+                                                    onChange={(e) => setGrayRamp(GRAY_RAMPS[e.target.value].colors)}
+                                                    className="flex-grow min-w-0 bg-transparent border border-black rounded-full px-3 py-1.5 font-bold text-[10px] uppercase cursor-pointer hover:bg-black/5"
+                                                    title="Ramp Preset"
+                                                >
+                                                    {grayRampKey === 'CUSTOM' && <option value="CUSTOM" disabled>Custom Ramp</option>}
+                                                    {Object.entries(GRAY_RAMPS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                                                </select>
+                                                <button
+                                                    onClick={() => setGrayRamp([...grayRamp, grayRamp[grayRamp.length - 1]])}
+                                                    disabled={grayRamp.length >= MAX_PALETTE_SIZE}
+                                                    className="w-6 h-6 shrink-0 flex items-center justify-center border border-black rounded-full hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:pointer-events-none"
+                                                    title="Add Ramp Color"
+                                                >
+                                                    <Plus size={12} />
+                                                </button>
+                                            </div>
+                                            {/* Ramp stops, dark to light; each one is editable */}
+                                            <div className="flex w-full h-10 border border-black rounded-[1rem] overflow-hidden" style={{ background: `linear-gradient(to right, ${grayRamp.join(', ')})` }}>
+                                                {grayRamp.map((c, i) => (
+                                                    <div key={i} className="flex-grow h-full relative group flex items-center justify-center">
+                                                        <div className="w-5 h-5 rounded-full border border-black" style={{ backgroundColor: c }}></div>
+                                                        <input
+                                                            type="color"
+                                                            value={c}
+                                                            onChange={(e) => updateRampColor(i, e.target.value)}
+                                                            className="opacity-0 absolute inset-0 w-full h-full cursor-pointer z-10"
+                                                            title="Click to edit color"
+                                                        />
+                                                        {grayRamp.length > 2 && (
+                                                            <button
+                                                                onClick={(e) => { e.stopPropagation(); removeRampColor(i); }}
+                                                                className="absolute top-0 right-0 m-1 bg-black/50 text-white rounded-full w-4 h-4 flex items-center justify-center text-[10px] opacity-0 group-hover:opacity-100 transition-opacity z-20 hover:bg-red-500 pointer-events-none group-hover:pointer-events-auto"
+                                                                title="Remove color"
+                                                            >
+                                                                <X size={10} />
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
                             {mode === 'color' && (
                                 <div className="flex flex-col py-4 border-b border-black animate-in fade-in slide-in-from-top-2">
                                     <div className="flex justify-between items-center mb-2">
@@ -723,11 +2252,81 @@ export default function App() {
                                     {/* Palette Preset Dropdown */}
                                     <div className="relative mb-3">
                                         <select
-                                            onChange={(e) => setPalette(PALETTE_PRESETS[e.target.value].colors)}
+                                            value={activePaletteKey}
+                                            onChange={(e) => selectPalette(e.target.value)}
+                                            className="w-full bg-transparent border border-black rounded-[1rem] px-4 py-3 font-bold text-xs uppercase appearance-none cursor-pointer hover:bg-black/5"
+                                        >
+                                            {activePaletteKey === 'CUSTOM' && <option value="CUSTOM" disabled>Custom (Unsaved)</option>}
+                                            {(activePaletteKey === 'EXTRACTED' || image) && <option value="EXTRACTED">Extracted ({savedPalette.length} Colors)</option>}
+                                            <optgroup label="Built-in">
+                                                {Object.entries(PALETTE_PRESETS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                                            </optgroup>
+                                            {paletteLibrary.length > 0 && (
+                                                <optgroup label="Library">
+                                                    {paletteLibrary.map(p => <option key={p.id} value={`user:${p.id}`}>{p.name}</option>)}
+                                                </optgroup>
+                                            )}
+                                        </select>
+                                        <ArrowRight className="absolute right-4 top-1/2 -translate-y-1/2 pointer-events-none" size={16} />
+                                    </div>
+
+                                    {/* Palette Library */}
+                                    <div className="flex items-center gap-2 mb-3">
+                                        <input
+                                            type="text"
+                                            value={paletteName}
+                                            onChange={(e) => setPaletteName(e.target.value)}
+                                            className="flex-grow min-w-0 bg-transparent border border-black rounded-full px-3 py-1.5 font-mono text-xs"
+                                            placeholder="Palette name"
+                                        />
+                                        <button onClick={saveToLibrary} className="flex items-center gap-1 border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors" title="Save to Library">
+                                            <Save size={10} /> Save
+                                        </button>
+                                    </div>
+                                    {paletteLibrary.length > 0 && (
+                                        <div className="flex flex-col border border-black rounded-[1rem] mb-3 overflow-hidden">
+                                            {paletteLibrary.map((p, i) => (
+                                                <div key={p.id} className={`flex items-center gap-2 px-3 py-1.5 border-b border-black last:border-0 ${activePaletteKey === `user:${p.id}` ? 'bg-black/5' : ''}`}>
+                                                    <div className="flex w-12 h-3 shrink-0 border border-black rounded-full overflow-hidden">
+                                                        {p.colors.slice(0, 16).map((c, j) => <div key={j} className="flex-grow h-full" style={{ backgroundColor: c }}></div>)}
+                                                    </div>
+                                                    {renamingId === p.id ? (
+                                                        <input
+                                                            autoFocus
+                                                            type="text"
+                                                            value={renameText}
+                                                            onChange={(e) => setRenameText(e.target.value)}
+                                                            onBlur={commitRename}
+                                                            onKeyDown={(e) => { if (e.key === 'Enter') commitRename(); if (e.key === 'Escape') setRenamingId(null); }}
+                                                            className="flex-grow min-w-0 bg-transparent border-b border-black font-mono text-xs"
+                                                        />
+                                                    ) : (
+                                                        <button onClick={() => selectPalette(`user:${p.id}`)} className="flex-grow min-w-0 text-left text-xs font-bold uppercase truncate hover:underline">
+                                                            {p.name}
+                                                        </button>
+                                                    )}
+                                                    <div className="flex items-center gap-1 shrink-0">
+                                                        <button onClick={() => { setRenamingId(p.id); setRenameText(p.name); }} className="p-1 rounded-full hover:bg-black/10" title="Rename"><Pencil size={10} /></button>
+                                                        <button onClick={() => duplicateLibraryPalette(i)} className="p-1 rounded-full hover:bg-black/10" title="Duplicate"><Copy size={10} /></button>
+                                                        <button onClick={() => moveLibraryPalette(i, -1)} disabled={i === 0} className="p-1 rounded-full hover:bg-black/10 disabled:opacity-30" title="Move Up"><ChevronUp size={10} /></button>
+                                                        <button onClick={() => moveLibraryPalette(i, 1)} disabled={i === paletteLibrary.length - 1} className="p-1 rounded-full hover:bg-black/10 disabled:opacity-30" title="Move Down"><ChevronDown size={10} /></button>
+                                                        <button onClick={() => deleteLibraryPalette(p.id)} className="p-1 rounded-full hover:bg-red-500 hover:text-white" title="Delete"><Trash2 size={10} /></button>
+                                                    </div>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                    {libraryError && <span className="text-[10px] font-bold text-red-600 mb-3">{libraryError}</span>}
+
+                                    {/* Color Distance Metric (matching + extraction) */}
+                                    <div className="relative mb-3">
+                                        <select
+                                            value={colorMetric}
+                                            onChange={(e) => setColorMetric(e.target.value)}
                                             className="w-full bg-transparent border border-black rounded-[1rem] px-4 py-3 font-bold text-xs uppercase appearance-none cursor-pointer hover:bg-black/5"
-                                            defaultValue="DEFAULT"
+                                            title="Color Distance"
                                         >
-                                            {Object.entries(PALETTE_PRESETS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                                            {Object.entries(COLOR_METRICS).map(([k, v]) => <option key={k} value={k}>Match: {v}</option>)}
                                         </select>
                                         <ArrowRight className="absolute right-4 top-1/2 -translate-y-1/2 pointer-events-none" size={16} />
                                     </div>
@@ -739,10 +2338,15 @@ export default function App() {
                                     >
                                         {Object.entries(PALETTE_METHODS).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
                                     </select>
+                                    {paletteExtractError && <span className="block text-[10px] font-bold text-red-600 mb-3">{paletteExtractError}</span>}
 
-                                    <div className="flex h-12 w-full border border-black rounded-[1rem] overflow-hidden relative">
+                                    {/* Large palettes wrap into a grid of swatches */}
+                                    <div
+                                        className={`${palette.length > 16 ? 'grid' : 'flex h-12'} w-full border border-black rounded-[1rem] overflow-hidden relative`}
+                                        style={palette.length > 16 ? { gridTemplateColumns: 'repeat(16, minmax(0, 1fr))' } : undefined}
+                                    >
                                         {palette.map((c, i) => (
-                                            <div key={i} className="flex-grow h-full relative group">
+                                            <div key={i} className={`${palette.length > 16 ? 'h-6' : 'flex-grow h-full'} relative group`}>
                                                 <div className="absolute inset-0" style={{ backgroundColor: c }}></div>
                                                 <input
                                                     type="color"
@@ -763,32 +2367,387 @@ export default function App() {
                                             </div>
                                         ))}
                                     </div>
+
+                                    {/* Palette File Import / Export */}
+                                    <div className="flex items-center gap-2 mt-3">
+                                        <button onClick={() => paletteInputRef.current.click()} className="border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                            Import
+                                        </button>
+                                        <select
+                                            value={paletteExportFormat}
+                                            onChange={(e) => setPaletteExportFormat(e.target.value)}
+                                            className="flex-grow min-w-0 bg-transparent border border-black rounded-full px-3 py-1.5 font-bold text-[10px] uppercase cursor-pointer hover:bg-black/5"
+                                            title="Export Format"
+                                        >
+                                            {Object.entries(PALETTE_FORMATS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                                        </select>
+                                        <button onClick={exportPalette} className="border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                            Export
+                                        </button>
+                                    </div>
+                                    {paletteFileError && (
+                                        <span className="text-[10px] font-bold text-red-600 mt-2">{paletteFileError}</span>
+                                    )}
                                 </div>
                             )}
+
+                            {/* Extraction Settings */}
+                            {mode === 'color' && (
+                                <>
+                                    <ToggleRow
+                                        label="PALETTE SIZE"
+                                        value={paletteSize}
+                                        control={<RangeSlider value={paletteSize} min={MIN_PALETTE_SIZE} max={MAX_PALETTE_SIZE} onChange={setPaletteSize} />}
+                                    />
+                                    <ToggleRow
+                                        label="SAMPLE RES"
+                                        subLabel="Extraction thumbnail (px)"
+                                        control={<PillSelect options={PALETTE_SAMPLE_SIZES} value={paletteSampleSize} onChange={setPaletteSampleSize} />}
+                                    />
+                                    <ToggleRow
+                                        label="PALETTE SEED"
+                                        subLabel="Same seed, same palette"
+                                        control={
+                                            <input
+                                                type="number"
+                                                min={0}
+                                                value={paletteSeed}
+                                                onChange={(e) => setPaletteSeed(Math.max(0, Math.floor(Number(e.target.value) || 0)))}
+                                                className="w-24 bg-transparent border border-black rounded-full px-3 py-1 font-mono text-xs text-right"
+                                            />
+                                        }
+                                    />
+                                </>
+                            )}
                         </div>
                     </div>
 
                     {/* Export Buttons */}
                     <div className="flex flex-col gap-2 mt-8">
+                        <div className="flex items-center gap-2">
+                            <select
+                                value={bitmapFormat}
+                                onChange={(e) => setBitmapFormat(e.target.value)}
+                                className="flex-grow min-w-0 bg-transparent border border-black rounded-full px-3 py-1.5 font-bold text-[10px] uppercase cursor-pointer hover:bg-black/5"
+                                title="Image Format"
+                            >
+                                {Object.entries(BITMAP_FORMATS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                            </select>
+                            <PillSelect options={['NATIVE', 'SCALED']} value={exportScale} onChange={setExportScale} />
+                        </div>
                         <button
-                            onClick={downloadPNG}
-                            disabled={!previewUrl}
+                            onClick={downloadBitmap}
+                            disabled={!processedData}
                             className="w-full bg-black text-[#F1F3EB] h-14 rounded-[2rem] font-bold text-sm uppercase flex items-center justify-between px-6 hover:scale-[1.02] active:scale-95 transition-all shadow-lg disabled:opacity-50 disabled:pointer-events-none"
                         >
-                            <span>EXPORT IMAGE (PNG)</span>
+                            <span>EXPORT IMAGE ({BITMAP_FORMATS[bitmapFormat].ext.toUpperCase()}{exportSize ? ` ${exportSize.width}×${exportSize.height}` : ''})</span>
                             <div className="bg-[#F1F3EB] text-black rounded-full p-2">
                                 <Download size={16} />
                             </div>
                         </button>
-
+                        {bitmapExportError && <span className="text-[10px] font-bold text-red-600 px-1">{bitmapExportError}</span>}
+
+                        <div className="flex items-center gap-2">
+                            <select
+                                value={svgMode}
+                                onChange={(e) => setSvgMode(e.target.value)}
+                                className="flex-grow bg-transparent border border-black rounded-full px-3 py-1.5 font-bold text-[10px] uppercase cursor-pointer hover:bg-black/5"
+                                title="SVG Shapes"
+                            >
+                                {Object.entries(SVG_MODES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                            </select>
+                            <span className={`font-mono text-[10px] whitespace-nowrap ${svgError ? 'text-red-600 truncate' : 'text-gray-500'}`} title={svgError || undefined}>
+                                {svgExport ? `${svgExport.elementCount.toLocaleString()} EL · ${formatBytes(svgExport.blob.size)}` : svgError || (processedData ? 'BUILDING…' : '—')}
+                            </span>
+                        </div>
                         <button
                             onClick={downloadSVG}
-                            disabled={!processedData}
+                            disabled={!svgExport}
                             className="w-full bg-transparent border border-black text-black h-12 rounded-[2rem] font-bold text-xs uppercase flex items-center justify-between px-6 hover:bg-black hover:text-[#F1F3EB] transition-all disabled:opacity-50 disabled:pointer-events-none"
                         >
                             <span>EXPORT VECTOR (SVG)</span>
                             <FileCode size={16} />
                         </button>
+
+                        <button
+                            onClick={() => setCodeOpen(!codeOpen)}
+                            disabled={!processedData}
+                            className={`w-full border border-black h-12 rounded-[2rem] font-bold text-xs uppercase flex items-center justify-between px-6 transition-all disabled:opacity-50 disabled:pointer-events-none ${codeOpen ? 'bg-black text-[#F1F3EB]' : 'bg-transparent text-black hover:bg-black hover:text-[#F1F3EB]'}`}
+                        >
+                            <span>EXPORT CODE (C / ARDUINO / PY)</span>
+                            {codeOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                        </button>
+
+                        {codeOpen && codeExport && (
+                            <div className="flex flex-col border border-black rounded-[1rem] px-4 py-2 animate-in fade-in slide-in-from-top-2">
+                                <ToggleRow
+                                    label="FORMAT"
+                                    control={
+                                        <select value={codeFormat} onChange={(e) => setCodeFormat(e.target.value)} className="bg-transparent border border-black rounded-full px-3 py-1 font-bold text-[10px] uppercase cursor-pointer">
+                                            {Object.entries(CODE_FORMATS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                                        </select>
+                                    }
+                                />
+                                <ToggleRow
+                                    label="PIXELS"
+                                    control={
+                                        <select value={codeEncoding} onChange={(e) => setCodeEncoding(e.target.value)} className="bg-transparent border border-black rounded-full px-3 py-1 font-bold text-[10px] uppercase cursor-pointer">
+                                            {Object.entries(PIXEL_ENCODINGS).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                                        </select>
+                                    }
+                                />
+                                {codeEncoding === 'MONO' && (
+                                    <>
+                                        <ToggleRow
+                                            label="PACKING"
+                                            subLabel={codeFormat === 'ADAFRUIT_GFX' ? 'GFX uses horizontal, MSB first' : undefined}
+                                            control={
+                                                <select value={codePacking} onChange={(e) => setCodePacking(e.target.value)} disabled={codeFormat === 'ADAFRUIT_GFX'} className="bg-transparent border border-black rounded-full px-3 py-1 font-bold text-[10px] uppercase cursor-pointer disabled:opacity-50">
+                                                    {Object.entries(BYTE_PACKINGS).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                                                </select>
+                                            }
+                                        />
+                                        <ToggleRow
+                                            label="BIT ORDER"
+                                            control={<PillSelect options={['MSB', 'LSB']} value={codeBitOrder} onChange={setCodeBitOrder} />}
+                                        />
+                                    </>
+                                )}
+                                <ToggleRow
+                                    label="INVERT"
+                                    control={<ToggleSwitch active={codeInvert} onToggle={() => setCodeInvert(!codeInvert)} />}
+                                />
+                                <pre className="mt-2 max-h-48 overflow-auto bg-black/5 rounded-[0.5rem] p-2 font-mono text-[9px] leading-tight whitespace-pre">
+                                    {codeExport.code.length > 4000 ? `${codeExport.code.slice(0, 4000)}\n…` : codeExport.code}
+                                </pre>
+                                <div className="flex items-center justify-between py-2">
+                                    <span className="font-mono text-[10px] text-gray-500">
+                                        {codeExport.bytes.length.toLocaleString()} B · CRC32 {codeExport.checksum.toString(16).padStart(8, '0').toUpperCase()}
+                                    </span>
+                                    <div className="flex gap-2">
+                                        <button onClick={() => navigator.clipboard.writeText(codeExport.code)} className="border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                            Copy
+                                        </button>
+                                        <button onClick={downloadCode} className="border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                            Save .{CODE_FORMATS[codeFormat].ext}
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
+                        )}
+
+                        <button
+                            onClick={() => setPrinterOpen(!printerOpen)}
+                            disabled={!processedData}
+                            className={`w-full border border-black h-12 rounded-[2rem] font-bold text-xs uppercase flex items-center justify-between px-6 transition-all disabled:opacity-50 disabled:pointer-events-none ${printerOpen ? 'bg-black text-[#F1F3EB]' : 'bg-transparent text-black hover:bg-black hover:text-[#F1F3EB]'}`}
+                        >
+                            <span>EXPORT PRINTER (ESC/POS / ZPL / TSPL)</span>
+                            {printerOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                        </button>
+
+                        {printerOpen && printerJob && (
+                            <div className="flex flex-col border border-black rounded-[1rem] px-4 py-2 animate-in fade-in slide-in-from-top-2">
+                                <ToggleRow
+                                    label="LANGUAGE"
+                                    control={
+                                        <select value={printerLanguage} onChange={(e) => setPrinterLanguage(e.target.value)} className="bg-transparent border border-black rounded-full px-3 py-1 font-bold text-[10px] uppercase cursor-pointer">
+                                            {Object.entries(PRINTER_LANGUAGES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                                        </select>
+                                    }
+                                />
+                                <ToggleRow
+                                    label="PAPER"
+                                    subLabel="Sets output width in dots"
+                                    control={
+                                        <div className="flex gap-1">
+                                            {PRINTER_WIDTHS.map(p => (
+                                                <button
+                                                    key={p.dots}
+                                                    onClick={() => setOutputWidth(p.dots)}
+                                                    className={`border border-black rounded-full px-2 py-1 text-[10px] font-bold transition-colors ${outputWidth === p.dots ? 'bg-black text-white' : 'hover:bg-black/5'}`}
+                                                >
+                                                    {p.name} · {p.dots}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    }
+                                />
+                                {printerLanguage === 'ESCPOS' && (
+                                    <ToggleRow
+                                        label="CUT PAPER"
+                                        control={<ToggleSwitch active={printerCut} onToggle={() => setPrinterCut(!printerCut)} />}
+                                    />
+                                )}
+                                <pre className="mt-2 max-h-24 overflow-auto bg-black/5 rounded-[0.5rem] p-2 font-mono text-[9px] leading-tight whitespace-pre-wrap break-all">
+                                    {Array.from(printerJob.subarray(0, 64), b => b.toString(16).padStart(2, '0')).join(' ')}{printerJob.length > 64 ? ' …' : ''}
+                                </pre>
+                                <div className="flex items-center justify-between py-2">
+                                    <span className="font-mono text-[10px] text-gray-500">
+                                        {processedData.outputWidth}×{processedData.outputHeight} DOTS · {formatBytes(printerJob.length)}{mode !== 'bw' ? ' · DARK COLORS PRINT' : ''}
+                                    </span>
+                                    <button onClick={downloadPrinterJob} className="border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                        Save .bin
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Undo History */}
+                    <div className="mt-8">
+                        <div className="flex items-center justify-between mb-2 px-1">
+                            <span className="text-[10px] font-bold uppercase text-gray-500 tracking-widest">+ HISTORY</span>
+                            <div className="flex gap-2">
+                                <button onClick={undo} disabled={!history || (history.index === 0 && JSON.stringify(history.entries[0].snapshot) === historySnapshotKey)} className="w-7 h-7 rounded-full border border-black flex items-center justify-center hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:pointer-events-none" title="Undo (Ctrl/Cmd+Z)">
+                                    <Undo2 size={12} />
+                                </button>
+                                <button onClick={redo} disabled={!history || history.index === history.entries.length - 1} className="w-7 h-7 rounded-full border border-black flex items-center justify-center hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:pointer-events-none" title="Redo (Shift+Ctrl/Cmd+Z)">
+                                    <Redo2 size={12} />
+                                </button>
+                            </div>
+                        </div>
+                        {history && history.entries.length > 1 && (
+                            <div className="border border-black rounded-[1rem] p-2 flex flex-col-reverse max-h-40 overflow-y-auto">
+                                {history.entries.map((entry, i) => (
+                                    <button
+                                        key={i}
+                                        onClick={() => goToHistory(i)}
+                                        className={`text-left rounded-full px-3 py-1 font-mono text-[10px] truncate transition-colors ${i === history.index ? 'bg-black text-white' : i > history.index ? 'text-gray-400 hover:bg-black/5' : 'hover:bg-black/5'}`}
+                                    >
+                                        {entry.label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Recipes: file, link and local list */}
+                    <div className="mt-8">
+                        <div className="text-[10px] font-bold uppercase text-gray-500 tracking-widest mb-2 px-1">+ RECIPE</div>
+                        <div className="border border-black rounded-[1rem] p-4 flex flex-col gap-3">
+                            <div className="flex items-center gap-2">
+                                <input
+                                    type="text"
+                                    value={recipeName}
+                                    onChange={(e) => setRecipeName(e.target.value)}
+                                    onKeyDown={(e) => { if (e.key === 'Enter') saveRecipe(); }}
+                                    placeholder="Recipe name"
+                                    className="flex-1 min-w-0 bg-transparent border border-black rounded-full px-3 py-1 text-[10px] font-mono outline-none"
+                                />
+                                <button onClick={saveRecipe} className="border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                    Save
+                                </button>
+                            </div>
+
+                            {recipeLibrary.length > 0 && (
+                                <div className="flex flex-col max-h-48 overflow-y-auto">
+                                    {recipeLibrary.map(entry => (
+                                        <div key={entry.id} className="flex items-center justify-between gap-2 py-1.5 border-b border-black/10 last:border-0">
+                                            <button onClick={() => loadLibraryRecipe(entry)} className="flex-1 min-w-0 text-left text-xs font-bold truncate hover:underline" title="Load">
+                                                {entry.name}
+                                            </button>
+                                            <button onClick={() => deleteLibraryRecipe(entry.id)} className="w-5 h-5 rounded-full border border-black flex items-center justify-center hover:bg-black hover:text-white transition-colors" title="Delete">
+                                                <X size={10} />
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            <div className="flex items-center gap-2">
+                                <button onClick={() => recipeInputRef.current.click()} className="border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                    Import
+                                </button>
+                                <button onClick={exportRecipe} className="border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                    Export
+                                </button>
+                                <button onClick={copyRecipeLink} className="ml-auto border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                    Copy Link
+                                </button>
+                            </div>
+
+                            {recipeMessage && (
+                                <span className={`font-mono text-[10px] ${recipeMessage.error ? 'text-red-600' : 'text-gray-500'}`}>{recipeMessage.text}</span>
+                            )}
+                            {recipeLibraryError && <span className="text-[10px] font-bold text-red-600">{recipeLibraryError}</span>}
+                        </div>
+                        <input ref={recipeInputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleRecipeUpload} />
+                    </div>
+
+                    {/* Batch Queue */}
+                    <div className="mt-8">
+                        <div className="text-[10px] font-bold uppercase text-gray-500 tracking-widest mb-2 px-1">+ BATCH</div>
+                        <div
+                            onDragOver={(e) => { e.preventDefault(); setBatchDragOver(true); }}
+                            onDragLeave={() => setBatchDragOver(false)}
+                            onDrop={handleBatchDrop}
+                            className={`border border-black rounded-[1rem] p-4 flex flex-col gap-3 transition-colors ${batchDragOver ? 'bg-black/5 border-dashed' : ''}`}
+                        >
+                            <div className="flex items-center justify-between gap-2">
+                                <span className="font-mono text-[10px] text-gray-500">
+                                    {batchItems.length ? `${batchDone.length}/${batchItems.length} DONE${batchErrors ? ` · ${batchErrors} FAILED` : ''}${batchOutdated ? ` · ${batchOutdated} OUTDATED` : ''}` : 'DROP FILES OR A FOLDER'}
+                                </span>
+                                <div className="flex gap-2">
+                                    <button onClick={() => batchInputRef.current.click()} disabled={batchRunning} className="border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:pointer-events-none">
+                                        Files
+                                    </button>
+                                    <button onClick={() => batchFolderInputRef.current.click()} disabled={batchRunning} className="border border-black rounded-full px-3 py-1 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:pointer-events-none">
+                                        Folder
+                                    </button>
+                                </div>
+                            </div>
+
+                            {mode === 'color' && (
+                                <div className="flex items-center justify-between">
+                                    <span className="text-[10px] font-bold uppercase tracking-wider">Palette</span>
+                                    <PillSelect options={['SHARED', 'PER IMAGE']} value={batchPalette} onChange={setBatchPalette} />
+                                </div>
+                            )}
+
+                            {batchItems.length > 0 && (
+                                <div className="grid grid-cols-4 gap-2 max-h-72 overflow-y-auto">
+                                    {batchItems.map(item => (
+                                        <div key={item.id} className="relative aspect-square border border-black rounded-[0.75rem] overflow-hidden bg-white group" title={item.error ? `${item.name}: ${item.error}` : item.name}>
+                                            {item.file ? (
+                                                <img src={item.resultUrl || item.sourceUrl} alt={item.name} className={`w-full h-full object-cover ${item.status === 'done' && item.recipe !== batchRecipe ? 'opacity-40' : ''}`} style={item.resultUrl ? { imageRendering: 'pixelated' } : undefined} />
+                                            ) : (
+                                                <span className="absolute inset-0 p-1 pb-4 text-[8px] font-mono break-all overflow-hidden">{item.name}</span>
+                                            )}
+                                            <span className={`absolute bottom-0 left-0 right-0 text-[8px] font-bold uppercase text-center py-0.5 ${item.status === 'error' ? 'bg-red-600 text-white' : item.status === 'done' ? 'bg-black text-white' : 'bg-[#F1F3EB]'}`}>
+                                                {item.status === 'processing' ? `${Math.round(item.progress * 100)}%` : item.status === 'done' && item.recipe !== batchRecipe ? 'outdated' : item.status}
+                                            </span>
+                                            {!batchRunning && (
+                                                <button onClick={() => removeBatchItem(item.id)} className="absolute top-1 right-1 w-4 h-4 rounded-full bg-black text-white hidden group-hover:flex items-center justify-center" title="Remove">
+                                                    <X size={10} />
+                                                </button>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {batchItems.length > 0 && (
+                                <div className="flex items-center gap-2">
+                                    {batchRunning ? (
+                                        <button onClick={stopBatch} className="border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors">
+                                            Stop
+                                        </button>
+                                    ) : (
+                                        <button onClick={runBatch} className="border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase bg-black text-white hover:opacity-80 transition-opacity">
+                                            Run ({BITMAP_FORMATS[bitmapFormat].ext.toUpperCase()})
+                                        </button>
+                                    )}
+                                    <button onClick={clearBatch} disabled={batchRunning} className="border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:pointer-events-none">
+                                        Clear
+                                    </button>
+                                    <button onClick={downloadBatchZip} disabled={batchRunning || batchDone.length === 0} className="ml-auto border border-black rounded-full px-4 py-1.5 text-[10px] font-bold uppercase hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:pointer-events-none flex items-center gap-2">
+                                        <Download size={12} /> Zip
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                        <input ref={batchInputRef} type="file" accept="image/*" multiple className="hidden" onChange={handleBatchUpload} />
+                        <input ref={batchFolderInputRef} type="file" webkitdirectory="" multiple className="hidden" onChange={handleBatchUpload} />
                     </div>
 
                 </div>
@@ -802,23 +2761,81 @@ export default function App() {
                     style={{ backgroundImage: 'radial-gradient(circle, #000 1px, transparent 1px)', backgroundSize: '24px 24px' }}>
                 </div>
 
+                {/* Row Progress */}
+                {isProcessing && (
+                    <div className="absolute top-0 left-0 right-0 z-30 flex items-center gap-3 px-4 py-2 pointer-events-none">
+                        <div className="flex-1 h-1 bg-black/10 rounded-full overflow-hidden">
+                            <div className="h-full bg-black transition-[width] duration-100" style={{ width: `${Math.round(progress * 100)}%` }}></div>
+                        </div>
+                        <span className="text-[10px] font-bold w-10 text-right">{Math.round(progress * 100)}%</span>
+                    </div>
+                )}
+
+                {/* Dither Error (the last good preview stays up) */}
+                {processError && image && (
+                    <div className="absolute bottom-4 left-4 right-4 z-30 flex justify-center pointer-events-none">
+                        <span className="bg-[#F1F3EB] border border-red-600 text-red-600 rounded-full px-4 py-1.5 text-[10px] font-bold shadow-xl">{processError}</span>
+                    </div>
+                )}
+
+                {/* View Mode */}
+                {image && (
+                    <div className="absolute top-4 left-4 z-30 flex flex-wrap gap-2">
+                        <div className="bg-[#F1F3EB] border border-black rounded-full p-1 shadow-xl">
+                            <PillSelect options={['RESULT', 'SPLIT', 'COMPARE', 'CROP']} value={viewMode} onChange={setViewMode} />
+                        </div>
+                        {viewMode === 'COMPARE' && (
+                            <div className="bg-[#F1F3EB] border border-black rounded-full p-1 shadow-xl">
+                                <PillSelect options={['METHODS', 'PALETTES']} value={compareBy} onChange={setCompareBy} />
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {/* Art Frame */}
-                <div className="relative max-w-full max-h-full flex flex-col items-center justify-center w-full h-full">
-                    {image ? (
-                        <div className="relative shadow-xl border border-black/10 bg-white p-2 transition-transform duration-200 ease-out" style={{ transform: `scale(${zoom})` }}>
-                            <img
-                                src={previewUrl}
-                                alt="Processed Art"
-                                className="max-w-full max-h-[80vh] object-contain"
-                                style={{ imageRendering: 'pixelated' }}
-                            />
-                            {/* Floating Zoom Controls */}
-                            <div className="absolute -bottom-16 left-1/2 -translate-x-1/2 flex gap-4 bg-[#F1F3EB] border border-black rounded-full px-4 py-2 shadow-xl z-20">
-                                <button onClick={() => setZoom(Math.max(0.1, zoom - 0.2))}><Minus size={14} /></button>
-                                <span className="text-xs font-bold w-12 text-center">{Math.round(zoom * 100)}%</span>
-                                <button onClick={() => setZoom(Math.min(4, zoom + 0.2))}><Plus size={14} /></button>
+                <div className="absolute inset-4 md:inset-12 flex flex-col items-center justify-center">
+                    {image && viewMode === 'COMPARE' ? (
+                        <div className="absolute inset-0 overflow-y-auto pt-12">
+                            <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-4">
+                                {compareCells.map(cell => (
+                                    <button
+                                        key={cell.key}
+                                        onClick={() => pickCompareCell(cell.key)}
+                                        className={`flex flex-col gap-2 bg-white p-2 shadow-xl text-left border ${cell.key === compareActiveKey ? 'border-black' : 'border-black/10 hover:border-black'}`}
+                                        title={`Use ${cell.name}`}
+                                    >
+                                        {cell.url ? (
+                                            <img src={cell.url} alt={cell.name} className="w-full" style={{ imageRendering: 'pixelated', aspectRatio: `${viewSize.outputWidth} / ${viewSize.outputHeight}` }} />
+                                        ) : (
+                                            <div className="w-full bg-black/5 flex items-center justify-center font-mono text-[10px] text-gray-500" style={{ aspectRatio: `${viewSize.outputWidth} / ${viewSize.outputHeight}` }}>…</div>
+                                        )}
+                                        <span className={`text-[10px] font-bold uppercase truncate ${cell.key === compareActiveKey ? '' : 'text-gray-500'}`}>{cell.name}</span>
+                                    </button>
+                                ))}
                             </div>
                         </div>
+                    ) : image && viewMode === 'CROP' ? (
+                        <CropEditor source={image} rotate={rotate} flipH={flipH} flipV={flipV} crop={crop} onChange={setCrop} />
+                    ) : image ? (
+                        <PixelViewer key={viewerKey} width={viewSize.outputWidth} height={viewSize.outputHeight} before={beforeCanvas} split={viewMode === 'SPLIT'}>
+                            {playing && sequence ? (
+                                <canvas
+                                    ref={playCanvasRef}
+                                    width={sequence.outputWidth}
+                                    height={sequence.outputHeight}
+                                    className="block w-full h-full"
+                                    style={{ imageRendering: 'pixelated' }}
+                                />
+                            ) : previewUrl && (
+                                <img
+                                    src={previewUrl}
+                                    alt="Processed Art"
+                                    draggable={false}
+                                    className="block w-full h-full"
+                                    style={{ imageRendering: 'pixelated' }}
+                                />
+                            )}
+                        </PixelViewer>
                     ) : (
                         <div className="text-center opacity-30 flex flex-col items-center gap-4">
                             <div className="w-32 h-32 border-2 border-black rounded-full flex items-center justify-center border-dashed animate-[spin_10s_linear_infinite]">
@@ -0,0 +1,105 @@
+import { decodeGif, isApng, splitApng } from './engine/animationDecode.js';
+import { readZip } from './engine/zip.js';
+
+// --- ANIMATION LOADING ---
+// Turns an animated GIF, APNG or zip of frames into full-size canvases the
+// preview pipeline can draw like any still image.
+
+export const ANIMATION_FILE_ACCEPT = 'image/*,.gif,.png,.apng,.zip';
+
+// Zip frames carry no timing
+export const DEFAULT_FRAME_DELAY = 100;
+
+const FRAME_FILE = /\.(png|jpe?g|gif|webp|bmp)$/i;
+
+const createCanvas = (width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+const copyCanvas = (source) => {
+    const canvas = createCanvas(source.width, source.height);
+    canvas.getContext('2d').drawImage(source, 0, 0);
+    return canvas;
+};
+
+const gifFrames = (bytes) => {
+    const { width, height, frames } = decodeGif(bytes);
+    return frames.map(({ data, delay }) => {
+        const canvas = createCanvas(width, height);
+        canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+        return { canvas, delay };
+    });
+};
+
+// Composites APNG frames with their dispose (0 none, 1 clear, 2 restore)
+// and blend (0 replace, 1 over) ops
+const apngFrames = async (bytes) => {
+    const { width, height, frames } = splitApng(bytes);
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const out = [];
+    for (const frame of frames) {
+        const bitmap = await createImageBitmap(new Blob([frame.png], { type: 'image/png' }));
+        const saved = frame.dispose === 2 ? ctx.getImageData(frame.x, frame.y, frame.width, frame.height) : null;
+        if (frame.blend === 0) ctx.clearRect(frame.x, frame.y, frame.width, frame.height);
+        ctx.drawImage(bitmap, frame.x, frame.y);
+        bitmap.close();
+        out.push({ canvas: copyCanvas(canvas), delay: frame.delay });
+        if (frame.dispose === 1) ctx.clearRect(frame.x, frame.y, frame.width, frame.height);
+        else if (saved) ctx.putImageData(saved, frame.x, frame.y);
+    }
+    return out;
+};
+
+// Image files in natural name order (frame2 before frame10), drawn at the
+// first frame's size
+const zipFrames = async (bytes) => {
+    const entries = (await readZip(bytes))
+        .filter(e => FRAME_FILE.test(e.name) && !e.name.split('/').some(part => part.startsWith('.')))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    if (entries.length === 0) throw new Error('No image files in zip');
+    const out = [];
+    for (const entry of entries) {
+        const bitmap = await createImageBitmap(new Blob([entry.data]));
+        const canvas = out.length ? createCanvas(out[0].canvas.width, out[0].canvas.height) : createCanvas(bitmap.width, bitmap.height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        out.push({ canvas, delay: DEFAULT_FRAME_DELAY });
+    }
+    return out;
+};
+
+// Resolves with [{ canvas, delay }] (delay in ms; possibly a single frame),
+// or null for a file that should load as a plain still image. Rejects when an
+// animation can't be decoded.
+export const loadAnimationFrames = async (file) => {
+    const name = file.name.toLowerCase();
+    const isZip = name.endsWith('.zip') || file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+    const isGif = file.type === 'image/gif' || name.endsWith('.gif');
+    const maybeApng = file.type === 'image/png' || file.type === 'image/apng' || /\.a?png$/.test(name);
+    if (!isZip && !isGif && !maybeApng) return null;
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (isZip) return zipFrames(bytes);
+    if (isGif) return gifFrames(bytes);
+    return isApng(bytes) ? apngFrames(bytes) : null;
+};
+
+// Grid of up to `maxFrames` evenly spaced frames, so a palette extracted
+// from it covers the whole animation
+export const frameMontage = (frames, maxFrames = 16, cellSize = 128) => {
+    const picks = frames.length <= maxFrames
+        ? frames
+        : Array.from({ length: maxFrames }, (_, i) => frames[Math.floor(i * frames.length / maxFrames)]);
+    const columns = Math.ceil(Math.sqrt(picks.length));
+    const rows = Math.ceil(picks.length / columns);
+    const canvas = createCanvas(columns * cellSize, rows * cellSize);
+    const ctx = canvas.getContext('2d');
+    picks.forEach(({ canvas: frame }, i) => {
+        ctx.drawImage(frame, (i % columns) * cellSize, Math.floor(i / columns) * cellSize, cellSize, cellSize);
+    });
+    return canvas;
+};
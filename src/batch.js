@@ -0,0 +1,91 @@
+// --- BATCH FILES ---
+// Collects image files from pickers and drag-and-drop (including dropped
+// folders) and derives unique output names for the batch zip.
+
+const IMAGE_FILE = /\.(png|jpe?g|gif|webp|bmp|avif)$/i;
+
+export const isBatchImage = (file) => file.type.startsWith('image/') || IMAGE_FILE.test(file.name);
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+const entryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// Walks a dropped directory; readEntries returns at most ~100 entries per call.
+// A file or folder that can't be read goes to `failed` and the walk goes on.
+const collectEntry = async (entry, out, failed) => {
+    try {
+        if (entry.isFile) {
+            out.push(await entryFile(entry));
+            return;
+        }
+        if (!entry.isDirectory) return;
+        const reader = entry.createReader();
+        for (;;) {
+            const entries = await readEntries(reader);
+            if (entries.length === 0) break;
+            for (const child of entries) await collectEntry(child, out, failed);
+        }
+    } catch (err) {
+        failed.push({ name: entry.fullPath.replace(/^\//, '') || entry.name, error: err.message || 'Could not read file' });
+    }
+};
+
+// Image files from a drop event, in name order; folders are searched recursively.
+// Entries are taken from the event synchronously, before the first await.
+// Returns { files, failed: [{ name, error }] }.
+export const collectDroppedFiles = async (dataTransfer) => {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+    let files;
+    const failed = [];
+    if (entries.length) {
+        files = [];
+        for (const entry of entries) await collectEntry(entry, files, failed);
+    } else {
+        files = Array.from(dataTransfer.files || []);
+    }
+    return { files: sortFiles(files.filter(isBatchImage)), failed };
+};
+
+export const sortFiles = (files) => [...files].sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, undefined, { numeric: true }));
+
+// "photo.jpg" -> "photo.png", with a numeric suffix when the name is taken
+export const batchOutputName = (fileName, ext, used) => {
+    const base = fileName.replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]/g, '_') || 'image';
+    let name = `${base}.${ext}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}_${n}.${ext}`;
+    used.add(name.toLowerCase());
+    return name;
+};
+
+let nextItemId = 0;
+
+// Queue entry; `sourceUrl` is an object URL the caller revokes on removal
+export const createBatchItem = (file) => ({
+    id: ++nextItemId,
+    file,
+    name: file.webkitRelativePath || file.name,
+    sourceUrl: URL.createObjectURL(file),
+    status: 'queued',
+    progress: 0,
+    error: null,
+    resultUrl: null,
+    bytes: null,
+    format: null,
+    recipe: null
+});
+
+// Queue entry for something that couldn't be read; it has no file to run
+export const createFailedBatchItem = (name, error) => ({
+    id: ++nextItemId,
+    file: null,
+    name,
+    sourceUrl: null,
+    status: 'error',
+    progress: 0,
+    error,
+    resultUrl: null,
+    bytes: null,
+    format: null,
+    recipe: null
+});
@@ -0,0 +1,299 @@
+import { crc32 } from './deflate.js';
+
+// --- ANIMATION DECODING ---
+// Animated GIFs are decoded and composited here into full RGBA frames.
+// APNG frames are split into standalone PNG files for the platform image
+// decoder, with the placement and dispose/blend ops needed to composite them.
+
+// Browsers show very short GIF delays as 100ms; match them
+const MIN_GIF_DELAY = 20;
+const DEFAULT_GIF_DELAY = 100;
+
+// GIF LZW stream -> palette indices
+const lzwDecode = (data, minCodeSize, pixelCount) => {
+    const out = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const lengths = new Uint16Array(4096);
+    for (let i = 0; i < clearCode; i++) { suffix[i] = i; lengths[i] = 1; prefix[i] = -1; }
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = eoiCode + 1;
+    let prev = -1;
+    let pos = 0;
+    let bitBuf = 0, bitCount = 0, p = 0;
+
+    // Writes a code's string at `pos` by walking its prefix chain backwards
+    const writeCode = (code) => {
+        const length = lengths[code];
+        let c = code;
+        for (let k = length - 1; k >= 0; k--) {
+            if (pos + k < pixelCount) out[pos + k] = suffix[c];
+            c = prefix[c];
+        }
+        pos += length;
+    };
+    const firstOf = (code) => {
+        let c = code;
+        while (prefix[c] >= 0) c = prefix[c];
+        return suffix[c];
+    };
+
+    while (pos < pixelCount) {
+        while (bitCount < codeSize && p < data.length) {
+            bitBuf |= data[p++] << bitCount;
+            bitCount += 8;
+        }
+        if (bitCount < codeSize) break; // Truncated data: leave the rest at index 0
+        const code = bitBuf & ((1 << codeSize) - 1);
+        bitBuf >>>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            nextCode = eoiCode + 1;
+            prev = -1;
+            continue;
+        }
+        if (code === eoiCode) break;
+
+        if (prev === -1) {
+            writeCode(code);
+        } else if (code < nextCode) {
+            writeCode(code);
+            if (nextCode < 4096) {
+                prefix[nextCode] = prev;
+                suffix[nextCode] = firstOf(code);
+                lengths[nextCode] = lengths[prev] + 1;
+                nextCode++;
+            }
+        } else {
+            // KwKwK case: the code being defined is the one just read
+            if (nextCode === 4096) break;
+            prefix[nextCode] = prev;
+            suffix[nextCode] = firstOf(prev);
+            lengths[nextCode] = lengths[prev] + 1;
+            writeCode(nextCode++);
+        }
+        if (nextCode === (1 << codeSize) && codeSize < 12) codeSize++;
+        prev = code;
+    }
+    return out;
+};
+
+const readSubBlocks = (bytes, start) => {
+    const chunks = [];
+    let p = start, total = 0;
+    while (p < bytes.length && bytes[p] !== 0) {
+        chunks.push(bytes.subarray(p + 1, p + 1 + bytes[p]));
+        total += bytes[p];
+        p += bytes[p] + 1;
+    }
+    const data = new Uint8Array(total);
+    let pos = 0;
+    chunks.forEach(c => { data.set(c, pos); pos += c.length; });
+    return { data, end: p + 1 };
+};
+
+// Row order of an interlaced GIF image
+const interlacedRows = (height) => {
+    const rows = [];
+    [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+        for (let y = start; y < height; y += step) rows.push(y);
+    });
+    return rows;
+};
+
+// bytes: Uint8Array of a GIF. Returns { width, height, frames: [{ data, delay }] }
+// where data is the composited RGBA canvas after each frame.
+export const decodeGif = (bytes) => {
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') throw new Error('Not a GIF file');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const width = view.getUint16(6, true);
+    const height = view.getUint16(8, true);
+    const packed = bytes[10];
+    let p = 13;
+    let globalTable = null;
+    if (packed & 0x80) {
+        const size = 3 << ((packed & 7) + 1);
+        globalTable = bytes.subarray(p, p + size);
+        p += size;
+    }
+
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let control = { disposal: 0, delay: 0, transparent: -1 };
+    let restore = null; // Pending disposal of the previous frame
+
+    while (p < bytes.length) {
+        const block = bytes[p++];
+        if (block === 0x3b) break;
+        if (block === 0x21) {
+            const label = bytes[p++];
+            if (label === 0xf9) {
+                const flags = bytes[p + 1];
+                control = {
+                    disposal: (flags >> 2) & 7,
+                    delay: view.getUint16(p + 2, true) * 10,
+                    transparent: flags & 1 ? bytes[p + 4] : -1
+                };
+            }
+            p = readSubBlocks(bytes, p).end;
+            continue;
+        }
+        if (block !== 0x2c) throw new Error('Corrupt GIF block');
+
+        const left = view.getUint16(p, true);
+        const top = view.getUint16(p + 2, true);
+        const w = view.getUint16(p + 4, true);
+        const h = view.getUint16(p + 6, true);
+        const flags = bytes[p + 8];
+        p += 9;
+        let table = globalTable;
+        if (flags & 0x80) {
+            const size = 3 << ((flags & 7) + 1);
+            table = bytes.subarray(p, p + size);
+            p += size;
+        }
+        if (!table) throw new Error('GIF frame has no color table');
+        const minCodeSize = bytes[p++];
+        const { data, end } = readSubBlocks(bytes, p);
+        p = end;
+
+        if (restore) restore();
+        restore = null;
+        if (control.disposal === 3) {
+            const snapshot = canvas.slice();
+            restore = () => canvas.set(snapshot);
+        } else if (control.disposal === 2) {
+            restore = () => {
+                for (let y = top; y < Math.min(height, top + h); y++) {
+                    canvas.fill(0, (y * width + left) * 4, (y * width + Math.min(width, left + w)) * 4);
+                }
+            };
+        }
+
+        const indices = lzwDecode(data, minCodeSize, w * h);
+        const rows = flags & 0x40 ? interlacedRows(h) : null;
+        for (let row = 0; row < h; row++) {
+            const y = top + (rows ? rows[row] : row);
+            if (y >= height) continue;
+            for (let x = 0; x < w; x++) {
+                if (left + x >= width) continue;
+                const index = indices[row * w + x];
+                if (index === control.transparent) continue;
+                const o = (y * width + left + x) * 4;
+                canvas[o] = table[index * 3];
+                canvas[o + 1] = table[index * 3 + 1];
+                canvas[o + 2] = table[index * 3 + 2];
+                canvas[o + 3] = 255;
+            }
+        }
+
+        frames.push({ data: canvas.slice(), delay: control.delay < MIN_GIF_DELAY ? DEFAULT_GIF_DELAY : control.delay });
+        control = { disposal: 0, delay: 0, transparent: -1 };
+    }
+
+    if (frames.length === 0) throw new Error('GIF has no frames');
+    return { width, height, frames };
+};
+
+// --- APNG ---
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Chunks copied into every split frame (palette, transparency, color info)
+const SHARED_CHUNKS = ['PLTE', 'tRNS', 'gAMA', 'cHRM', 'sRGB', 'iCCP', 'sBIT'];
+
+const readChunks = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let p = 8;
+    while (p + 8 <= bytes.length) {
+        const length = view.getUint32(p);
+        const type = String.fromCharCode(...bytes.subarray(p + 4, p + 8));
+        chunks.push({ type, data: bytes.subarray(p + 8, p + 8 + length), raw: bytes.subarray(p, p + 12 + length) });
+        p += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+};
+
+export const isApng = (bytes) => PNG_SIGNATURE.every((b, i) => bytes[i] === b) && readChunks(bytes).some(c => c.type === 'acTL');
+
+// Splits an APNG into standalone PNGs.
+// Returns { width, height, frames: [{ png, x, y, width, height, delay, dispose, blend }] }
+// with dispose 0 = none, 1 = background, 2 = previous; blend 0 = source, 1 = over.
+export const splitApng = (bytes) => {
+    const chunks = readChunks(bytes);
+    const ihdr = chunks.find(c => c.type === 'IHDR');
+    if (!ihdr) throw new Error('Not a PNG file');
+    const ihdrView = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength);
+    const width = ihdrView.getUint32(0);
+    const height = ihdrView.getUint32(4);
+    const shared = chunks.filter(c => SHARED_CHUNKS.includes(c.type)).map(c => c.raw);
+
+    const makeChunk = (type, data) => {
+        const out = new Uint8Array(12 + data.length);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+        out.set(data, 8);
+        view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+        return out;
+    };
+    const buildPng = (frameWidth, frameHeight, dataChunks) => {
+        const header = ihdr.data.slice();
+        const hv = new DataView(header.buffer);
+        hv.setUint32(0, frameWidth);
+        hv.setUint32(4, frameHeight);
+        const parts = [Uint8Array.from(PNG_SIGNATURE), makeChunk('IHDR', header), ...shared,
+            ...dataChunks.map(d => makeChunk('IDAT', d)), makeChunk('IEND', new Uint8Array(0))];
+        const out = new Uint8Array(parts.reduce((a, c) => a + c.length, 0));
+        let pos = 0;
+        parts.forEach(c => { out.set(c, pos); pos += c.length; });
+        return out;
+    };
+
+    const frames = [];
+    let current = null;
+    const finish = () => {
+        if (current && current.data.length) {
+            const { control } = current;
+            frames.push({ ...control, png: buildPng(control.width, control.height, current.data) });
+        }
+        current = null;
+    };
+
+    chunks.forEach(({ type, data }) => {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        if (type === 'fcTL') {
+            finish();
+            const delayNum = view.getUint16(20);
+            const delayDen = view.getUint16(22) || 100;
+            current = {
+                control: {
+                    width: view.getUint32(4),
+                    height: view.getUint32(8),
+                    x: view.getUint32(12),
+                    y: view.getUint32(16),
+                    delay: Math.round(delayNum * 1000 / delayDen) || DEFAULT_GIF_DELAY,
+                    dispose: data[24],
+                    blend: data[25]
+                },
+                data: []
+            };
+        } else if (type === 'IDAT' && current) {
+            current.data.push(data);
+        } else if (type === 'fdAT' && current) {
+            current.data.push(data.subarray(4)); // Drop the sequence number
+        }
+    });
+    finish();
+
+    if (frames.length === 0) throw new Error('APNG has no frames');
+    return { width, height, frames };
+};
@@ -0,0 +1,475 @@
+import { hexToRgb } from './color.js';
+import { TRANSPARENT_INDEX } from './dither.js';
+import { crc32, zlibDeflate } from './deflate.js';
+import { writeZip } from './zip.js';
+
+// --- INDEXED BITMAP EXPORT ---
+// Encoders for the engine's indexed result ({ indices, palette, width, height }).
+// They write the actual palette instead of a 32-bit canvas dump. Formats
+// without transparency draw transparent pixels with the lightest palette color,
+// or with the reserved color when the result has a `transparentIndex`.
+
+export const BITMAP_FORMATS = {
+    PNG: { name: 'Indexed PNG (1/2/4/8-bit)', ext: 'png', mime: 'image/png' },
+    GIF: { name: 'GIF', ext: 'gif', mime: 'image/gif' },
+    BMP: { name: 'BMP (1/8-bit)', ext: 'bmp', mime: 'image/bmp' },
+    PBM: { name: 'PBM (1-bit)', ext: 'pbm', mime: 'image/x-portable-bitmap' },
+    PGM: { name: 'PGM (Grayscale)', ext: 'pgm', mime: 'image/x-portable-graymap' },
+    XBM: { name: 'X11 Bitmap (.xbm)', ext: 'xbm', mime: 'image/x-xbitmap' },
+    TGA: { name: 'TGA (Color-Mapped)', ext: 'tga', mime: 'image/x-tga' }
+};
+
+const luminance = ({ r, g, b }) => r * 0.299 + g * 0.587 + b * 0.114;
+
+// Nearest-neighbour resize of an indexed image (e.g. to the pixelSize-scaled size)
+export const scaleIndexedImage = (image, width, height) => {
+    if (width === image.width && height === image.height) return image;
+    const indices = new Int16Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const sy = Math.min(image.height - 1, Math.floor(y * image.height / height));
+        for (let x = 0; x < width; x++) {
+            const sx = Math.min(image.width - 1, Math.floor(x * image.width / width));
+            indices[y * width + x] = image.indices[sy * image.width + sx];
+        }
+    }
+    return { ...image, indices, width, height };
+};
+
+const hasTransparentPixels = (indices) => indices.some(i => i === TRANSPARENT_INDEX);
+
+// Palette as RGB plus where transparent pixels go. `transparent` is set when
+// the format can store it and a free palette slot exists. Animations pass
+// `hasTransparent` so every frame reserves the same slot. A reserved
+// `transparentIndex` is used as the slot as-is, since no opaque pixel uses it.
+const preparePalette = (image, supportsTransparency, maxColors = 256, hasTransparent = hasTransparentPixels(image.indices)) => {
+    const colors = image.palette.slice(0, maxColors).map(hexToRgb);
+    const paletteSize = colors.length;
+    let lightest = 0;
+    colors.forEach((c, i) => { if (luminance(c) > luminance(colors[lightest])) lightest = i; });
+    const reserved = image.transparentIndex ?? null;
+    if (reserved !== null && reserved >= 0 && reserved < colors.length) lightest = reserved;
+
+    let transparent = null;
+    if (lightest === reserved) {
+        if (supportsTransparency) transparent = reserved;
+    } else if (hasTransparent && supportsTransparency && colors.length < maxColors) {
+        transparent = colors.length;
+        colors.push({ r: 0, g: 0, b: 0 });
+    }
+    const fill = transparent ?? lightest;
+    const indices = new Uint8Array(image.indices.length);
+    for (let i = 0; i < indices.length; i++) {
+        const index = image.indices[i];
+        if (index === TRANSPARENT_INDEX) {
+            indices[i] = fill;
+            continue;
+        }
+        // Out-of-range indices would wrap in the Uint8Array and show a wrong color
+        if (!(index >= 0 && index < paletteSize)) throw new Error(`Pixel ${i} uses palette index ${index}, but the palette has ${paletteSize} colors`);
+        indices[i] = index;
+    }
+    return { colors, indices, transparent };
+};
+
+const bitsFor = (count) => {
+    let bits = 1;
+    while ((1 << bits) < count) bits++;
+    return bits;
+};
+
+// Packs `bits`-wide values MSB-first into rows padded to `rowAlign` bytes
+export const packRows = (indices, width, height, bits, rowAlign = 1, bottomUp = false) => {
+    const rowBytes = Math.ceil(Math.ceil(width * bits / 8) / rowAlign) * rowAlign;
+    const out = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        const row = (bottomUp ? height - 1 - y : y) * rowBytes;
+        for (let x = 0; x < width; x++) {
+            const bit = x * bits;
+            out[row + (bit >> 3)] |= indices[y * width + x] << (8 - bits - (bit & 7));
+        }
+    }
+    return { data: out, rowBytes };
+};
+
+const createByteWriter = () => {
+    const chunks = [];
+    let length = 0;
+    const push = (arr) => { chunks.push(arr); length += arr.length; };
+    return {
+        u8: (...values) => push(Uint8Array.from(values)),
+        u16le: (v) => push(Uint8Array.of(v & 0xff, (v >> 8) & 0xff)),
+        u32le: (v) => push(Uint8Array.of(v & 0xff, (v >> 8) & 0xff, (v >> 16) & 0xff, (v >>> 24) & 0xff)),
+        u32be: (v) => push(Uint8Array.of((v >>> 24) & 0xff, (v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff)),
+        bytes: (arr) => push(arr),
+        text: (str) => push(new TextEncoder().encode(str)),
+        finish: () => {
+            const out = new Uint8Array(length);
+            let pos = 0;
+            chunks.forEach(c => { out.set(c, pos); pos += c.length; });
+            return out;
+        }
+    };
+};
+
+// --- PNG ---
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const writePngChunk = (w, type, data) => {
+    const typed = new Uint8Array(4 + data.length);
+    for (let i = 0; i < 4; i++) typed[i] = type.charCodeAt(i);
+    typed.set(data, 4);
+    w.u32be(data.length);
+    w.bytes(typed);
+    w.u32be(crc32(typed));
+};
+
+const pngBitDepth = (colorCount) => {
+    const raw = bitsFor(colorCount);
+    return raw <= 1 ? 1 : raw <= 2 ? 2 : raw <= 4 ? 4 : 8;
+};
+
+// Compressed image data for IDAT/fdAT. Filter type 0 (None) on every row;
+// flat dithered rows compress fine without it.
+const pngImageData = (indices, width, height, bits) => {
+    const { data, rowBytes } = packRows(indices, width, height, bits);
+    const filtered = new Uint8Array((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) filtered.set(data.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+    return zlibDeflate(filtered);
+};
+
+// Signature, IHDR, PLTE and tRNS; `extra` chunks (e.g. acTL) go before PLTE
+const writePngHeader = (w, width, height, bits, colors, transparent, extra = []) => {
+    w.u8(...PNG_SIGNATURE);
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    ihdr.set([bits, 3, 0, 0, 0], 8); // Color type 3 = indexed
+    writePngChunk(w, 'IHDR', ihdr);
+    extra.forEach(([type, data]) => writePngChunk(w, type, data));
+    writePngChunk(w, 'PLTE', Uint8Array.from(colors.flatMap(c => [c.r, c.g, c.b])));
+    if (transparent !== null) {
+        const alpha = new Uint8Array(transparent + 1).fill(255);
+        alpha[transparent] = 0;
+        writePngChunk(w, 'tRNS', alpha);
+    }
+};
+
+const encodePng = (image) => {
+    const { width, height } = image;
+    const { colors, indices, transparent } = preparePalette(image, true);
+    const bits = pngBitDepth(colors.length);
+
+    const w = createByteWriter();
+    writePngHeader(w, width, height, bits, colors, transparent);
+    writePngChunk(w, 'IDAT', pngImageData(indices, width, height, bits));
+    writePngChunk(w, 'IEND', new Uint8Array(0));
+    return w.finish();
+};
+
+// --- GIF ---
+
+// Variable-width LZW as used by GIF (codes up to 12 bits, LSB-first)
+const lzwEncode = (indices, minCodeSize) => {
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    const out = [];
+    let bitBuf = 0, bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = eoiCode + 1;
+    let table = new Map();
+
+    const emit = (code) => {
+        bitBuf |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bitBuf & 0xff);
+            bitBuf >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    if (indices.length === 0) {
+        emit(eoiCode);
+        if (bitCount > 0) out.push(bitBuf & 0xff);
+        return Uint8Array.from(out);
+    }
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix * 256 + k;
+        const code = table.get(key);
+        if (code !== undefined) { prefix = code; continue; }
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            nextCode = eoiCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoiCode);
+    if (bitCount > 0) out.push(bitBuf & 0xff);
+    return Uint8Array.from(out);
+};
+
+// Splits data into GIF sub-blocks of at most 255 bytes plus a terminator
+const writeGifSubBlocks = (w, data) => {
+    for (let i = 0; i < data.length; i += 255) {
+        const block = data.subarray(i, i + 255);
+        w.u8(block.length);
+        w.bytes(block);
+    }
+    w.u8(0);
+};
+
+// Global color table padded to a power of two
+const writeGifColorTable = (w, colors, tableBits) => {
+    const table = new Uint8Array(3 << tableBits);
+    colors.forEach((c, i) => table.set([c.r, c.g, c.b], i * 3));
+    w.bytes(table);
+};
+
+const writeGifHeader = (w, width, height, colors, tableBits) => {
+    w.text('GIF89a');
+    w.u16le(width);
+    w.u16le(height);
+    w.u8(0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0);
+    writeGifColorTable(w, colors, tableBits);
+};
+
+// Full-size image descriptor plus LZW data
+const writeGifImage = (w, indices, width, height, tableBits) => {
+    w.u8(0x2c);
+    w.u16le(0); w.u16le(0); w.u16le(width); w.u16le(height);
+    w.u8(0);
+    const minCodeSize = Math.max(2, tableBits);
+    w.u8(minCodeSize);
+    writeGifSubBlocks(w, lzwEncode(indices, minCodeSize));
+};
+
+const encodeGif = (image) => {
+    const { width, height } = image;
+    const { colors, indices, transparent } = preparePalette(image, true);
+    const tableBits = bitsFor(colors.length);
+
+    const w = createByteWriter();
+    writeGifHeader(w, width, height, colors, tableBits);
+    if (transparent !== null) {
+        w.u8(0x21, 0xf9, 4, 0x01, 0, 0, transparent, 0); // Graphic Control Extension
+    }
+    writeGifImage(w, indices, width, height, tableBits);
+    w.u8(0x3b);
+    return w.finish();
+};
+
+// --- BMP ---
+// 1-bit for two-color palettes, otherwise 8-bit; rows bottom-up, 4-byte aligned
+
+const encodeBmp = (image) => {
+    const { width, height } = image;
+    const { colors, indices } = preparePalette(image, false);
+    const bits = colors.length <= 2 ? 1 : 8;
+    const { data } = packRows(indices, width, height, bits, 4, true);
+    const paletteSize = (1 << bits) * 4;
+    const offset = 14 + 40 + paletteSize;
+
+    const w = createByteWriter();
+    w.text('BM');
+    w.u32le(offset + data.length);
+    w.u32le(0);
+    w.u32le(offset);
+    w.u32le(40);
+    w.u32le(width);
+    w.u32le(height);
+    w.u16le(1);
+    w.u16le(bits);
+    w.u32le(0); // BI_RGB
+    w.u32le(data.length);
+    w.u32le(2835); w.u32le(2835); // 72 DPI
+    w.u32le(0); // Colors used: the full 2^bits table follows
+    w.u32le(0);
+    const table = new Uint8Array(paletteSize);
+    colors.forEach((c, i) => table.set([c.b, c.g, c.r, 0], i * 4));
+    w.bytes(table);
+    w.bytes(data);
+    return w.finish();
+};
+
+// --- NETPBM / XBM ---
+// 1-bit formats set a bit for every dark pixel (luminance below mid-grey)
+
+export const darkPixelMask = (image) => {
+    const { colors, indices } = preparePalette(image, false);
+    const dark = colors.map(c => (luminance(c) < 128 ? 1 : 0));
+    return Uint8Array.from(indices, i => dark[i]);
+};
+
+const encodePbm = (image) => {
+    const w = createByteWriter();
+    w.text(`P4\n${image.width} ${image.height}\n`);
+    w.bytes(packRows(darkPixelMask(image), image.width, image.height, 1).data);
+    return w.finish();
+};
+
+const encodePgm = (image) => {
+    const { colors, indices } = preparePalette(image, false);
+    const grays = colors.map(c => Math.round(luminance(c)));
+    const w = createByteWriter();
+    w.text(`P5\n${image.width} ${image.height}\n255\n`);
+    w.bytes(Uint8Array.from(indices, i => grays[i]));
+    return w.finish();
+};
+
+// XBM stores bits LSB-first within each byte
+const encodeXbm = (image, name) => {
+    const { width, height } = image;
+    const mask = darkPixelMask(image);
+    const rowBytes = Math.ceil(width / 8);
+    const bytes = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mask[y * width + x]) bytes[y * rowBytes + (x >> 3)] |= 1 << (x & 7);
+        }
+    }
+    const id = name.replace(/[^a-z0-9_]/gi, '_').replace(/^(\d)/, '_$1');
+    const lines = [];
+    for (let i = 0; i < bytes.length; i += 12) {
+        lines.push('   ' + Array.from(bytes.subarray(i, i + 12), b => `0x${b.toString(16).padStart(2, '0')}`).join(', '));
+    }
+    const w = createByteWriter();
+    w.text(`#define ${id}_width ${width}\n#define ${id}_height ${height}\nstatic unsigned char ${id}_bits[] = {\n${lines.join(',\n')} };\n`);
+    return w.finish();
+};
+
+// --- TGA ---
+// Uncompressed color-mapped (type 1), top-left origin; 32-bit map entries
+// when a transparent slot is needed
+
+const encodeTga = (image) => {
+    const { width, height } = image;
+    const { colors, indices, transparent } = preparePalette(image, true);
+    const entryBits = transparent !== null ? 32 : 24;
+
+    const w = createByteWriter();
+    w.u8(0, 1, 1);
+    w.u16le(0);
+    w.u16le(colors.length);
+    w.u8(entryBits);
+    w.u16le(0); w.u16le(0);
+    w.u16le(width); w.u16le(height);
+    w.u8(8, 0x20 | (entryBits === 32 ? 8 : 0));
+    colors.forEach((c, i) => {
+        if (entryBits === 32) w.u8(c.b, c.g, c.r, i === transparent ? 0 : 255);
+        else w.u8(c.b, c.g, c.r);
+    });
+    w.bytes(indices);
+    return w.finish();
+};
+
+const ENCODERS = {
+    PNG: encodePng,
+    GIF: encodeGif,
+    BMP: encodeBmp,
+    PBM: encodePbm,
+    PGM: encodePgm,
+    XBM: encodeXbm,
+    TGA: encodeTga
+};
+
+// image: { indices, palette, width, height, transparentIndex } as returned by ditherImage.
+// Returns the file contents as a Uint8Array.
+export const encodeBitmap = (format, image, name = 'bitmap') => ENCODERS[format](image, name);
+
+// --- ANIMATION EXPORT ---
+// Every frame shares the palette and covers the full canvas. When frames
+// have transparent pixels each one clears the previous before drawing.
+
+export const ANIMATION_FORMATS = {
+    GIF: { name: 'Animated GIF', ext: 'gif', mime: 'image/gif' },
+    APNG: { name: 'Animated PNG', ext: 'png', mime: 'image/apng' },
+    ZIP: { name: 'PNG Frames (.zip)', ext: 'zip', mime: 'application/zip' }
+};
+
+const encodeAnimatedGif = (frames, base, hasTransparent) => {
+    const prepared = frames.map(f => preparePalette({ ...base, indices: f.indices }, true, 256, hasTransparent));
+    const { colors, transparent } = prepared[0];
+    const tableBits = bitsFor(colors.length);
+
+    const w = createByteWriter();
+    writeGifHeader(w, base.width, base.height, colors, tableBits);
+    w.u8(0x21, 0xff, 11);
+    w.text('NETSCAPE2.0');
+    w.u8(3, 1, 0, 0, 0); // Loop forever
+    frames.forEach((frame, i) => {
+        const disposal = transparent !== null ? 2 : 1;
+        w.u8(0x21, 0xf9, 4, (disposal << 2) | (transparent !== null ? 1 : 0));
+        w.u16le(Math.round(frame.delay / 10));
+        w.u8(transparent ?? 0, 0);
+        writeGifImage(w, prepared[i].indices, base.width, base.height, tableBits);
+    });
+    w.u8(0x3b);
+    return w.finish();
+};
+
+const encodeApng = (frames, base, hasTransparent) => {
+    const { width, height } = base;
+    const prepared = frames.map(f => preparePalette({ ...base, indices: f.indices }, true, 256, hasTransparent));
+    const { colors, transparent } = prepared[0];
+    const bits = pngBitDepth(colors.length);
+
+    const actl = new Uint8Array(8);
+    new DataView(actl.buffer).setUint32(0, frames.length); // Plays: 0 = forever
+
+    const w = createByteWriter();
+    writePngHeader(w, width, height, bits, colors, transparent, [['acTL', actl]]);
+    let sequence = 0;
+    frames.forEach((frame, i) => {
+        const fctl = new Uint8Array(26);
+        const view = new DataView(fctl.buffer);
+        view.setUint32(0, sequence++);
+        view.setUint32(4, width);
+        view.setUint32(8, height);
+        view.setUint16(20, Math.round(frame.delay));
+        view.setUint16(22, 1000);
+        fctl[24] = transparent !== null ? 1 : 0; // Dispose to background
+        fctl[25] = 0; // Blend: source
+        writePngChunk(w, 'fcTL', fctl);
+
+        const data = pngImageData(prepared[i].indices, width, height, bits);
+        if (i === 0) {
+            writePngChunk(w, 'IDAT', data);
+        } else {
+            const fdat = new Uint8Array(4 + data.length);
+            new DataView(fdat.buffer).setUint32(0, sequence++);
+            fdat.set(data, 4);
+            writePngChunk(w, 'fdAT', fdat);
+        }
+    });
+    writePngChunk(w, 'IEND', new Uint8Array(0));
+    return w.finish();
+};
+
+// Indexed PNGs are already deflated, so the zip just stores them
+const encodeFrameZip = (frames, base, _, name) => writeZip(frames.map((frame, i) => ({
+    name: `${name}_${String(i + 1).padStart(4, '0')}.png`,
+    data: encodePng({ ...base, indices: frame.indices }),
+    compress: false
+})));
+
+const ANIMATION_ENCODERS = { GIF: encodeAnimatedGif, APNG: encodeApng, ZIP: encodeFrameZip };
+
+// frames: [{ indices, delay }] (delay in ms) sharing one palette and size.
+// Returns the file contents as a Uint8Array.
+export const encodeAnimation = (format, frames, palette, width, height, name = 'frame', transparentIndex = null) => {
+    const base = { palette, width, height, transparentIndex };
+    const hasTransparent = frames.some(f => hasTransparentPixels(f.indices));
+    return ANIMATION_ENCODERS[format](frames, base, hasTransparent, name);
+};
@@ -0,0 +1,135 @@
+import { createRng } from './random.js';
+
+// --- BLUE NOISE (VOID-AND-CLUSTER) ---
+// Ulichney's void-and-cluster method on a torus, so maps tile seamlessly like
+// the Bayer matrices. Maps are generated from a fixed seed and cached per size.
+
+export const BLUE_NOISE_SIZES = [16, 32, 64, 128];
+
+const SIGMA = 1.5;
+const INITIAL_DENSITY = 0.1;
+const GENERATOR_SEED = 0x5eed;
+
+const cache = new Map();
+
+// Toroidal Gaussian lookup indexed by (dy * size + dx)
+const createGaussian = (size) => {
+    const g = new Float64Array(size * size);
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            const ddx = Math.min(dx, size - dx);
+            const ddy = Math.min(dy, size - dy);
+            g[dy * size + dx] = Math.exp(-(ddx * ddx + ddy * ddy) / (2 * SIGMA * SIGMA));
+        }
+    }
+    return g;
+};
+
+const createField = (size, gauss) => {
+    const n = size * size;
+    const field = { pattern: new Uint8Array(n), energy: new Float64Array(n) };
+
+    // Only the Gaussian's support matters; beyond a few sigma it is ~0
+    const radius = Math.min(Math.floor(size / 2), Math.ceil(SIGMA * 6));
+
+    field.set = (p, on) => {
+        field.pattern[p] = on ? 1 : 0;
+        const sign = on ? 1 : -1;
+        const px = p % size, py = Math.floor(p / size);
+        for (let dy = -radius; dy < size - radius && dy <= radius; dy++) {
+            const y = (py + dy + size) % size;
+            const row = ((dy + size) % size) * size;
+            for (let dx = -radius; dx < size - radius && dx <= radius; dx++) {
+                const x = (px + dx + size) % size;
+                field.energy[y * size + x] += sign * gauss[row + (dx + size) % size];
+            }
+        }
+    };
+
+    // Highest-energy set pixel
+    field.tightestCluster = () => {
+        let best = -1, max = -Infinity;
+        for (let p = 0; p < n; p++) {
+            if (field.pattern[p] && field.energy[p] > max) { max = field.energy[p]; best = p; }
+        }
+        return best;
+    };
+
+    // Lowest-energy empty pixel
+    field.largestVoid = () => {
+        let best = -1, min = Infinity;
+        for (let p = 0; p < n; p++) {
+            if (!field.pattern[p] && field.energy[p] < min) { min = field.energy[p]; best = p; }
+        }
+        return best;
+    };
+
+    field.clone = () => {
+        const copy = createField(size, gauss);
+        copy.pattern.set(field.pattern);
+        copy.energy.set(field.energy);
+        return copy;
+    };
+
+    return field;
+};
+
+// Returns a Float32Array of thresholds in (0, 1), row-major, size x size
+const generateBlueNoise = (size) => {
+    const n = size * size;
+    const gauss = createGaussian(size);
+    const rng = createRng(GENERATOR_SEED + size);
+    const ranks = new Uint32Array(n);
+
+    // Initial binary pattern: random points, then relaxed by swapping
+    // the tightest cluster into the largest void until it is stable
+    const proto = createField(size, gauss);
+    const ones = Math.max(1, Math.floor(n * INITIAL_DENSITY));
+    let placed = 0;
+    while (placed < ones) {
+        const p = Math.floor(rng() * n);
+        if (proto.pattern[p]) continue;
+        proto.set(p, true);
+        placed++;
+    }
+    for (let guard = 0; guard < n; guard++) {
+        const cluster = proto.tightestCluster();
+        proto.set(cluster, false);
+        const hole = proto.largestVoid();
+        proto.set(hole, true);
+        if (hole === cluster) break;
+    }
+
+    // Phase 1: rank the initial points by removing tightest clusters
+    const phase1 = proto.clone();
+    for (let rank = ones - 1; rank >= 0; rank--) {
+        const cluster = phase1.tightestCluster();
+        phase1.set(cluster, false);
+        ranks[cluster] = rank;
+    }
+
+    // Phases 2 and 3: fill the largest voids. On a torus the tightest cluster
+    // of empty pixels is the largest void of set ones, so one loop covers both.
+    for (let rank = ones; rank < n; rank++) {
+        const hole = proto.largestVoid();
+        proto.set(hole, true);
+        ranks[hole] = rank;
+    }
+
+    const map = new Float32Array(n);
+    for (let p = 0; p < n; p++) map[p] = (ranks[p] + 0.5) / n;
+    return map;
+};
+
+export const getBlueNoiseMap = (size) => {
+    if (!cache.has(size)) cache.set(size, generateBlueNoise(size));
+    return cache.get(size);
+};
+
+// Cache transfer, so maps survive the worker being torn down on cancel
+export const exportBlueNoiseCache = () => Object.fromEntries(cache);
+
+export const importBlueNoiseCache = (maps) => {
+    if (!maps) return;
+    Object.entries(maps).forEach(([size, map]) => cache.set(Number(size), map));
+};
@@ -0,0 +1,211 @@
+import { hexToRgb } from './color.js';
+import { TRANSPARENT_INDEX } from './dither.js';
+import { crc32 } from './deflate.js';
+
+// --- FIRMWARE CODE EXPORT ---
+// Packs the engine's indexed result into the byte layouts small displays
+// expect and prints it as source code. Mono bits are set for light ("lit")
+// pixels; `invert` flips every bit of the output.
+
+export const CODE_FORMATS = {
+    C_HEADER: { name: 'C Header (uint8_t)', ext: 'h' },
+    ARDUINO: { name: 'Arduino PROGMEM', ext: 'h' },
+    ADAFRUIT_GFX: { name: 'Adafruit GFX Bitmap', ext: 'h' },
+    MICROPYTHON: { name: 'MicroPython bytearray', ext: 'py' }
+};
+
+export const PIXEL_ENCODINGS = {
+    MONO: '1-Bit Mono',
+    INDEX: 'Palette Index (8-bit)',
+    RGB332: 'RGB332',
+    RGB565: 'RGB565'
+};
+
+export const BYTE_PACKINGS = {
+    HORIZONTAL: 'Horizontal',
+    VERTICAL: 'Vertical',
+    PAGES: 'SSD1306 Pages'
+};
+
+const luminance = ({ r, g, b }) => r * 0.299 + g * 0.587 + b * 0.114;
+
+const toRgb565 = ({ r, g, b }) => ((r & 0xf8) << 8) | ((g & 0xfc) << 3) | (b >> 3);
+const toRgb332 = ({ r, g, b }) => (r & 0xe0) | ((g & 0xe0) >> 3) | (b >> 6);
+
+// Sets bit `n` (0 = first pixel) of a byte in the requested order
+const bitMask = (n, bitOrder) => (bitOrder === 'LSB' ? 1 << n : 0x80 >> n);
+
+const packMono = (lit, width, height, packing, bitOrder) => {
+    if (packing === 'HORIZONTAL') {
+        // Rows of ceil(width / 8) bytes, first pixel of each byte on the left
+        const rowBytes = Math.ceil(width / 8);
+        const out = new Uint8Array(rowBytes * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (lit[y * width + x]) out[y * rowBytes + (x >> 3)] |= bitMask(x & 7, bitOrder);
+            }
+        }
+        return out;
+    }
+    if (packing === 'VERTICAL') {
+        // Columns of ceil(height / 8) bytes, first pixel of each byte on top
+        const colBytes = Math.ceil(height / 8);
+        const out = new Uint8Array(colBytes * width);
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) {
+                if (lit[y * width + x]) out[x * colBytes + (y >> 3)] |= bitMask(y & 7, bitOrder);
+            }
+        }
+        return out;
+    }
+    // SSD1306 pages: 8-row bands, one byte per column, left to right
+    const pages = Math.ceil(height / 8);
+    const out = new Uint8Array(pages * width);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (lit[y * width + x]) out[(y >> 3) * width + x] |= bitMask(y & 7, bitOrder);
+        }
+    }
+    return out;
+};
+
+// image: { indices, palette, width, height, transparentIndex }; transparent
+// pixels take the reserved color when there is one. options: { encoding, packing,
+// bitOrder: 'MSB' | 'LSB', invert }. Returns { bytes, elementBits, palette565 };
+// 16-bit values are stored big-endian (display byte order).
+export const packFramebuffer = (image, options = {}) => {
+    const { encoding = 'MONO', packing = 'HORIZONTAL', bitOrder = 'MSB', invert = false } = options;
+    const { width, height } = image;
+    const reserved = image.transparentIndex ?? null;
+    const indices = reserved === null ? image.indices : Int16Array.from(image.indices, i => (i === TRANSPARENT_INDEX ? reserved : i));
+    const colors = image.palette.map(hexToRgb);
+    const count = width * height;
+    let bytes;
+    let elementBits = 8;
+
+    if (encoding === 'MONO') {
+        const litColor = colors.map(c => luminance(c) >= 128);
+        const lit = new Uint8Array(count);
+        for (let i = 0; i < count; i++) lit[i] = indices[i] !== TRANSPARENT_INDEX && litColor[indices[i]] ? 1 : 0;
+        bytes = packMono(lit, width, height, packing, bitOrder);
+    } else if (encoding === 'RGB565') {
+        elementBits = 16;
+        const values = colors.map(toRgb565);
+        bytes = new Uint8Array(count * 2);
+        for (let i = 0; i < count; i++) {
+            const v = indices[i] === TRANSPARENT_INDEX ? 0 : values[indices[i]];
+            bytes[i * 2] = v >> 8;
+            bytes[i * 2 + 1] = v & 0xff;
+        }
+    } else {
+        const values = encoding === 'RGB332' ? colors.map(toRgb332) : colors.map((_, i) => i);
+        bytes = Uint8Array.from(indices, i => (i === TRANSPARENT_INDEX ? 0 : values[i]));
+    }
+
+    if (invert) for (let i = 0; i < bytes.length; i++) bytes[i] ^= 0xff;
+    return { bytes, elementBits, palette565: encoding === 'INDEX' ? colors.map(toRgb565) : null };
+};
+
+// --- SOURCE GENERATION ---
+
+const hex8 = (v) => `0x${v.toString(16).padStart(2, '0')}`;
+const hex16 = (v) => `0x${v.toString(16).padStart(4, '0')}`;
+
+// Values as comma-separated lines of `perLine`
+const formatValues = (values, format, perLine, indent) => {
+    const lines = [];
+    for (let i = 0; i < values.length; i += perLine) lines.push(indent + values.slice(i, i + perLine).map(format).join(', '));
+    return lines.join(',\n');
+};
+
+const toElements = (bytes, elementBits) => {
+    if (elementBits === 8) return Array.from(bytes);
+    const values = [];
+    for (let i = 0; i < bytes.length; i += 2) values.push((bytes[i] << 8) | bytes[i + 1]);
+    return values;
+};
+
+// MicroPython framebuf constant for a layout, when one matches
+const framebufFormat = ({ encoding, packing, bitOrder }) => {
+    if (encoding === 'MONO') {
+        if (packing === 'PAGES' && bitOrder === 'LSB') return 'MONO_VLSB';
+        if (packing === 'HORIZONTAL') return bitOrder === 'MSB' ? 'MONO_HLSB' : 'MONO_HMSB';
+        return null;
+    }
+    if (encoding === 'RGB565') return 'RGB565';
+    // GS8 would read RGB332 bytes as gray levels; framebuf has no RGB332 mode
+    if (encoding === 'INDEX') return 'GS8';
+    return null;
+};
+
+// Adafruit GFX draws mono bitmaps row by row, MSB first
+const GFX_MONO = { packing: 'HORIZONTAL', bitOrder: 'MSB' };
+
+// Returns { code, bytes, checksum } where checksum is the CRC-32 of `bytes`.
+// options: packFramebuffer options plus { format, name }.
+export const generateCode = (image, options = {}) => {
+    const format = options.format || 'C_HEADER';
+    const packOptions = { encoding: 'MONO', packing: 'HORIZONTAL', bitOrder: 'MSB', ...options };
+    if (format === 'ADAFRUIT_GFX' && packOptions.encoding === 'MONO') Object.assign(packOptions, GFX_MONO);
+
+    const { bytes, elementBits, palette565 } = packFramebuffer(image, packOptions);
+    const checksum = crc32(bytes);
+    const { width, height } = image;
+    const name = (options.name || 'bitmap').replace(/[^a-z0-9_]/gi, '_').replace(/^(\d)/, '_$1');
+    const macro = name.toUpperCase();
+    const elements = toElements(bytes, elementBits);
+    const fmt = elementBits === 16 ? hex16 : hex8;
+    const perLine = elementBits === 16 ? 8 : 12;
+
+    const layout = packOptions.encoding === 'MONO'
+        ? `${PIXEL_ENCODINGS.MONO}, ${BYTE_PACKINGS[packOptions.packing]}, ${packOptions.bitOrder} first${packOptions.invert ? ', inverted' : ''}`
+        : `${PIXEL_ENCODINGS[packOptions.encoding]}${elementBits === 16 ? ', big-endian bytes' : ''}${packOptions.invert ? ', inverted' : ''}`;
+    const summary = `${name}: ${width}x${height}, ${layout}`;
+    const stats = `${bytes.length} bytes, CRC-32 0x${checksum.toString(16).padStart(8, '0')}`;
+
+    if (format === 'MICROPYTHON') {
+        const fb = framebufFormat(packOptions);
+        const lines = [
+            `# ${summary}`,
+            `# ${stats}`,
+            fb ? 'import framebuf' : null,
+            '',
+            `${macro}_WIDTH = ${width}`,
+            `${macro}_HEIGHT = ${height}`,
+            `${name} = bytearray([`,
+            formatValues(Array.from(bytes), hex8, 12, '    '),
+            '])'
+        ];
+        if (palette565) lines.push(`${name}_palette = [${palette565.map(hex16).join(', ')}]  # RGB565`);
+        if (fb) lines.push(`${name}_fb = framebuf.FrameBuffer(${name}, ${width}, ${height}, framebuf.${fb})`);
+        else if (packOptions.encoding === 'RGB332') lines.push('# framebuf has no RGB332 mode, so no FrameBuffer is made for this data');
+        return { code: lines.filter(l => l !== null).join('\n') + '\n', bytes, checksum };
+    }
+
+    const ctype = elementBits === 16 ? 'uint16_t' : 'uint8_t';
+    const progmem = format === 'C_HEADER' ? '' : ' PROGMEM';
+    const lines = [
+        `// ${summary}`,
+        `// ${stats}`,
+        '#pragma once',
+        format === 'C_HEADER' ? '#include <stdint.h>' : '#include <Arduino.h>',
+        '',
+        `#define ${macro}_WIDTH ${width}`,
+        `#define ${macro}_HEIGHT ${height}`,
+        ''
+    ];
+    if (format === 'ADAFRUIT_GFX') {
+        const call = packOptions.encoding === 'MONO'
+            ? `display.drawBitmap(x, y, ${name}, ${width}, ${height}, color);`
+            : elementBits === 16
+                ? `display.drawRGBBitmap(x, y, ${name}, ${width}, ${height});`
+                : `display.drawGrayscaleBitmap(x, y, ${name}, ${width}, ${height});`;
+        lines.push(`// ${call}`);
+    }
+    lines.push(`const ${ctype} ${name}[${elements.length}]${progmem} = {`, formatValues(elements, fmt, perLine, '    '), '};');
+    if (palette565) {
+        lines.push('', `// Palette as RGB565, indexed by the values above`,
+            `const uint16_t ${name}_palette[${palette565.length}]${progmem} = {`, formatValues(palette565, hex16, 8, '    '), '};');
+    }
+    return { code: lines.join('\n') + '\n', bytes, checksum };
+};
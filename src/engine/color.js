@@ -0,0 +1,187 @@
+// --- COLOR HELPERS ---
+
+// Helper to hex to rgb
+export const hexToRgb = (hex) => {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? { r: parseInt(result[1], 16), g: parseInt(result[2], 16), b: parseInt(result[3], 16) } : { r: 0, g: 0, b: 0 };
+};
+
+// Helper: Convert RGB object to Hex
+export const rgbToHex = (r, g, b) => {
+    const toHex = (n) => Math.round(n).toString(16).padStart(2, '0');
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+};
+
+// --- LINEAR LIGHT ---
+// sRGB transfer curve on the 0..255 scale used throughout the engine
+
+export const srgbToLinear = (v) => {
+    const c = v / 255;
+    return 255 * (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+};
+
+export const linearToSrgb = (v) => {
+    const c = Math.max(0, v) / 255;
+    return 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+};
+
+// --- COLOR SPACES ---
+
+const rgbToLinearTriplet = (r, g, b) => [srgbToLinear(r) / 255, srgbToLinear(g) / 255, srgbToLinear(b) / 255];
+
+// CIELAB, D65 white point
+export const rgbToLab = (r, g, b) => {
+    const [lr, lg, lb] = rgbToLinearTriplet(r, g, b);
+    const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+    const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+    const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+    const f = (t) => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+    const fx = f(x), fy = f(y), fz = f(z);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+// CIELAB (D65) back to sRGB, clamped to 0..255
+export const labToRgb = (L, a, b) => {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inv = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+    const x = inv(fx) * 0.95047, y = inv(fy), z = inv(fz) * 1.08883;
+    const lr = 3.2404542 * x - 1.5371385 * y - 0.4985314 * z;
+    const lg = -0.9692660 * x + 1.8760108 * y + 0.0415560 * z;
+    const lb = 0.0556434 * x - 0.2040259 * y + 1.0572252 * z;
+    const out = (v) => Math.max(0, Math.min(255, Math.round(linearToSrgb(v * 255))));
+    return { r: out(lr), g: out(lg), b: out(lb) };
+};
+
+export const rgbToOklab = (r, g, b) => {
+    const [lr, lg, lb] = rgbToLinearTriplet(r, g, b);
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+};
+
+// --- DISTANCES ---
+// All distances are squared (or squared-equivalent); they are only compared
+// or used as weights, never shown.
+
+const euclidean = (p, q) => (p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2 + (p[2] - q[2]) ** 2;
+
+// Redmean approximation in gamma-encoded sRGB
+const redmean = (p, q) => {
+    const rMean = (p[0] + q[0]) / 2;
+    const dR = p[0] - q[0];
+    const dG = p[1] - q[1];
+    const dB = p[2] - q[2];
+    return (2 + rMean / 256) * dR * dR + 4.0 * dG * dG + (2 + (255 - rMean) / 256) * dB * dB;
+};
+
+// CIEDE2000 on Lab triplets (returned squared)
+const deltaE2000 = (p, q) => {
+    const [L1, a1, b1] = p;
+    const [L2, a2, b2] = q;
+    const rad = Math.PI / 180;
+
+    const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+    const a1p = a1 * (1 + G), a2p = a2 * (1 + G);
+    const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+    const hue = (b, a) => {
+        if (a === 0 && b === 0) return 0;
+        const h = Math.atan2(b, a) / rad;
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hue(b1, a1p), h2p = hue(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * rad / 2);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) > 180) hbarp += h1p + h2p < 360 ? 360 : -360;
+        hbarp /= 2;
+    }
+
+    const T = 1 - 0.17 * Math.cos((hbarp - 30) * rad) + 0.24 * Math.cos(2 * hbarp * rad)
+        + 0.32 * Math.cos((3 * hbarp + 6) * rad) - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+    const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+    const l = dLp / Sl, c = dCp / Sc, h = dHp / Sh;
+    return l * l + c * c + h * h + Rt * c * h;
+};
+
+export const COLOR_METRICS = {
+    REDMEAN: 'Redmean (sRGB)',
+    LINEAR_RGB: 'Linear RGB',
+    LAB76: 'CIELAB ΔE76',
+    LAB2000: 'CIELAB ΔE2000',
+    OKLAB: 'OKLab'
+};
+
+// Each metric converts an sRGB color into its space once, then compares there
+const METRIC_SPACES = {
+    REDMEAN: { convert: (r, g, b) => [r, g, b], distance: redmean },
+    LINEAR_RGB: { convert: (r, g, b) => [srgbToLinear(r), srgbToLinear(g), srgbToLinear(b)], distance: euclidean },
+    LAB76: { convert: rgbToLab, distance: euclidean },
+    LAB2000: { convert: rgbToLab, distance: deltaE2000 },
+    OKLAB: { convert: rgbToOklab, distance: euclidean }
+};
+
+export const getColorMetric = (metric) => METRIC_SPACES[metric] || METRIC_SPACES.REDMEAN;
+
+// Nearest palette entries are memoized for integer RGB inputs only, so the
+// cache never changes a result; it's simply dropped when it grows past this
+// many colors
+const MATCH_CACHE_LIMIT = 1 << 18;
+
+// Returns (r, g, b) -> index of the nearest palette color under `metric`
+export const createNearestMatcher = (paletteRgb, metric) => {
+    const { convert, distance } = getColorMetric(metric);
+    const points = paletteRgb.map(p => convert(p.r, p.g, p.b));
+    const cache = new Map();
+
+    return (r, g, b) => {
+        // Diffused error leaves fractions and values outside 0..255; those are matched as-is
+        const cacheable = (r | 0) === r && (g | 0) === g && (b | 0) === b && ((r | g | b) & ~255) === 0;
+        const key = cacheable ? (r << 16) | (g << 8) | b : -1;
+        if (cacheable) {
+            const cached = cache.get(key);
+            if (cached !== undefined) return cached;
+        }
+
+        const c = convert(r, g, b);
+        let minDist = Infinity;
+        let best = 0;
+        for (let i = 0; i < points.length; i++) {
+            const dist = distance(c, points[i]);
+            if (dist < minDist) { minDist = dist; best = i; }
+        }
+
+        if (cacheable) {
+            if (cache.size >= MATCH_CACHE_LIMIT) cache.clear();
+            cache.set(key, best);
+        }
+        return best;
+    };
+};
@@ -0,0 +1,181 @@
+// --- DEFLATE ---
+// Small LZ77 + fixed-Huffman DEFLATE encoder and the checksums that PNG and
+// zip containers need. Dithered images are long runs of a few byte values,
+// so fixed codes get most of the way to zlib at a fraction of the code.
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+const HASH_BITS = 15;
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// LSB-first bit packer; Huffman codes are pushed reversed as DEFLATE requires
+const createBitWriter = (capacity) => {
+    let out = new Uint8Array(Math.max(64, capacity));
+    let pos = 0, bitBuf = 0, bitCount = 0;
+    const ensure = () => {
+        if (pos + 4 < out.length) return;
+        const next = new Uint8Array(out.length * 2);
+        next.set(out);
+        out = next;
+    };
+    const bits = (value, count) => {
+        bitBuf |= value << bitCount;
+        bitCount += count;
+        while (bitCount >= 8) {
+            ensure();
+            out[pos++] = bitBuf & 0xff;
+            bitBuf >>>= 8;
+            bitCount -= 8;
+        }
+    };
+    const huffman = (code, length) => {
+        let reversed = 0;
+        for (let i = 0; i < length; i++) reversed |= ((code >> i) & 1) << (length - 1 - i);
+        bits(reversed, length);
+    };
+    const finish = () => {
+        if (bitCount > 0) { ensure(); out[pos++] = bitBuf & 0xff; }
+        bitBuf = 0; bitCount = 0;
+        return out.subarray(0, pos);
+    };
+    return { bits, huffman, finish };
+};
+
+// Fixed literal/length code table (RFC 1951 3.2.6)
+const writeLiteral = (w, v) => {
+    if (v < 144) w.huffman(0x30 + v, 8);
+    else if (v < 256) w.huffman(0x190 + v - 144, 9);
+    else if (v < 280) w.huffman(v - 256, 7);
+    else w.huffman(0xc0 + v - 280, 8);
+};
+
+const findCode = (bases, value) => {
+    let i = bases.length - 1;
+    while (bases[i] > value) i--;
+    return i;
+};
+
+const writeMatch = (w, length, distance) => {
+    const lc = findCode(LENGTH_BASE, length);
+    writeLiteral(w, 257 + lc);
+    if (LENGTH_EXTRA[lc]) w.bits(length - LENGTH_BASE[lc], LENGTH_EXTRA[lc]);
+    const dc = findCode(DIST_BASE, distance);
+    w.huffman(dc, 5);
+    if (DIST_EXTRA[dc]) w.bits(distance - DIST_BASE[dc], DIST_EXTRA[dc]);
+};
+
+// Uncompressed blocks, for input that fixed codes would only grow
+const storeRaw = (input) => {
+    const blocks = Math.max(1, Math.ceil(input.length / 65535));
+    const out = new Uint8Array(input.length + blocks * 5);
+    let pos = 0;
+    for (let b = 0; b < blocks; b++) {
+        const chunk = input.subarray(b * 65535, (b + 1) * 65535);
+        out[pos] = b === blocks - 1 ? 1 : 0;
+        out[pos + 1] = chunk.length & 0xff;
+        out[pos + 2] = chunk.length >> 8;
+        out[pos + 3] = ~chunk.length & 0xff;
+        out[pos + 4] = (~chunk.length >> 8) & 0xff;
+        out.set(chunk, pos + 5);
+        pos += 5 + chunk.length;
+    }
+    return out;
+};
+
+// Raw DEFLATE stream (one fixed-Huffman block, or stored blocks when that
+// comes out smaller), as stored in zip entries
+export const deflateRaw = (input) => {
+    const w = createBitWriter(input.length / 2);
+    w.bits(1, 1); // BFINAL
+    w.bits(1, 2); // BTYPE = fixed Huffman
+
+    const head = new Int32Array(1 << HASH_BITS).fill(-1);
+    const prev = new Int32Array(WINDOW_SIZE);
+    const hash = (i) => ((input[i] << 10) ^ (input[i + 1] << 5) ^ input[i + 2]) & ((1 << HASH_BITS) - 1);
+    const insert = (i) => {
+        if (i + MIN_MATCH > input.length) return;
+        const h = hash(i);
+        prev[i % WINDOW_SIZE] = head[h];
+        head[h] = i;
+    };
+
+    let i = 0;
+    while (i < input.length) {
+        let bestLength = 0, bestDistance = 0;
+        if (i + MIN_MATCH <= input.length) {
+            const limit = Math.min(MAX_MATCH, input.length - i);
+            let candidate = head[hash(i)];
+            for (let chain = 0; candidate >= 0 && i - candidate <= WINDOW_SIZE && chain < MAX_CHAIN; chain++) {
+                let length = 0;
+                while (length < limit && input[candidate + length] === input[i + length]) length++;
+                if (length > bestLength) {
+                    bestLength = length;
+                    bestDistance = i - candidate;
+                    if (length === limit) break;
+                }
+                candidate = prev[candidate % WINDOW_SIZE];
+            }
+        }
+
+        if (bestLength >= MIN_MATCH) {
+            writeMatch(w, bestLength, bestDistance);
+            for (let k = 0; k < bestLength; k++) insert(i + k);
+            i += bestLength;
+        } else {
+            writeLiteral(w, input[i]);
+            insert(i);
+            i++;
+        }
+    }
+    writeLiteral(w, 256); // End of block
+    const out = w.finish();
+    return out.length > input.length + 5 * Math.ceil(input.length / 65535) ? storeRaw(input) : out;
+};
+
+// --- CHECKSUMS ---
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export const crc32 = (bytes, crc = 0) => {
+    let c = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return ~c >>> 0;
+};
+
+export const adler32 = (bytes) => {
+    let a = 1, b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+};
+
+// zlib container (as used by PNG IDAT chunks)
+export const zlibDeflate = (input) => {
+    const body = deflateRaw(input);
+    const out = new Uint8Array(body.length + 6);
+    out[0] = 0x78;
+    out[1] = 0x01;
+    out.set(body, 2);
+    const sum = adler32(input);
+    out[out.length - 4] = sum >>> 24;
+    out[out.length - 3] = (sum >>> 16) & 0xff;
+    out[out.length - 2] = (sum >>> 8) & 0xff;
+    out[out.length - 1] = sum & 0xff;
+    return out;
+};
@@ -0,0 +1,332 @@
+import { hexToRgb, createNearestMatcher, srgbToLinear, linearToSrgb } from './color.js';
+import { ERROR_KERNELS, normalizeTaps, fillVariableTaps } from './kernels.js';
+import { createThresholdFn, generateBayerMatrix, DEFAULT_ORDERED_STRENGTH } from './threshold.js';
+import { evenGrayLevels, grayPalette, nearestLevelTable } from './grayscale.js';
+import { hardwareConfig, planTiles } from './hardware.js';
+
+// --- DITHER ENGINE ---
+// Pure pipeline: RGBA buffer + settings in, indexed/RGBA result out.
+// No DOM access, so the UI, a worker and Node scripts all share it.
+
+export const DITHER_METHODS = {
+    NONE: 'Threshold (1-Bit)',
+    FLOYD: 'Floyd-Steinberg',
+    ATKINSON: 'Atkinson',
+    SIERRA: 'Sierra Lite',
+    SIERRA2: 'Two-Row Sierra',
+    SIERRA3: 'Sierra-3 (Full)',
+    JARVIS: 'Jarvis-Judice-Ninke',
+    STUCKI: 'Stucki',
+    BURKES: 'Burkes',
+    OSTROMOUKHOV: 'Ostromoukhov (Variable)',
+    BAYER2: 'Bayer Matrix 2x2',
+    BAYER4: 'Bayer Matrix 4x4',
+    BAYER8: 'Bayer Matrix 8x8',
+    BAYER_N: 'Bayer Matrix (Any Size)',
+    HALFTONE_DOT: 'Halftone Clustered Dot',
+    HALFTONE_LINE: 'Halftone Line Screen',
+    HALFTONE_DIAMOND: 'Halftone Diagonal',
+    THRESHOLD_MAP: 'Custom Threshold Map',
+    NOISE: 'Blue Noise (Void & Cluster)',
+    WHITE_NOISE: 'White Noise (Seeded)',
+    STRETCH: 'Stretch Error',
+    CUSTOM: 'Custom Kernel'
+};
+
+export const BW_PALETTE = ['#000000', '#FFFFFF'];
+
+// Index written for pixels that are skipped as transparent
+export const TRANSPARENT_INDEX = -1;
+
+// How source alpha becomes the result's 1-bit transparency. MATTE composites
+// onto a color first, so nothing is transparent.
+export const ALPHA_MODES = {
+    THRESHOLD: 'Threshold',
+    ORDERED: 'Ordered Dither',
+    DIFFUSED: 'Diffused Dither',
+    MATTE: 'Matte Color'
+};
+
+// Frame-to-frame stability for animations. Ordered and noise methods are
+// already locked to image coordinates; these mainly calm error diffusion.
+export const TEMPORAL_MODES = {
+    OFF: 'Off',
+    HOLD: 'Hold Unchanged Pixels',
+    BLEND: 'Blend Previous Error'
+};
+
+const clamp = (v) => Math.max(0, Math.min(255, v));
+
+// Input buffer: posterize to colorDepth, keep as floats so error can accumulate.
+// `encode` maps sRGB into the working space (identity, or linear light).
+// `matte` ({ r, g, b } or null) is composited under the pixels first.
+const createFloatBuffer = (source, width, height, colorDepth, encode, matte) => {
+    const floatBuffer = new Float32Array(width * height * 4);
+    const levels = Math.pow(2, colorDepth);
+    const step = 255 / (levels - 1);
+
+    for (let i = 0; i < width * height; i++) {
+        let r = source[i * 4], g = source[i * 4 + 1], b = source[i * 4 + 2];
+        let a = source[i * 4 + 3];
+        if (matte) {
+            const k = a / 255;
+            r = r * k + matte.r * (1 - k);
+            g = g * k + matte.g * (1 - k);
+            b = b * k + matte.b * (1 - k);
+            a = 255;
+        }
+
+        if (colorDepth < 8) {
+            r = Math.round(Math.round(r / step) * step);
+            g = Math.round(Math.round(g / step) * step);
+            b = Math.round(Math.round(b / step) * step);
+        }
+
+        floatBuffer[i * 4] = encode(r);
+        floatBuffer[i * 4 + 1] = encode(g);
+        floatBuffer[i * 4 + 2] = encode(b);
+        floatBuffer[i * 4 + 3] = a;
+    }
+    return floatBuffer;
+};
+
+// 1 where a pixel is drawn, 0 where it's transparent. Fully opaque and fully
+// transparent pixels never change; partial alpha is cut at `alphaThreshold`,
+// against an 8x8 Bayer pattern or with Floyd-Steinberg error on alpha alone.
+const createAlphaMask = (source, width, height, alphaMode, alphaThreshold) => {
+    const count = width * height;
+    const mask = new Uint8Array(count);
+    if (alphaMode === 'MATTE') return mask.fill(1);
+    const bias = 128 - alphaThreshold;
+    const bayer = alphaMode === 'ORDERED' ? generateBayerMatrix(8) : null;
+    const error = alphaMode === 'DIFFUSED' ? new Float32Array(count) : null;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const a = source[i * 4 + 3];
+            if (a === 0 || a === 255) {
+                mask[i] = a ? 1 : 0;
+                continue;
+            }
+            if (bayer) {
+                mask[i] = a + bias > (bayer[(y & 7) * 8 + (x & 7)] + 0.5) * 4 ? 1 : 0;
+            } else if (error) {
+                const value = a + error[i];
+                mask[i] = value + bias >= 128 ? 1 : 0;
+                const err = value - (mask[i] ? 255 : 0);
+                const spread = (nx, ny, factor) => {
+                    if (nx < 0 || nx >= width || ny >= height) return;
+                    const n = ny * width + nx;
+                    const na = source[n * 4 + 3];
+                    if (na !== 0 && na !== 255) error[n] += err * factor;
+                };
+                spread(x + 1, y, 7 / 16);
+                spread(x - 1, y + 1, 3 / 16);
+                spread(x, y + 1, 5 / 16);
+                spread(x + 1, y + 1, 1 / 16);
+            } else {
+                mask[i] = a >= alphaThreshold ? 1 : 0;
+            }
+        }
+    }
+    return mask;
+};
+
+// Per-pixel threshold bias for ordered, noise and halftone methods
+const createBiasFn = (settings) => {
+    const thresholdFn = createThresholdFn(settings);
+    if (!thresholdFn) return () => 0;
+    const strength = settings.orderedStrength ?? DEFAULT_ORDERED_STRENGTH;
+    return (x, y) => (thresholdFn(x, y) - 0.5) * strength;
+};
+
+// Error diffusion kernel for a method, or null for threshold/ordered methods
+export const resolveKernel = (ditherMethod, customKernel) => {
+    if (ditherMethod === 'CUSTOM') return customKernel || null;
+    return ERROR_KERNELS[ditherMethod] || null;
+};
+
+// Dither an RGBA buffer.
+// settings: { ditherMethod, threshold, colorDepth, palette, mode ('bw' | 'gray' |
+//             'color'), grayLevels, grayRamp, customKernel,
+//             serpentine, diffusionStrength, errorClamp, orderedStrength, colorMetric,
+//             linearLight, temporalMode, temporalThreshold, temporalBlend,
+//             previousFrame, alphaMode, alphaThreshold, matteColor,
+//             transparentIndex, hardwareMode, tileWidth, tileHeight, tileColors,
+//             pixelAspect, ...threshold map options }
+// Returns { data, indices, palette, width, height, errorField, transparentIndex };
+// `indices` holds the palette index per pixel (TRANSPARENT_INDEX for skipped
+// pixels). A `transparentIndex` >= 0 reserves that palette color for
+// transparency: opaque pixels never use it and exports write transparent
+// pixels with it; otherwise it's returned as null.
+// Gray mode picks the nearest of `grayLevels` (gray values, default 4 evenly
+// spaced) by luma and diffuses error against those grays; the result palette
+// is the levels as grays, or placed along `grayRamp` colors when given.
+// A hardware mode (color mode only) limits every tile to a subset of the
+// palette, see hardware.js; the result's `tiles` describes them, else null.
+// previousFrame: { source, indices, errorField } from the frame before, used by
+// the temporal modes; `errorField` (incoming error per pixel, RGB) is only
+// returned in BLEND mode.
+// `onRow(y)` is called after each finished row for progress reporting.
+export const ditherImage = (source, width, height, settings, onRow) => {
+    const { ditherMethod = 'FLOYD', threshold = 128, colorDepth = 8, mode = 'bw' } = settings;
+    const { serpentine = false, diffusionStrength = 100, errorClamp = 0, colorMetric = 'REDMEAN', linearLight = false } = settings;
+    const { temporalMode = 'OFF', temporalThreshold = 8, temporalBlend = 50, previousFrame = null } = settings;
+    const { alphaMode = 'THRESHOLD', alphaThreshold = 128, matteColor = '#FFFFFF' } = settings;
+    const levels = mode === 'gray' ? [...(settings.grayLevels || evenGrayLevels(4))].sort((a, b) => a - b) : null;
+    const palette = mode === 'bw' ? BW_PALETTE : levels ? grayPalette(levels, settings.grayRamp) : settings.palette;
+    const paletteRgb = palette.map(hex => ({ ...hexToRgb(hex), hex }));
+
+    const hardware = mode === 'color' ? hardwareConfig(settings) : null;
+
+    // A reserved color is left out of matching (color mode, and one must remain)
+    const reserved = settings.transparentIndex ?? -1;
+    const transparentIndex = mode === 'color' && !hardware && alphaMode !== 'MATTE' && reserved >= 0 && reserved < palette.length && palette.length > 1 ? reserved : null;
+    const matchable = paletteRgb.map((_, i) => i).filter(i => i !== transparentIndex);
+    const matchReduced = createNearestMatcher(matchable.map(i => paletteRgb[i]), colorMetric);
+    const matchColor = transparentIndex === null ? matchReduced : (r, g, b) => matchable[matchReduced(r, g, b)];
+
+    // Linear light: error is accumulated in linear values, while thresholds
+    // and palette matching still see gamma-encoded sRGB
+    const encode = linearLight ? srgbToLinear : (v) => v;
+    const decode = linearLight ? linearToSrgb : (v) => v;
+    // Gray levels carry error as the gray itself, whatever color they're written as
+    const paletteWork = levels
+        ? levels.map(v => [encode(v), encode(v), encode(v)])
+        : paletteRgb.map(p => [encode(p.r), encode(p.g), encode(p.b)]);
+    const levelIndex = levels && nearestLevelTable(levels);
+
+    const floatBuffer = createFloatBuffer(source, width, height, colorDepth, encode, alphaMode === 'MATTE' ? hexToRgb(matteColor) : null);
+    const opaque = createAlphaMask(source, width, height, alphaMode, alphaThreshold);
+
+    // Hardware tiles are planned on the posterized sRGB input, then each tile
+    // matches within its own colors
+    let tiles = null;
+    let tileMatchers = null;
+    if (hardware) {
+        const planData = new Uint8ClampedArray(floatBuffer.length);
+        for (let i = 0; i < floatBuffer.length; i++) planData[i] = (i & 3) === 3 ? floatBuffer[i] : decode(floatBuffer[i]);
+        tiles = { ...planTiles(planData, width, height, opaque, paletteRgb, colorMetric, hardware), pixelAspect: settings.pixelAspect ?? 1 };
+        const bySubset = new Map();
+        tileMatchers = tiles.tileColors.map(colors => {
+            const key = colors.join(',');
+            if (!bySubset.has(key)) {
+                const match = createNearestMatcher(colors.map(i => paletteRgb[i]), colorMetric);
+                bySubset.set(key, (r, g, b) => colors[match(r, g, b)]);
+            }
+            return bySubset.get(key);
+        });
+    }
+    const tileAt = (x, y) => Math.floor(y / tiles.tileHeight) * tiles.columns + Math.floor(x / tiles.tileWidth);
+    const previous = temporalMode !== 'OFF' && previousFrame?.indices?.length === width * height ? previousFrame : null;
+    const holdPixels = previous && temporalMode === 'HOLD' && previous.source;
+    const blendError = previous && temporalMode === 'BLEND' && previous.errorField ? temporalBlend / 100 : 0;
+    const errorField = temporalMode === 'BLEND' ? new Float32Array(width * height * 3) : null;
+    // Untouched input, kept when the carried error needs to be limited or blended
+    const baseBuffer = errorClamp > 0 || errorField ? floatBuffer.slice() : null;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const indices = new Int16Array(width * height);
+
+    const addErr = (x, y, errR, errG, errB, factor) => {
+        if (x < 0 || x >= width || y < 0 || y >= height) return;
+        if (!opaque[y * width + x]) return;
+        const idx = (y * width + x) * 4;
+        floatBuffer[idx] += errR * factor;
+        floatBuffer[idx + 1] += errG * factor;
+        floatBuffer[idx + 2] += errB * factor;
+    };
+
+    const userBias = threshold - 128;
+    const kernel = resolveKernel(ditherMethod, settings.customKernel);
+    const taps = kernel ? normalizeTaps(kernel) : null;
+    const getBias = createBiasFn(settings);
+    const strength = diffusionStrength / 100;
+    // Ordered patterns span one step between levels rather than black to white
+    const biasScale = levels ? Math.max(...levels.slice(1).map((v, i) => v - levels[i]), 1) / 255 : 1;
+
+    // Accumulated error at a pixel, optionally mixed with the previous frame's
+    // error there and limited to +-errorClamp
+    const readChannel = (idx) => {
+        if (!baseBuffer) return clamp(floatBuffer[idx]);
+        let err = floatBuffer[idx] - baseBuffer[idx];
+        if (errorField) {
+            const field = (idx >> 2) * 3 + (idx & 3);
+            if (blendError) err = err * (1 - blendError) + previous.errorField[field] * blendError;
+            errorField[field] = err;
+        }
+        if (errorClamp > 0) err = Math.max(-errorClamp, Math.min(errorClamp, err));
+        return clamp(baseBuffer[idx] + err);
+    };
+
+    // Source barely changed since the previous frame: keep its index
+    const heldIndex = (i) => {
+        const prev = previous.indices[i];
+        if (prev === TRANSPARENT_INDEX || prev >= palette.length || prev === transparentIndex) return -1;
+        if (tiles && !tiles.tileColors[tileAt(i % width, Math.floor(i / width))].includes(prev)) return -1;
+        const idx = i * 4;
+        for (let c = 0; c < 3; c++) {
+            if (Math.abs(source[idx + c] - previous.source[idx + c]) > temporalThreshold) return -1;
+        }
+        return prev;
+    };
+
+    for (let y = 0; y < height; y++) {
+        // Serpentine: odd rows run right-to-left with the kernel mirrored
+        const reverse = serpentine && taps && y % 2 === 1;
+        const dir = reverse ? -1 : 1;
+        for (let n = 0; n < width; n++) {
+            const x = reverse ? width - 1 - n : n;
+            const i = y * width + x;
+            const idx = i * 4;
+            if (!opaque[i]) {
+                indices[i] = TRANSPARENT_INDEX;
+                continue;
+            }
+
+            // CLAMP INPUT TO PREVENT RUNAWAY ERROR
+            const oldR = decode(readChannel(idx));
+            const oldG = decode(readChannel(idx + 1));
+            const oldB = decode(readChannel(idx + 2));
+
+            const ditherBias = getBias(x, y);
+
+            // A held pixel still diffuses the error of its held color
+            let index = holdPixels ? heldIndex(i) : -1;
+            if (index < 0 && mode === 'bw') {
+                const gray = (oldR * 0.299 + oldG * 0.587 + oldB * 0.114);
+                index = (gray + ditherBias + userBias) > 128 ? 1 : 0;
+            } else if (index < 0 && levels) {
+                const gray = (oldR * 0.299 + oldG * 0.587 + oldB * 0.114);
+                index = levelIndex[Math.round(clamp(gray + (ditherBias + userBias) * biasScale))];
+            } else if (index < 0) {
+                const effectiveR = clamp(oldR + ditherBias + userBias);
+                const effectiveG = clamp(oldG + ditherBias + userBias);
+                const effectiveB = clamp(oldB + ditherBias + userBias);
+                index = (tiles ? tileMatchers[tileAt(x, y)] : matchColor)(effectiveR, effectiveG, effectiveB);
+            }
+            const { r: newR, g: newG, b: newB } = paletteRgb[index];
+
+            if (taps) {
+                const targetR = clamp(oldR + userBias);
+                const targetG = clamp(oldG + userBias);
+                const targetB = clamp(oldB + userBias);
+                const [workR, workG, workB] = paletteWork[index];
+                const errR = (encode(targetR) - workR) * strength;
+                const errG = (encode(targetG) - workG) * strength;
+                const errB = (encode(targetB) - workB) * strength;
+
+                if (kernel.table) fillVariableTaps(kernel, targetR * 0.299 + targetG * 0.587 + targetB * 0.114, taps);
+                for (let t = 0; t < taps.length; t++) {
+                    const [dx, dy, factor] = taps[t];
+                    addErr(x + dx * dir, y + dy, errR, errG, errB, factor);
+                }
+            }
+
+            indices[i] = index;
+            data[idx] = newR; data[idx + 1] = newG; data[idx + 2] = newB; data[idx + 3] = 255;
+        }
+        if (onRow) onRow(y + 1);
+    }
+
+    return { data, indices, palette, width, height, errorField, transparentIndex, tiles };
+};
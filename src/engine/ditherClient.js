@@ -0,0 +1,177 @@
+import { DEFAULT_NOISE_SIZE } from './threshold.js';
+
+// --- DITHER CLIENT ---
+// Main-thread handle for the dither worker. Only one job runs at a time:
+// starting a new job (or calling cancel) terminates the one in flight, so a
+// long per-pixel loop never blocks fresh slider input.
+// Slow one-off work (blue-noise maps, file export) goes to a separate helper
+// worker that is never cancelled; blue-noise maps are cached here for every
+// later job. Palette extraction has a worker of its own, cancelled the same
+// way as dither jobs, since a slow one would otherwise hold up everything
+// queued behind it.
+
+const spawnWorker = () => new Worker(new URL('./ditherWorker.js', import.meta.url), { type: 'module' });
+
+export const createDitherClient = () => {
+    let worker = null;
+    let helperWorker = null;
+    let helperId = 0;
+    const helperRequests = new Map();
+    let jobId = 0;
+    let pending = null;
+    let paletteWorker = null;
+    let paletteId = 0;
+    let palettePending = null;
+    const blueNoiseMaps = new Map();
+
+    // A crashed helper rejects everything waiting on it; the next request
+    // starts a fresh one
+    const failHelper = (message) => {
+        helperWorker.terminate();
+        helperWorker = null;
+        helperRequests.forEach(({ reject }) => reject(new Error(message)));
+        helperRequests.clear();
+    };
+
+    // Request/response over the helper worker, matched by id
+    const requestHelper = (message) => {
+        if (!helperWorker) {
+            helperWorker = spawnWorker();
+            helperWorker.onmessage = (e) => {
+                const request = helperRequests.get(e.data.id);
+                if (!request) return;
+                helperRequests.delete(e.data.id);
+                if (e.data.type === 'error') request.reject(new Error(e.data.message));
+                else request.resolve(e.data);
+            };
+            helperWorker.onerror = (err) => failHelper(err.message || 'Helper worker failed');
+            helperWorker.onmessageerror = () => failHelper('Could not read a helper worker reply');
+        }
+        const id = ++helperId;
+        return new Promise((resolve, reject) => {
+            helperRequests.set(id, { resolve, reject });
+            try {
+                helperWorker.postMessage({ ...message, id });
+            } catch (err) {
+                helperRequests.delete(id);
+                reject(err);
+            }
+        });
+    };
+
+    // A failed map is dropped from the cache so the next job asks again
+    const requestBlueNoise = (size) => {
+        if (!blueNoiseMaps.has(size)) {
+            blueNoiseMaps.set(size, requestHelper({ type: 'blueNoise', size }).then(res => res.map, (err) => {
+                blueNoiseMaps.delete(size);
+                throw err;
+            }));
+        }
+        return blueNoiseMaps.get(size);
+    };
+
+    // Resolve the running extraction with null and throw its worker away
+    const cancelPalette = () => {
+        paletteId++;
+        if (!palettePending) return;
+        paletteWorker.terminate();
+        paletteWorker = null;
+        palettePending.resolve(null);
+        palettePending = null;
+    };
+
+    // Palette extraction off the main thread; `data` is an RGBA sample.
+    // Starting one cancels the last. Resolves with the colors, or null if cancelled.
+    const extractPalette = (data, method, count, options) => {
+        cancelPalette();
+        const id = paletteId;
+        if (!paletteWorker) paletteWorker = spawnWorker();
+        return new Promise((resolve, reject) => {
+            palettePending = { resolve };
+            paletteWorker.onmessage = (e) => {
+                if (e.data.id !== id) return;
+                palettePending = null;
+                if (e.data.type === 'error') reject(new Error(e.data.message));
+                else resolve(e.data.colors);
+            };
+            paletteWorker.onerror = (err) => {
+                palettePending = null;
+                paletteWorker.terminate();
+                paletteWorker = null;
+                reject(err);
+            };
+            paletteWorker.postMessage({ id, type: 'palette', data, method, count, options });
+        });
+    };
+
+    // SVG building can take a while on large images with traced paths
+    const buildSvg = (data, width, height, options) => requestHelper({ type: 'svg', data, width, height, options });
+
+    // Indexed file export; resolves with the file bytes
+    const encodeBitmap = (format, image, name) => requestHelper({ type: 'bitmap', format, image, name }).then(res => res.bytes);
+
+    // Animated GIF/APNG or frame zip from [{ indices, delay }] sharing one palette
+    const encodeAnimation = (format, frames, palette, width, height, name, transparentIndex = null) => requestHelper({ type: 'animation', format, frames, palette, width, height, name, transparentIndex }).then(res => res.bytes);
+
+    // Resolve the running job with null and throw its worker away
+    const cancel = () => {
+        jobId++;
+        if (!pending) return;
+        worker.terminate();
+        worker = null;
+        pending.resolve(null);
+        pending = null;
+    };
+
+    // imageData: ImageData (its buffer is transferred and becomes unusable)
+    // Resolves with the engine result, or null if the job was cancelled.
+    const run = async (imageData, settings, onProgress) => {
+        cancel();
+        const id = jobId;
+
+        const blueNoise = {};
+        if (settings.ditherMethod === 'NOISE') {
+            const size = settings.noiseSize || DEFAULT_NOISE_SIZE;
+            blueNoise[size] = await requestBlueNoise(size);
+            if (id !== jobId) return null; // Superseded while the map was generated
+        }
+
+        if (!worker) worker = spawnWorker();
+        return new Promise((resolve, reject) => {
+            pending = { resolve };
+
+            worker.onmessage = (e) => {
+                if (e.data.id !== id) return;
+                if (e.data.type === 'progress') {
+                    if (onProgress) onProgress(e.data.progress);
+                    return;
+                }
+                pending = null;
+                resolve(e.data.result);
+            };
+            worker.onerror = (err) => {
+                pending = null;
+                worker.terminate();
+                worker = null;
+                reject(err);
+            };
+
+            const { data, width, height } = imageData;
+            worker.postMessage({ id, buffer: data.buffer, width, height, settings, blueNoise }, [data.buffer]);
+        });
+    };
+
+    const dispose = () => {
+        cancel();
+        cancelPalette();
+        if (worker) worker.terminate();
+        if (helperWorker) failHelper('Dither client disposed');
+        if (paletteWorker) paletteWorker.terminate();
+        worker = null;
+        helperWorker = null;
+        paletteWorker = null;
+        blueNoiseMaps.clear();
+    };
+
+    return { run, cancel, extractPalette, cancelPalette, buildSvg, encodeBitmap, encodeAnimation, dispose };
+};
@@ -0,0 +1,75 @@
+import { ditherImage } from './dither.js';
+import { getBlueNoiseMap, importBlueNoiseCache } from './blueNoise.js';
+import { extractPalette } from './palette.js';
+import { buildSvg } from './svgExport.js';
+import { encodeBitmap, encodeAnimation } from './bitmapFormats.js';
+
+// --- DITHER WORKER ---
+// Runs the engine off the main thread. Buffers are transferred both ways.
+
+// Roughly how many progress messages to post per job
+const PROGRESS_STEPS = 50;
+
+self.onmessage = (e) => {
+    const { id, type } = e.data;
+
+    // Requests from the client's long-lived helper worker
+    if (type === 'blueNoise') {
+        try {
+            self.postMessage({ id, type: 'blueNoise', map: getBlueNoiseMap(e.data.size) });
+        } catch (err) {
+            self.postMessage({ id, type: 'error', message: err.message });
+        }
+        return;
+    }
+    if (type === 'palette') {
+        const { data, method, count, options } = e.data;
+        try {
+            self.postMessage({ id, type: 'palette', colors: extractPalette(data, method, count, options) });
+        } catch (err) {
+            self.postMessage({ id, type: 'error', message: err.message });
+        }
+        return;
+    }
+    if (type === 'svg') {
+        const { data, width, height, options } = e.data;
+        try {
+            self.postMessage({ id, type: 'svg', ...buildSvg(data, width, height, options) });
+        } catch (err) {
+            self.postMessage({ id, type: 'error', message: err.message });
+        }
+        return;
+    }
+    if (type === 'bitmap') {
+        try {
+            const bytes = encodeBitmap(e.data.format, e.data.image, e.data.name);
+            self.postMessage({ id, type: 'bitmap', bytes }, [bytes.buffer]);
+        } catch (err) {
+            self.postMessage({ id, type: 'error', message: err.message });
+        }
+        return;
+    }
+    if (type === 'animation') {
+        const { format, frames, palette, width, height, name, transparentIndex } = e.data;
+        try {
+            const bytes = encodeAnimation(format, frames, palette, width, height, name, transparentIndex);
+            self.postMessage({ id, type: 'animation', bytes }, [bytes.buffer]);
+        } catch (err) {
+            self.postMessage({ id, type: 'error', message: err.message });
+        }
+        return;
+    }
+
+    const { buffer, width, height, settings, blueNoise } = e.data;
+    importBlueNoiseCache(blueNoise);
+    const source = new Uint8ClampedArray(buffer);
+    const every = Math.max(1, Math.floor(height / PROGRESS_STEPS));
+
+    const result = ditherImage(source, width, height, settings, (row) => {
+        if (row % every === 0) self.postMessage({ id, type: 'progress', progress: row / height });
+    });
+
+    const transfer = [result.data.buffer, result.indices.buffer];
+    if (result.errorField) transfer.push(result.errorField.buffer);
+    self.postMessage({ id, type: 'done', result }, transfer);
+};
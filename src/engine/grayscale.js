@@ -0,0 +1,63 @@
+import { hexToRgb, rgbToHex } from './color.js';
+
+// --- GRAYSCALE ---
+// Multi-level gray output: N evenly spaced levels or a custom list of gray
+// values, optionally mapped onto a tint ramp (a gradient through two or more
+// colors). Dithering works on the gray levels; the ramp only decides which
+// color each level is written as.
+
+export const MIN_GRAY_LEVELS = 2;
+export const MAX_GRAY_LEVELS = 64;
+
+// Tint ramps, dark to light
+export const GRAY_RAMPS = {
+    NEUTRAL: { name: 'Neutral Gray', colors: ['#000000', '#FFFFFF'] },
+    GAMEBOY: { name: 'Game Boy', colors: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'] },
+    GAMEBOY_POCKET: { name: 'Game Boy Pocket', colors: ['#1f1f1f', '#4d533c', '#8b956d', '#c4cfa1'] },
+    EPAPER: { name: 'E-Paper', colors: ['#1a1a1a', '#e8e6df'] },
+    SEPIA: { name: 'Sepia', colors: ['#2e211b', '#805d46', '#e6cbb3'] },
+    CYANOTYPE: { name: 'Cyanotype', colors: ['#0b2545', '#3e6e9c', '#f2f5f7'] },
+    AMBER: { name: 'Amber Monitor', colors: ['#1a0d00', '#ffb000'] },
+    RISO: { name: 'Riso Pink/Blue', colors: ['#0078bf', '#ff48b0', '#fff7f0'] }
+};
+
+export const evenGrayLevels = (count) => Array.from({ length: count }, (_, i) => Math.round(i * 255 / (count - 1)));
+
+// "0, 85, 170, 255" -> { levels } (sorted, duplicates dropped) or { error }.
+// Empty text gives { levels: null }, meaning evenly spaced levels.
+export const parseGrayLevels = (text) => {
+    const parts = text.split(/[\s,;]+/).filter(Boolean);
+    if (parts.length === 0) return { levels: null };
+    const values = parts.map(Number);
+    if (!values.every(v => Number.isInteger(v) && v >= 0 && v <= 255)) return { error: 'Levels must be whole numbers from 0 to 255' };
+    const levels = [...new Set(values)].sort((a, b) => a - b);
+    if (levels.length < MIN_GRAY_LEVELS || levels.length > MAX_GRAY_LEVELS) {
+        return { error: `Use ${MIN_GRAY_LEVELS}-${MAX_GRAY_LEVELS} different levels` };
+    }
+    return { levels };
+};
+
+// Color at t (0..1) along a ramp of evenly spaced stops
+export const rampColor = (ramp, t) => {
+    if (ramp.length === 1) return ramp[0];
+    const pos = Math.min(1, Math.max(0, t)) * (ramp.length - 1);
+    const i = Math.min(ramp.length - 2, Math.floor(pos));
+    const f = pos - i;
+    const a = hexToRgb(ramp[i]);
+    const b = hexToRgb(ramp[i + 1]);
+    return rgbToHex(a.r + (b.r - a.r) * f, a.g + (b.g - a.g) * f, a.b + (b.b - a.b) * f);
+};
+
+// Output color per level: plain gray, or the level's place on the ramp
+export const grayPalette = (levels, ramp = null) => levels.map(v => (ramp ? rampColor(ramp, v / 255) : rgbToHex(v, v, v)));
+
+// Nearest level index for every gray value 0..255
+export const nearestLevelTable = (levels) => {
+    const table = new Uint8Array(256);
+    let i = 0;
+    for (let v = 0; v < 256; v++) {
+        while (i < levels.length - 1 && Math.abs(levels[i + 1] - v) <= Math.abs(levels[i] - v)) i++;
+        table[v] = i;
+    }
+    return table;
+};
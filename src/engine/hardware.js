@@ -0,0 +1,437 @@
+import { getColorMetric, createNearestMatcher } from './color.js';
+import { PALETTE_PRESETS } from './palette.js';
+
+// --- HARDWARE MODES ---
+// Retro hardware limits how many colors each block of pixels may use. Every
+// tile first gets the allowed subset of palette colors that best covers it,
+// counting the colors it can mix by dithering between two of them; the
+// engine then dithers each pixel within its tile's subset. Tile sizes are in
+// dither pixels, so a C64 multicolor tile is 4 (double-wide) pixels across.
+
+const ZX_COLORS = PALETTE_PRESETS.ZX_SPECTRUM.colors;
+
+export const HARDWARE_MODES = {
+    NONE: { name: 'Off' },
+    ZX_SPECTRUM: {
+        name: 'ZX Spectrum (2 per 8×8)', palette: 'ZX_SPECTRUM', tileWidth: 8, tileHeight: 8, tileColors: 2,
+        pixelAspect: 1, width: 256, height: 192,
+        // Both colors of a cell share the BRIGHT bit
+        groups: [ZX_COLORS.slice(0, 8), [ZX_COLORS[0], ...ZX_COLORS.slice(8)]]
+    },
+    NES: {
+        name: 'NES (4 Subpalettes, 16×16)', palette: 'NES', tileWidth: 16, tileHeight: 16, tileColors: 4,
+        subpalettes: 4, sharedBackground: true, pixelAspect: 8 / 7, width: 256, height: 240
+    },
+    C64_MULTICOLOR: {
+        name: 'C64 Multicolor (4 per 4×8)', palette: 'C64', tileWidth: 4, tileHeight: 8, tileColors: 4,
+        sharedBackground: true, pixelAspect: 2, width: 160, height: 200
+    },
+    C64_HIRES: {
+        name: 'C64 Hires (2 per 8×8)', palette: 'C64', tileWidth: 8, tileHeight: 8, tileColors: 2,
+        pixelAspect: 1, width: 320, height: 200
+    },
+    CUSTOM: { name: 'Custom Tiles' }
+};
+
+export const MAX_TILE_SIZE = 64;
+export const MAX_TILE_COLORS = 16;
+
+// Tile rules for the settings, or null when output is unconstrained.
+// CUSTOM reads { tileWidth, tileHeight, tileColors } from the settings.
+export const hardwareConfig = ({ hardwareMode = 'NONE', tileWidth = 8, tileHeight = 8, tileColors = 2 }) => {
+    if (hardwareMode === 'NONE' || !HARDWARE_MODES[hardwareMode]) return null;
+    if (hardwareMode === 'CUSTOM') return { mode: hardwareMode, tileWidth, tileHeight, tileColors };
+    return { ...HARDWARE_MODES[hardwareMode], mode: hardwareMode };
+};
+
+// Candidate colors kept per tile before searching subsets
+const MAX_CANDIDATES = 16;
+// Largest number of subsets tried exhaustively; beyond it the search is greedy
+const MAX_SUBSETS = 5000;
+// Share of the plain nearest-color distance added to the mixing distance, so
+// between equally good pairs the closer colors win over a noisy spread
+const NEAREST_WEIGHT = 0.25;
+
+const combinationCount = (n, k) => {
+    let c = 1;
+    for (let i = 0; i < k; i++) c = c * (n - i) / (i + 1);
+    return Math.round(c);
+};
+
+// Calls visit(subset) for every k-element subset of `items`
+const forEachCombination = (items, k, visit, start = 0, picked = []) => {
+    if (picked.length === k) { visit(picked); return; }
+    for (let i = start; i <= items.length - (k - picked.length); i++) {
+        picked.push(items[i]);
+        forEachCombination(items, k, visit, i + 1, picked);
+        picked.pop();
+    }
+};
+
+const createPlanner = (paletteRgb, metric) => {
+    const { convert, distance } = getColorMetric(metric);
+    const points = paletteRgb.map(p => convert(p.r, p.g, p.b));
+    const converted = new Map();
+    const toSpace = (key) => {
+        let c = converted.get(key);
+        if (!c) {
+            c = convert(key >> 16, (key >> 8) & 255, key & 255);
+            converted.set(key, c);
+        }
+        return c;
+    };
+
+    // Distance from c to the closest mix of palette colors a and b
+    const mixDistance = (c, a, b) => {
+        const p = points[a], q = points[b];
+        let t = 0, len = 0;
+        for (let k = 0; k < 3; k++) {
+            const d = q[k] - p[k];
+            t += (c[k] - p[k]) * d;
+            len += d * d;
+        }
+        t = len > 0 ? Math.min(1, Math.max(0, t / len)) : 0;
+        return distance(c, [p[0] + (q[0] - p[0]) * t, p[1] + (q[1] - p[1]) * t, p[2] + (q[2] - p[2]) * t]);
+    };
+
+    // hist: [{ c, count }]. Cost of covering it with the palette indices in `subset`.
+    const subsetCost = (hist, subset) => {
+        let total = 0;
+        for (const { c, count } of hist) {
+            let nearest = Infinity, mix = Infinity;
+            for (let i = 0; i < subset.length; i++) {
+                nearest = Math.min(nearest, distance(c, points[subset[i]]));
+                for (let j = i + 1; j < subset.length; j++) mix = Math.min(mix, mixDistance(c, subset[i], subset[j]));
+            }
+            total += count * (Math.min(mix, nearest) + NEAREST_WEIGHT * nearest);
+        }
+        return total;
+    };
+
+    // Candidates that are among the 3 nearest colors of many pixels
+    const shortlist = (hist, candidates, fixed) => {
+        if (candidates.length <= MAX_CANDIDATES) return candidates;
+        const score = new Map();
+        for (const { c, count } of hist) {
+            candidates
+                .map(i => [i, distance(c, points[i])])
+                .sort((a, b) => a[1] - b[1])
+                .slice(0, 3)
+                .forEach(([i]) => score.set(i, (score.get(i) || 0) + count));
+        }
+        const ranked = candidates.filter(i => !fixed.includes(i)).sort((a, b) => (score.get(b) || 0) - (score.get(a) || 0));
+        return [...fixed.filter(i => candidates.includes(i)), ...ranked.slice(0, MAX_CANDIDATES - fixed.length)];
+    };
+
+    // Best `size` colors for a histogram: `fixed` colors always included,
+    // the rest picked from `candidates`. Returns palette indices. Distances
+    // to each pool color and each two-color mix are computed once up front.
+    const bestSubset = (hist, candidates, size, fixed = []) => {
+        const free = shortlist(hist, candidates, fixed).filter(i => !fixed.includes(i));
+        const k = Math.min(size - fixed.length, free.length);
+        if (hist.length === 0 || k <= 0) return [...fixed, ...free.slice(0, Math.max(0, k))];
+
+        const pool = [...fixed, ...free];
+        const m = pool.length;
+        const near = new Float64Array(hist.length * m);
+        const mix = new Float64Array(hist.length * m * m);
+        hist.forEach(({ c }, p) => {
+            for (let a = 0; a < m; a++) {
+                near[p * m + a] = distance(c, points[pool[a]]);
+                for (let b = a + 1; b < m; b++) mix[(p * m + a) * m + b] = mixDistance(c, pool[a], pool[b]);
+            }
+        });
+        // slots: positions in `pool`
+        const cost = (slots) => {
+            let total = 0;
+            for (let p = 0; p < hist.length; p++) {
+                let nearest = Infinity, mixed = Infinity;
+                for (let i = 0; i < slots.length; i++) {
+                    nearest = Math.min(nearest, near[p * m + slots[i]]);
+                    for (let j = i + 1; j < slots.length; j++) {
+                        const a = Math.min(slots[i], slots[j]), b = Math.max(slots[i], slots[j]);
+                        mixed = Math.min(mixed, mix[(p * m + a) * m + b]);
+                    }
+                }
+                total += hist[p].count * (Math.min(mixed, nearest) + NEAREST_WEIGHT * nearest);
+            }
+            return total;
+        };
+
+        const fixedSlots = fixed.map((_, i) => i);
+        const freeSlots = free.map((_, i) => fixed.length + i);
+        let best = null, bestCost = Infinity;
+        if (combinationCount(free.length, k) <= MAX_SUBSETS) {
+            forEachCombination(freeSlots, k, (picked) => {
+                const slots = [...fixedSlots, ...picked];
+                const c = cost(slots);
+                if (c < bestCost) { bestCost = c; best = slots; }
+            });
+        } else {
+            // Greedy: add the color that helps most, then try single swaps
+            best = fixedSlots;
+            while (best.length < fixed.length + k) {
+                let pick = -1, pickCost = Infinity;
+                freeSlots.forEach(slot => {
+                    if (best.includes(slot)) return;
+                    const c = cost([...best, slot]);
+                    if (c < pickCost) { pickCost = c; pick = slot; }
+                });
+                best = [...best, pick];
+                bestCost = pickCost;
+            }
+            for (let s = fixed.length; s < best.length; s++) {
+                freeSlots.forEach(slot => {
+                    if (best.includes(slot)) return;
+                    const trial = best.map((v, j) => (j === s ? slot : v));
+                    const c = cost(trial);
+                    if (c < bestCost) { bestCost = c; best = trial; }
+                });
+            }
+        }
+        return best.map(slot => pool[slot]);
+    };
+
+    return { toSpace, subsetCost, bestSubset };
+};
+
+// Colors are grouped to 5 bits per channel while planning
+const quantize = (v) => Math.min(255, Math.round(v / 8) * 8);
+
+// Opaque pixel colors of one tile as [{ key, c (metric space), count }]
+const tileHistogram = (data, width, height, opaque, x0, y0, tw, th, toSpace) => {
+    const counts = new Map();
+    for (let y = y0; y < Math.min(height, y0 + th); y++) {
+        for (let x = x0; x < Math.min(width, x0 + tw); x++) {
+            const i = y * width + x;
+            if (!opaque[i]) continue;
+            const key = (quantize(data[i * 4]) << 16) | (quantize(data[i * 4 + 1]) << 8) | quantize(data[i * 4 + 2]);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+    return [...counts].map(([key, count]) => ({ key, c: toSpace(key), count }));
+};
+
+// Largest merged histogram kept when fitting a shared subpalette
+const MAX_MERGED_COLORS = 512;
+
+// Merges tile histograms (for a subpalette shared by several tiles), keeping
+// the most common colors
+const mergeHistograms = (hists) => {
+    const merged = new Map();
+    hists.forEach(hist => hist.forEach(entry => {
+        const found = merged.get(entry.key);
+        merged.set(entry.key, found ? { ...found, count: found.count + entry.count } : entry);
+    }));
+    return [...merged.values()].sort((a, b) => b.count - a.count).slice(0, MAX_MERGED_COLORS);
+};
+
+// Palette color that is nearest for the most pixels, e.g. a shared background
+const dominantColor = (data, opaque, paletteRgb, metric, candidates) => {
+    const match = createNearestMatcher(candidates.map(i => paletteRgb[i]), metric);
+    const counts = new Uint32Array(candidates.length);
+    for (let i = 0; i < opaque.length; i++) {
+        if (opaque[i]) counts[match(data[i * 4], data[i * 4 + 1], data[i * 4 + 2])]++;
+    }
+    return candidates[counts.indexOf(Math.max(...counts))];
+};
+
+const SUBPALETTE_PASSES = 4;
+
+// Picks each tile's allowed colors.
+// data: RGBA (sRGB) of the dither grid; opaque: 1 per drawn pixel.
+// config: from hardwareConfig. Returns { mode, tileWidth, tileHeight, columns,
+// rows, tileColors (palette indices per tile, row-major), background,
+// subpalettes, tileSubpalette }; the last three are null unless the mode has them.
+export const planTiles = (data, width, height, opaque, paletteRgb, metric, config) => {
+    const { tileWidth, tileHeight, tileColors: size } = config;
+    const columns = Math.ceil(width / tileWidth);
+    const rows = Math.ceil(height / tileHeight);
+    const planner = createPlanner(paletteRgb, metric);
+    const all = paletteRgb.map((_, i) => i);
+
+    // Palette indices per group; groups only apply when every color has one
+    let groups = [all];
+    if (config.groups) {
+        const hexGroups = config.groups.map(g => g.map(c => c.toUpperCase()));
+        const byGroup = hexGroups.map(g => all.filter(i => g.includes(paletteRgb[i].hex.toUpperCase())));
+        if (all.every(i => byGroup.some(g => g.includes(i)))) groups = byGroup;
+    }
+
+    const background = config.sharedBackground ? dominantColor(data, opaque, paletteRgb, metric, all) : null;
+    const fixed = background !== null ? [background] : [];
+    const hists = [];
+    for (let ty = 0; ty < rows; ty++) {
+        for (let tx = 0; tx < columns; tx++) {
+            hists.push(tileHistogram(data, width, height, opaque, tx * tileWidth, ty * tileHeight, tileWidth, tileHeight, planner.toSpace));
+        }
+    }
+    const best = (hist) => {
+        let choice = null, cost = Infinity;
+        groups.forEach(group => {
+            const subset = planner.bestSubset(hist, group, size, fixed.filter(i => group.includes(i)));
+            const c = planner.subsetCost(hist, subset);
+            if (!choice || c < cost) { choice = subset; cost = c; }
+        });
+        return choice.sort((a, b) => (a === background ? -1 : b === background ? 1 : a - b));
+    };
+
+    if (!config.subpalettes) {
+        return { mode: config.mode, tileWidth, tileHeight, columns, rows, tileColors: hists.map(best), background, subpalettes: null, tileSubpalette: null };
+    }
+
+    // Shared subpalettes: start from the most common per-tile choices, then
+    // alternate assigning tiles and refitting each subpalette to its tiles
+    const own = hists.map(best);
+    const counts = new Map();
+    own.forEach((s, t) => {
+        const key = s.join(',');
+        counts.set(key, (counts.get(key) || 0) + hists[t].reduce((a, e) => a + e.count, 0));
+    });
+    const ranked = [...counts].sort((a, b) => b[1] - a[1]).map(([key]) => key.split(',').map(Number));
+    let subpalettes = Array.from({ length: config.subpalettes }, (_, i) => ranked[Math.min(i, ranked.length - 1)]);
+    let assignment = [];
+    for (let pass = 0; pass < SUBPALETTE_PASSES; pass++) {
+        assignment = hists.map(hist => {
+            let pick = 0, cost = Infinity;
+            subpalettes.forEach((s, i) => {
+                const c = planner.subsetCost(hist, s);
+                if (c < cost) { cost = c; pick = i; }
+            });
+            return pick;
+        });
+        subpalettes = subpalettes.map((s, i) => {
+            const members = hists.filter((_, t) => assignment[t] === i);
+            return members.length ? best(mergeHistograms(members)) : s;
+        });
+    }
+    return {
+        mode: config.mode, tileWidth, tileHeight, columns, rows,
+        tileColors: assignment.map(i => subpalettes[i]),
+        background, subpalettes, tileSubpalette: assignment
+    };
+};
+
+// --- HARDWARE EXPORT ---
+// Tile data for converters, plus native files when the result matches the
+// machine's screen size and palette.
+
+export const HARDWARE_EXPORTS = {
+    JSON: { name: 'Tile Data (.json)', ext: 'json', mime: 'application/json' },
+    SCR: { name: 'ZX Spectrum Screen (.scr)', ext: 'scr', mime: 'application/octet-stream', mode: 'ZX_SPECTRUM' },
+    KOALA: { name: 'C64 Koala Painter (.kla)', ext: 'kla', mime: 'application/octet-stream', mode: 'C64_MULTICOLOR' }
+};
+
+const TILE_DATA_FORMAT = 'bitmap-fono-tiles';
+
+const samePalette = (palette, key) => {
+    const preset = PALETTE_PRESETS[key].colors;
+    return palette.length === preset.length && palette.every((c, i) => c.toUpperCase() === preset[i].toUpperCase());
+};
+
+// Why `format` can't be written for this result, or null.
+// image: { indices, palette, width, height, tiles } as returned by ditherImage.
+export const hardwareExportError = (format, image) => {
+    const { tiles } = image;
+    if (!tiles) return 'Needs a hardware mode';
+    const target = HARDWARE_EXPORTS[format].mode;
+    if (!target) return null;
+    const mode = HARDWARE_MODES[target];
+    if (tiles.mode !== target) return `Needs the ${mode.name} mode`;
+    if (image.width !== mode.width || image.height !== mode.height) return `Needs a ${mode.width}×${mode.height} dither grid`;
+    if (!samePalette(image.palette, mode.palette)) return `Needs the ${PALETTE_PRESETS[mode.palette].name} palette`;
+    return null;
+};
+
+// Each pixel's position within its tile's colors (transparent pixels use 0)
+const tileValues = (image) => {
+    const { indices, width, height, tiles } = image;
+    const values = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const colors = tiles.tileColors[Math.floor(y / tiles.tileHeight) * tiles.columns + Math.floor(x / tiles.tileWidth)];
+            values[i] = Math.max(0, colors.indexOf(indices[i]));
+        }
+    }
+    return values;
+};
+
+const encodeTileData = (image, name) => {
+    const { width, height, palette, tiles } = image;
+    const values = tileValues(image);
+    const json = {
+        format: TILE_DATA_FORMAT,
+        version: 1,
+        name,
+        mode: tiles.mode,
+        width,
+        height,
+        pixelAspect: tiles.pixelAspect,
+        tileWidth: tiles.tileWidth,
+        tileHeight: tiles.tileHeight,
+        columns: tiles.columns,
+        rows: tiles.rows,
+        palette,
+        background: tiles.background,
+        subpalettes: tiles.subpalettes,
+        // Per tile, row-major: palette indices, and the subpalette when shared
+        tiles: tiles.tileColors.map((colors, t) => (tiles.subpalettes ? { colors, subpalette: tiles.tileSubpalette[t] } : { colors })),
+        // Per pixel: position within its tile's colors
+        pixels: Array.from({ length: height }, (_, y) => Array.from(values.subarray(y * width, (y + 1) * width)))
+    };
+    return new TextEncoder().encode(JSON.stringify(json));
+};
+
+// 6144 bytes of bitmap in the Spectrum's interleaved row order, then 768
+// attributes (bright << 6 | paper << 3 | ink)
+const encodeScr = (image) => {
+    const { indices, tiles } = image;
+    const out = new Uint8Array(6912);
+    const code = (i) => (i >= 8 ? i - 7 : i);
+    tiles.tileColors.forEach((colors, t) => {
+        const [paper, ink = paper] = colors;
+        const bright = colors.some(i => i >= 8) ? 1 : 0;
+        out[6144 + t] = (bright << 6) | (code(paper) << 3) | code(ink);
+    });
+    for (let y = 0; y < 192; y++) {
+        const row = ((y & 0xc0) << 5) | ((y & 0x07) << 8) | ((y & 0x38) << 2);
+        for (let x = 0; x < 256; x++) {
+            const colors = tiles.tileColors[(y >> 3) * 32 + (x >> 3)];
+            if (colors.length > 1 && indices[y * 256 + x] === colors[1]) out[row | (x >> 3)] |= 0x80 >> (x & 7);
+        }
+    }
+    return out;
+};
+
+// Load address $6000, 8000 bytes of bitmap, 1000 screen bytes (colors 1 and
+// 2 as nibbles), 1000 color RAM bytes (color 3) and the background color
+const encodeKoala = (image) => {
+    const { tiles } = image;
+    const values = tileValues(image);
+    const out = new Uint8Array(10003);
+    out[0] = 0x00;
+    out[1] = 0x60;
+    tiles.tileColors.forEach((colors, cell) => {
+        const [bg, c1 = bg, c2 = bg, c3 = bg] = colors;
+        out[8002 + cell] = (c1 << 4) | c2;
+        out[9002 + cell] = c3;
+        const cx = cell % 40, cy = Math.floor(cell / 40);
+        for (let r = 0; r < 8; r++) {
+            let byte = 0;
+            for (let p = 0; p < 4; p++) byte = (byte << 2) | values[(cy * 8 + r) * 160 + cx * 4 + p];
+            out[2 + cell * 8 + r] = byte;
+        }
+    });
+    out[10002] = tiles.background;
+    return out;
+};
+
+const ENCODERS = { JSON: encodeTileData, SCR: encodeScr, KOALA: encodeKoala };
+
+// Returns the file contents as a Uint8Array
+export const encodeHardware = (format, image, name = 'bitmap') => {
+    const error = hardwareExportError(format, image);
+    if (error) throw new Error(error);
+    return ENCODERS[format](image, name);
+};
@@ -0,0 +1,141 @@
+// --- ERROR DIFFUSION KERNELS ---
+// Each kernel is a data entry: `taps` are [dx, dy, weight] offsets from the
+// current pixel, divided by `divisor`. Kernels with a `table` use variable
+// coefficients looked up by input intensity instead of fixed weights.
+
+// Ostromoukhov (2001) coefficients for intensity 0..127: [right, down-left, down, sum].
+// Intensities above 127 mirror the table.
+const OSTROMOUKHOV_TABLE = [
+    [13, 0, 5, 18], [13, 0, 5, 18], [21, 0, 10, 31], [7, 0, 4, 11],
+    [8, 0, 5, 13], [47, 3, 28, 78], [23, 3, 13, 39], [15, 3, 8, 26],
+    [22, 6, 11, 39], [43, 15, 20, 78], [7, 3, 3, 13], [501, 224, 211, 936],
+    [249, 116, 103, 468], [165, 80, 67, 312], [123, 62, 49, 234], [489, 256, 191, 936],
+    [81, 44, 31, 156], [483, 272, 181, 936], [60, 35, 22, 117], [53, 32, 19, 104],
+    [237, 148, 83, 468], [471, 304, 161, 936], [3, 2, 1, 6], [481, 314, 185, 980],
+    [354, 226, 155, 735], [1389, 866, 685, 2940], [227, 138, 125, 490], [267, 158, 163, 588],
+    [327, 188, 220, 735], [61, 34, 45, 140], [627, 338, 505, 1470], [1227, 638, 1075, 2940],
+    [20, 10, 19, 49], [1937, 1000, 1767, 4704], [977, 520, 855, 2352], [657, 360, 551, 1568],
+    [71, 40, 57, 168], [2005, 1160, 1539, 4704], [337, 200, 247, 784], [2039, 1240, 1425, 4704],
+    [257, 160, 171, 588], [691, 440, 437, 1568], [1045, 680, 627, 2352], [301, 200, 171, 672],
+    [177, 120, 95, 392], [2141, 1480, 1083, 4704], [1079, 760, 513, 2352], [725, 520, 323, 1568],
+    [137, 100, 57, 294], [2209, 1640, 855, 4704], [53, 40, 19, 112], [2243, 1720, 741, 4704],
+    [565, 440, 171, 1176], [759, 600, 209, 1568], [1147, 920, 285, 2352], [2311, 1880, 513, 4704],
+    [97, 80, 19, 196], [335, 280, 57, 672], [1181, 1000, 171, 2352], [793, 680, 95, 1568],
+    [599, 520, 57, 1176], [2413, 2120, 171, 4704], [405, 360, 19, 784], [2447, 2200, 57, 4704],
+    [11, 10, 0, 21], [158, 151, 3, 312], [178, 179, 7, 364], [1030, 1091, 63, 2184],
+    [248, 277, 21, 546], [318, 375, 35, 728], [458, 571, 63, 1092], [878, 1159, 147, 2184],
+    [5, 7, 1, 13], [172, 181, 37, 390], [97, 76, 22, 195], [72, 41, 17, 130],
+    [119, 47, 29, 195], [4, 1, 1, 6], [4, 1, 1, 6], [4, 1, 1, 6],
+    [4, 1, 1, 6], [4, 1, 1, 6], [4, 1, 1, 6], [4, 1, 1, 6],
+    [4, 1, 1, 6], [4, 1, 1, 6], [65, 18, 17, 100], [95, 29, 26, 150],
+    [185, 62, 53, 300], [30, 11, 9, 50], [35, 14, 11, 60], [85, 37, 28, 150],
+    [55, 26, 19, 100], [80, 41, 29, 150], [155, 86, 59, 300], [5, 3, 2, 10],
+    [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10],
+    [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10],
+    [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10],
+    [305, 176, 119, 600], [155, 86, 59, 300], [105, 56, 39, 200], [80, 41, 29, 150],
+    [65, 32, 23, 120], [55, 26, 19, 100], [335, 152, 113, 600], [85, 37, 28, 150],
+    [115, 48, 37, 200], [35, 14, 11, 60], [355, 136, 109, 600], [30, 11, 9, 50],
+    [365, 128, 107, 600], [185, 62, 53, 300], [25, 8, 7, 40], [95, 29, 26, 150],
+    [385, 112, 103, 600], [65, 18, 17, 100], [395, 104, 101, 600], [4, 1, 1, 6]
+];
+
+export const ERROR_KERNELS = {
+    FLOYD: {
+        name: 'Floyd-Steinberg', divisor: 16,
+        taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    ATKINSON: {
+        // Only 6/8 of the error is passed on, which keeps highlights clean
+        name: 'Atkinson', divisor: 8,
+        taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    },
+    SIERRA: {
+        name: 'Sierra Lite', divisor: 4,
+        taps: [[1, 0, 2], [-1, 1, 1], [0, 1, 1]]
+    },
+    SIERRA2: {
+        name: 'Two-Row Sierra', divisor: 16,
+        taps: [[1, 0, 4], [2, 0, 3], [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]]
+    },
+    SIERRA3: {
+        name: 'Sierra-3 (Full)', divisor: 32,
+        taps: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    },
+    JARVIS: {
+        name: 'Jarvis-Judice-Ninke', divisor: 48,
+        taps: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    STUCKI: {
+        name: 'Stucki', divisor: 42,
+        taps: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    BURKES: {
+        name: 'Burkes', divisor: 32,
+        taps: [[1, 0, 8], [2, 0, 4], [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]]
+    },
+    STRETCH: {
+        name: 'Stretch Error', divisor: 1,
+        taps: [[1, 0, 1]]
+    },
+    OSTROMOUKHOV: {
+        name: 'Ostromoukhov', divisor: 1,
+        taps: [[1, 0, 0], [-1, 1, 0], [0, 1, 0]],
+        table: OSTROMOUKHOV_TABLE
+    }
+};
+
+// Custom kernels are typed as a weight grid, one row per line. `*` marks the
+// current pixel; cells before it on its row are already processed and ignored.
+export const DEFAULT_CUSTOM_KERNEL = '0 * 7\n3 5 1';
+
+// Parse a weight grid into a kernel entry. An empty divisor means "sum of weights".
+// Returns { kernel, error } so the UI can show what is wrong with the grid.
+export const parseKernelGrid = (text, divisor) => {
+    const rows = text.trim().split('\n').map(line => line.trim().split(/[\s,]+/).filter(Boolean)).filter(r => r.length > 0);
+    if (rows.length === 0) return { kernel: null, error: 'Kernel is empty' };
+
+    const originCol = rows[0].indexOf('*');
+    if (originCol === -1) return { kernel: null, error: 'Mark the current pixel with * in the first row' };
+    if (rows.some(r => r.length !== rows[0].length)) return { kernel: null, error: 'All rows need the same number of cells' };
+
+    const taps = [];
+    for (let dy = 0; dy < rows.length; dy++) {
+        for (let col = 0; col < rows[dy].length; col++) {
+            if (dy === 0 && col <= originCol) continue;
+            const weight = Number(rows[dy][col]);
+            if (!Number.isFinite(weight)) return { kernel: null, error: `Invalid weight "${rows[dy][col]}"` };
+            if (weight !== 0) taps.push([col - originCol, dy, weight]);
+        }
+    }
+    if (taps.length === 0) return { kernel: null, error: 'Kernel has no weights' };
+
+    const sum = taps.reduce((a, t) => a + t[2], 0);
+    const div = divisor ? Number(divisor) : sum;
+    if (!Number.isFinite(div) || div === 0) return { kernel: null, error: 'Divisor must be a non-zero number' };
+
+    return { kernel: { name: 'Custom', divisor: div, taps }, error: null };
+};
+
+// Normalized [dx, dy, factor] taps for a fixed kernel
+export const normalizeTaps = (kernel) => kernel.taps.map(([dx, dy, w]) => [dx, dy, w / kernel.divisor]);
+
+// Variable kernels: write factors for a 0..255 intensity into `out`
+export const fillVariableTaps = (kernel, intensity, out) => {
+    const v = Math.max(0, Math.min(255, Math.round(intensity)));
+    const row = kernel.table[v <= 127 ? v : 255 - v];
+    for (let t = 0; t < out.length; t++) out[t][2] = row[t] / row[3];
+    return out;
+};
@@ -0,0 +1,256 @@
+import { rgbToHex, getColorMetric } from './color.js';
+import { createRng } from './random.js';
+import { collectColors, kMeans, wuQuantize, octreeQuantize } from './quantize.js';
+
+// --- PALETTES ---
+
+export const PALETTE_METHODS = {
+    K_MEANS: 'K-Means++ Clustering',
+    WU: "Wu's Quantizer",
+    OCTREE: 'Octree',
+    HISTOGRAM: 'Histogram Freq',
+    MEDIAN_CUT: 'Median Cut (Wide)',
+    EXTREME: 'Extremes',
+    VARIDE: 'Varied Distribution',
+    DISTANT: 'Max Distance',
+    PRONOUNCED: 'Pronounced'
+};
+
+export const PALETTE_PRESETS = {
+    DEFAULT: { name: 'Basic (5 Colors)', colors: ['#000000', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF'] },
+    RAINBOW: { name: 'Rainbow (8 Colors)', colors: ['#000000', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#00FFFF', '#FF00FF'] },
+    GAMEBOY: { name: 'Gameboy (GB)', colors: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'] },
+    MAC_BW: { name: 'Classic Mac (1-Bit)', colors: ['#000000', '#FFFFFF'] },
+    CGA_1: { name: 'CGA (Magenta/Cyan)', colors: ['#000000', '#55FFFF', '#FF55FF', '#FFFFFF'] },
+    CGA_2: { name: 'CGA (Red/Green)', colors: ['#000000', '#55FF55', '#FF5555', '#FFFF55'] },
+    VAPORWAVE: { name: 'Vaporwave', colors: ['#ff71ce', '#01cdfe', '#05ffa1', '#b967ff', '#fffb96'] },
+    NEON_NOIR: { name: 'Neon Noir', colors: ['#0b0c15', '#161b2d', '#232c45', '#ff0055', '#00e5ff', '#ffffff'] },
+    SEPIA: { name: 'Sepia', colors: ['#2e211b', '#4d3930', '#805d46', '#bf9775', '#e6cbb3'] },
+    C64: { name: 'Commodore 64', colors: ['#000000', '#FFFFFF', '#880000', '#AAFFEE', '#CC44CC', '#00CC55', '#0000AA', '#EEEE77', '#DD8855', '#664400', '#FF7777', '#333333', '#777777', '#AAFF66', '#0088FF', '#BBBBBB'] },
+    GAMEBOY_POCKET: { name: 'Game Boy Pocket', colors: ['#1f1f1f', '#4d533c', '#8b956d', '#c4cfa1'] },
+    PICO8: { name: 'PICO-8', colors: ['#000000', '#1D2B53', '#7E2553', '#008751', '#AB5236', '#5F574F', '#C2C3C7', '#FFF1E8', '#FF004D', '#FFA300', '#FFEC27', '#00E436', '#29ADFF', '#83769C', '#FF77A8', '#FFCCAA'] },
+    EGA: { name: 'EGA (16 Colors)', colors: ['#000000', '#0000AA', '#00AA00', '#00AAAA', '#AA0000', '#AA00AA', '#AA5500', '#AAAAAA', '#555555', '#5555FF', '#55FF55', '#55FFFF', '#FF5555', '#FF55FF', '#FFFF55', '#FFFFFF'] },
+    // Normal and BRIGHT sets; bright black is the same black
+    ZX_SPECTRUM: { name: 'ZX Spectrum', colors: ['#000000', '#0000D7', '#D70000', '#D700D7', '#00D700', '#00D7D7', '#D7D700', '#D7D7D7', '#0000FF', '#FF0000', '#FF00FF', '#00FF00', '#00FFFF', '#FFFF00', '#FFFFFF'] },
+    // Lo-res colors; the two identical greys are listed once
+    APPLE_II: { name: 'Apple II', colors: ['#000000', '#6C2940', '#403578', '#D93CF0', '#135740', '#808080', '#2697F0', '#BFB4F8', '#404B07', '#D9680F', '#ECA8BF', '#26C30F', '#BFCA87', '#93D6BF', '#FFFFFF'] },
+    // 2C02 colors without the duplicate blacks
+    NES: { name: 'NES', colors: [
+        '#7C7C7C', '#0000FC', '#0000BC', '#4428BC', '#940084', '#A80020', '#A81000', '#881400',
+        '#503000', '#007800', '#006800', '#005800', '#004058', '#000000', '#BCBCBC', '#0078F8',
+        '#0058F8', '#6844FC', '#D800CC', '#E40058', '#F83800', '#E45C10', '#AC7C00', '#00B800',
+        '#00A800', '#00A844', '#008888', '#F8F8F8', '#3CBCFC', '#6888FC', '#9878F8', '#F878F8',
+        '#F85898', '#F87858', '#FCA044', '#F8B800', '#B8F818', '#58D854', '#58F898', '#00E8D8',
+        '#787878', '#FCFCFC', '#A4E4FC', '#B8B8F8', '#D8B8F8', '#F8B8F8', '#F8A4C0', '#F0D0B0',
+        '#FCE0A8', '#F8D878', '#D8F878', '#B8F8B8', '#B8F8D8', '#00FCFC', '#F8D8F8'
+    ] },
+    DB16: { name: 'DawnBringer 16', colors: ['#140c1c', '#442434', '#30346d', '#4e4a4e', '#854c30', '#346524', '#d04648', '#757161', '#597dce', '#d27d2c', '#8595a1', '#6daa2c', '#d2aa99', '#6dc2ca', '#dad45e', '#deeed6'] },
+    DB32: { name: 'DawnBringer 32', colors: [
+        '#000000', '#222034', '#45283c', '#663931', '#8f563b', '#df7126', '#d9a066', '#eec39a',
+        '#fbf236', '#99e550', '#6abe30', '#37946e', '#4b692f', '#524b24', '#323c39', '#3f3f74',
+        '#306082', '#5b6ee1', '#639bff', '#5fcde4', '#cbdbfc', '#ffffff', '#9badb7', '#847e87',
+        '#696a6a', '#595652', '#76428a', '#ac3232', '#d95763', '#d77bba', '#8f974a', '#8a6f30'
+    ] }
+};
+
+// --- PALETTE EXTRACTION ---
+export const MIN_PALETTE_SIZE = 2;
+export const MAX_PALETTE_SIZE = 256;
+export const PALETTE_SAMPLE_SIZES = [32, 64, 128, 256];
+
+// data: RGBA pixels of a (downscaled) sample of the image.
+// options.colorMetric picks the distance used by the clustering methods and
+// options.seed drives every random choice, so the same input and settings
+// always give the same palette.
+export const extractPalette = (data, method, count = 5, options = {}) => {
+    const metric = getColorMetric(options.colorMetric);
+    const rng = createRng(options.seed ?? 1);
+
+    let pixels = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] > 128) {
+            pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2] });
+        }
+    }
+
+    if (pixels.length === 0) return PALETTE_PRESETS.DEFAULT.colors;
+
+    let chosenColors = [];
+
+    switch (method) {
+        case 'HISTOGRAM': {
+            const hist = {};
+            pixels.forEach(p => {
+                const key = `${p.r >> 4}|${p.g >> 4}|${p.b >> 4}`;
+                if (!hist[key]) hist[key] = { count: 0, r: 0, g: 0, b: 0 };
+                hist[key].count++;
+                hist[key].r += p.r;
+                hist[key].g += p.g;
+                hist[key].b += p.b;
+            });
+            const buckets = Object.values(hist).map(b => ({
+                r: b.r / b.count,
+                g: b.g / b.count,
+                b: b.b / b.count,
+                count: b.count
+            })).sort((a, b) => b.count - a.count);
+            chosenColors = buckets.slice(0, count);
+            break;
+        }
+        case 'K_MEANS': {
+            chosenColors = kMeans(collectColors(data), count, metric, options.seed ?? 1);
+            break;
+        }
+        case 'WU': {
+            chosenColors = wuQuantize(collectColors(data), count);
+            break;
+        }
+        case 'OCTREE': {
+            chosenColors = octreeQuantize(collectColors(data), count);
+            break;
+        }
+        case 'EXTREME': {
+            pixels.sort((a, b) => (a.r + a.g + a.b) - (b.r + b.g + b.b));
+            const step = Math.floor(pixels.length / (count - 1));
+            chosenColors.push(pixels[0]);
+            for (let i = 1; i < count - 1; i++) chosenColors.push(pixels[i * step]);
+            chosenColors.push(pixels[pixels.length - 1]);
+            break;
+        }
+        case 'VARIDE': {
+            // Minimum spacing: about 50 RGB units along the gray axis, in metric terms
+            const minSpacing = metric.distance(metric.convert(100, 100, 100), metric.convert(129, 129, 129));
+            const chosenPoints = [];
+            const choose = (p) => { chosenColors.push(p); chosenPoints.push(metric.convert(p.r, p.g, p.b)); };
+            choose(pixels[Math.floor(rng() * pixels.length)]);
+            let safeLimit = 0;
+            while (chosenColors.length < count && safeLimit < 1000) {
+                const candidate = pixels[Math.floor(rng() * pixels.length)];
+                const cp = metric.convert(candidate.r, candidate.g, candidate.b);
+                let minDist = Infinity;
+                chosenPoints.forEach(c => {
+                    const dist = metric.distance(cp, c);
+                    if (dist < minDist) minDist = dist;
+                });
+                if (minDist > minSpacing) choose(candidate);
+                safeLimit++;
+            }
+            while (chosenColors.length < count) chosenColors.push(pixels[Math.floor(rng() * pixels.length)]);
+            break;
+        }
+        case 'DISTANT': {
+            const chosenPoints = [];
+            const choose = (p) => { chosenColors.push(p); chosenPoints.push(metric.convert(p.r, p.g, p.b)); };
+            choose(pixels[Math.floor(rng() * pixels.length)]);
+            for (let k = 1; k < count; k++) {
+                let maxDist = -1;
+                let bestP = pixels[0];
+                for (let s = 0; s < 200; s++) {
+                    const p = pixels[Math.floor(rng() * pixels.length)];
+                    const pp = metric.convert(p.r, p.g, p.b);
+                    let minDist = Infinity;
+                    chosenPoints.forEach(c => {
+                        const d = metric.distance(pp, c);
+                        if (d < minDist) minDist = d;
+                    });
+                    if (minDist > maxDist) { maxDist = minDist; bestP = p; }
+                }
+                choose(bestP);
+            }
+            break;
+        }
+        case 'PRONOUNCED': {
+            const satPixels = pixels.filter(p => {
+                const max = Math.max(p.r, p.g, p.b);
+                const min = Math.min(p.r, p.g, p.b);
+                const delta = max - min;
+                return delta > 50;
+            });
+            const source = satPixels.length > 100 ? satPixels : pixels;
+            const hist = {};
+            source.forEach(p => {
+                const key = `${p.r >> 5}|${p.g >> 5}|${p.b >> 5}`;
+                if (!hist[key]) hist[key] = { count: 0, r: 0, g: 0, b: 0 };
+                hist[key].count++;
+                hist[key].r += p.r;
+                hist[key].g += p.g;
+                hist[key].b += p.b;
+            });
+            const buckets = Object.values(hist).map(b => ({
+                r: b.r / b.count,
+                g: b.g / b.count,
+                b: b.b / b.count,
+                count: b.count
+            })).sort((a, b) => b.count - a.count);
+            chosenColors = buckets.slice(0, count);
+            break;
+        }
+        case 'MEDIAN_CUT':
+        default: {
+            // Enhanced Priority-Queue Median Cut to ensure we get exactly 'count' representatives 
+            // that cover the widest ranges (fixing the "too tight" issue)
+            let boxes = [{ pixels: pixels }];
+
+            const getRange = (px) => {
+                if (px.length === 0) return 0;
+                let minR = 255, maxR = 0, minG = 255, maxG = 0, minB = 255, maxB = 0;
+                px.forEach(p => {
+                    minR = Math.min(minR, p.r); maxR = Math.max(maxR, p.r);
+                    minG = Math.min(minG, p.g); maxG = Math.max(maxG, p.g);
+                    minB = Math.min(minB, p.b); maxB = Math.max(maxB, p.b);
+                });
+                return Math.max(maxR - minR, maxG - minG, maxB - minB);
+            };
+
+            // Assign initial range
+            boxes[0].range = getRange(boxes[0].pixels);
+
+            while (boxes.length < count) {
+                // Split the box with the largest range
+                boxes.sort((a, b) => b.range - a.range);
+                const box = boxes.shift();
+                const px = box.pixels;
+
+                if (px.length === 0) {
+                    boxes.push(box);
+                    break;
+                }
+
+                // Find largest dimension to split
+                let minR = 255, maxR = 0, minG = 255, maxG = 0, minB = 255, maxB = 0;
+                px.forEach(p => {
+                    minR = Math.min(minR, p.r); maxR = Math.max(maxR, p.r);
+                    minG = Math.min(minG, p.g); maxG = Math.max(maxG, p.g);
+                    minB = Math.min(minB, p.b); maxB = Math.max(maxB, p.b);
+                });
+                const rR = maxR - minR, rG = maxG - minG, rB = maxB - minB;
+                const maxRange = Math.max(rR, rG, rB);
+                const sortChannel = maxRange === rG ? 'g' : (maxRange === rB ? 'b' : 'r');
+
+                px.sort((a, b) => a[sortChannel] - b[sortChannel]);
+                const mid = Math.floor(px.length / 2);
+
+                const p1 = px.slice(0, mid);
+                const p2 = px.slice(mid);
+
+                boxes.push({ pixels: p1, range: getRange(p1) });
+                boxes.push({ pixels: p2, range: getRange(p2) });
+            }
+
+            chosenColors = boxes.map(b => {
+                if (b.pixels.length === 0) return { r: 0, g: 0, b: 0 };
+                const sum = b.pixels.reduce((a, c) => ({ r: a.r + c.r, g: a.g + c.g, b: a.b + c.b }), { r: 0, g: 0, b: 0 });
+                return {
+                    r: Math.round(sum.r / b.pixels.length),
+                    g: Math.round(sum.g / b.pixels.length),
+                    b: Math.round(sum.b / b.pixels.length)
+                };
+            });
+            break;
+        }
+    }
+
+    // Images with fewer distinct colors than requested give a shorter palette
+    const hexColors = chosenColors.map(c => rgbToHex(c.r, c.g, c.b)).filter((v, i, a) => a.indexOf(v) === i);
+    return hexColors.slice(0, count);
+};
@@ -0,0 +1,242 @@
+import { hexToRgb, rgbToHex, labToRgb } from './color.js';
+
+// --- PALETTE FILE FORMATS ---
+// Parsers take the raw file bytes and return { colors, name, error } so the
+// UI can show what went wrong; serializers return a Blob-ready payload.
+
+export const PALETTE_FORMATS = {
+    GPL: { name: 'GIMP (.gpl)', ext: 'gpl', mime: 'text/plain' },
+    ASE: { name: 'Adobe Swatch Exchange (.ase)', ext: 'ase', mime: 'application/octet-stream' },
+    ACT: { name: 'Adobe Color Table (.act)', ext: 'act', mime: 'application/octet-stream' },
+    PAL: { name: 'JASC-PAL (.pal)', ext: 'pal', mime: 'text/plain' },
+    HEX: { name: 'Hex List (.hex)', ext: 'hex', mime: 'text/plain' },
+    JSON: { name: 'Lospec JSON (.json)', ext: 'json', mime: 'application/json' }
+};
+
+export const PALETTE_FILE_ACCEPT = Object.values(PALETTE_FORMATS).map(f => `.${f.ext}`).join(',') + ',.txt';
+
+// Palettes larger than this can't be used by indexed exports anyway
+const MAX_IMPORT_COLORS = 256;
+
+const decodeText = (bytes) => new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '');
+const clampByte = (v) => Math.max(0, Math.min(255, Math.round(v)));
+const baseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+// --- PARSERS ---
+// Each throws with a readable message; parsePaletteFile catches it.
+
+const parseGpl = (text) => {
+    const lines = text.split(/\r?\n/);
+    if (!/^GIMP Palette/i.test(lines[0].trim())) throw new Error('Missing "GIMP Palette" header');
+    let name = null;
+    const colors = [];
+    lines.slice(1).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+        if (/^Name:/i.test(line)) { name = line.slice(5).trim(); return; }
+        if (/^Columns:/i.test(line)) return;
+        const m = /^(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+        if (!m) throw new Error(`Line ${i + 2}: expected "R G B"`);
+        colors.push(rgbToHex(clampByte(+m[1]), clampByte(+m[2]), clampByte(+m[3])));
+    });
+    return { colors, name };
+};
+
+const parseJascPal = (text) => {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines[0] !== 'JASC-PAL') throw new Error('Missing "JASC-PAL" header');
+    const count = parseInt(lines[2], 10);
+    if (!Number.isFinite(count)) throw new Error('Missing color count');
+    const colors = lines.slice(3, 3 + count).map((line, i) => {
+        const m = /^(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+        if (!m) throw new Error(`Color ${i + 1}: expected "R G B"`);
+        return rgbToHex(clampByte(+m[1]), clampByte(+m[2]), clampByte(+m[3]));
+    });
+    if (colors.length < count) throw new Error(`Expected ${count} colors, found ${colors.length}`);
+    return { colors, name: null };
+};
+
+// One color per line. 8-digit lines are Paint.NET's AARRGGBB; the alpha is dropped.
+const parseHexList = (text) => {
+    const colors = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith(';') || line.startsWith('//')) return;
+        const m = /^#?(?:[a-f\d]{2})?([a-f\d]{6})$/i.exec(line);
+        if (!m) throw new Error(`Line ${i + 1}: "${line}" is not a hex color`);
+        colors.push(`#${m[1].toLowerCase()}`);
+    });
+    return { colors, name: null };
+};
+
+const parseLospecJson = (text) => {
+    let json;
+    try { json = JSON.parse(text); } catch (e) { throw new Error('Invalid JSON'); }
+    if (!json || !Array.isArray(json.colors)) throw new Error('Expected a "colors" array');
+    const colors = json.colors.map((c, i) => {
+        const m = /^#?([a-f\d]{6})$/i.exec(String(c).trim());
+        if (!m) throw new Error(`Color ${i + 1}: "${c}" is not a hex color`);
+        return `#${m[1].toLowerCase()}`;
+    });
+    return { colors, name: typeof json.name === 'string' ? json.name : null };
+};
+
+// 256 RGB triples, optionally followed by a big-endian color count and
+// transparent index
+const parseAct = (bytes) => {
+    if (bytes.length !== 768 && bytes.length !== 772) throw new Error('ACT files are 768 or 772 bytes');
+    let count = 256;
+    if (bytes.length === 772) count = Math.min(256, (bytes[768] << 8) | bytes[769]) || 256;
+    const colors = [];
+    for (let i = 0; i < count; i++) colors.push(rgbToHex(bytes[i * 3], bytes[i * 3 + 1], bytes[i * 3 + 2]));
+    return { colors, name: null };
+};
+
+const ASE_COLOR = 0x0001;
+
+// Float channels per color model
+const ASE_CHANNELS = { 'RGB ': 3, Gray: 1, CMYK: 4, 'LAB ': 3 };
+
+const parseAse = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+    if (magic !== 'ASEF') throw new Error('Missing "ASEF" signature');
+    // Every read is checked first, so a cut-off file fails with one clear message
+    const need = (end, limit = bytes.length) => {
+        if (end > limit) throw new Error('ASE file is truncated');
+    };
+
+    need(12);
+    const blockCount = view.getUint32(8);
+    const colors = [];
+    let offset = 12;
+    for (let block = 0; block < blockCount; block++) {
+        need(offset + 6);
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const start = offset + 6;
+        offset = start + length;
+        need(offset);
+        if (type !== ASE_COLOR) continue; // Group start/end blocks
+
+        need(start + 2, offset);
+        const nameLength = view.getUint16(start);
+        let p = start + 2 + nameLength * 2;
+        need(p + 4, offset);
+        const model = String.fromCharCode(bytes[p], bytes[p + 1], bytes[p + 2], bytes[p + 3]);
+        p += 4;
+        if (!ASE_CHANNELS[model]) throw new Error(`Unsupported color model "${model.trim()}"`);
+        need(p + ASE_CHANNELS[model] * 4, offset);
+        const f = (n) => view.getFloat32(p + n * 4);
+        if (model === 'RGB ') {
+            colors.push(rgbToHex(clampByte(f(0) * 255), clampByte(f(1) * 255), clampByte(f(2) * 255)));
+        } else if (model === 'Gray') {
+            const v = clampByte(f(0) * 255);
+            colors.push(rgbToHex(v, v, v));
+        } else if (model === 'CMYK') {
+            const k = 1 - f(3);
+            colors.push(rgbToHex(clampByte(255 * (1 - f(0)) * k), clampByte(255 * (1 - f(1)) * k), clampByte(255 * (1 - f(2)) * k)));
+        } else {
+            const { r, g, b } = labToRgb(f(0) * 100, f(1), f(2));
+            colors.push(rgbToHex(r, g, b));
+        }
+    }
+    return { colors, name: null };
+};
+
+const PARSERS = {
+    GPL: (bytes) => parseGpl(decodeText(bytes)),
+    PAL: (bytes) => parseJascPal(decodeText(bytes)),
+    HEX: (bytes) => parseHexList(decodeText(bytes)),
+    JSON: (bytes) => parseLospecJson(decodeText(bytes)),
+    ACT: parseAct,
+    ASE: parseAse
+};
+
+// Format from the extension, falling back to sniffing the content
+export const detectPaletteFormat = (fileName, bytes) => {
+    const ext = (fileName.split('.').pop() || '').toLowerCase();
+    const byExt = Object.keys(PALETTE_FORMATS).find(k => PALETTE_FORMATS[k].ext === ext);
+    if (byExt) return byExt;
+
+    const head = String.fromCharCode(...bytes.slice(0, 12));
+    if (head.startsWith('ASEF')) return 'ASE';
+    if (/^GIMP Palette/i.test(head)) return 'GPL';
+    if (head.startsWith('JASC-PAL')) return 'PAL';
+    if (head.trim().startsWith('{')) return 'JSON';
+    if (bytes.length === 768 || bytes.length === 772) return 'ACT';
+    return 'HEX';
+};
+
+// bytes: Uint8Array of the file. Returns { colors, name, error }.
+export const parsePaletteFile = (fileName, bytes) => {
+    const format = detectPaletteFormat(fileName, bytes);
+    try {
+        const { colors, name } = PARSERS[format](bytes);
+        if (colors.length === 0) return { colors: null, name: null, error: `${PALETTE_FORMATS[format].name}: no colors found` };
+        if (colors.length > MAX_IMPORT_COLORS) return { colors: null, name: null, error: `${PALETTE_FORMATS[format].name}: more than ${MAX_IMPORT_COLORS} colors` };
+        return { colors, name: name || baseName(fileName), error: null };
+    } catch (e) {
+        return { colors: null, name: null, error: `${PALETTE_FORMATS[format].name}: ${e.message}` };
+    }
+};
+
+// --- SERIALIZERS ---
+
+const rgbLine = (hex) => {
+    const { r, g, b } = hexToRgb(hex);
+    return `${r} ${g} ${b}`;
+};
+
+const writeAse = (colors, name) => {
+    const entries = colors.map((hex, i) => ({ hex, label: `${name} ${i + 1}` }));
+    // Block: name length + UTF-16 name + null, model, 3 floats, color type
+    const blockLength = (e) => 2 + (e.label.length + 1) * 2 + 4 + 12 + 2;
+    const total = 12 + entries.reduce((a, e) => a + 6 + blockLength(e), 0);
+    const view = new DataView(new ArrayBuffer(total));
+    let p = 0;
+    'ASEF'.split('').forEach(ch => view.setUint8(p++, ch.charCodeAt(0)));
+    view.setUint16(p, 1); view.setUint16(p + 2, 0); view.setUint32(p + 4, entries.length);
+    p += 8;
+    entries.forEach((e) => {
+        view.setUint16(p, ASE_COLOR); view.setUint32(p + 2, blockLength(e));
+        p += 6;
+        view.setUint16(p, e.label.length + 1);
+        p += 2;
+        for (let i = 0; i < e.label.length; i++, p += 2) view.setUint16(p, e.label.charCodeAt(i));
+        view.setUint16(p, 0);
+        p += 2;
+        'RGB '.split('').forEach(ch => view.setUint8(p++, ch.charCodeAt(0)));
+        const { r, g, b } = hexToRgb(e.hex);
+        view.setFloat32(p, r / 255); view.setFloat32(p + 4, g / 255); view.setFloat32(p + 8, b / 255);
+        view.setUint16(p + 12, 2); // Normal (non-global, non-spot)
+        p += 14;
+    });
+    return new Uint8Array(view.buffer);
+};
+
+const writeAct = (colors) => {
+    const bytes = new Uint8Array(772);
+    colors.slice(0, 256).forEach((hex, i) => {
+        const { r, g, b } = hexToRgb(hex);
+        bytes.set([r, g, b], i * 3);
+    });
+    const count = Math.min(256, colors.length);
+    bytes[768] = count >> 8;
+    bytes[769] = count & 0xff;
+    bytes[770] = 0xff; // No transparent index
+    bytes[771] = 0xff;
+    return bytes;
+};
+
+const SERIALIZERS = {
+    GPL: (colors, name) => ['GIMP Palette', `Name: ${name}`, 'Columns: 0', '#', ...colors.map(hex => `${rgbLine(hex)}\t${hex.toUpperCase()}`)].join('\n') + '\n',
+    PAL: (colors) => ['JASC-PAL', '0100', String(colors.length), ...colors.map(rgbLine)].join('\r\n') + '\r\n',
+    HEX: (colors) => colors.map(hex => hex.replace('#', '').toLowerCase()).join('\n') + '\n',
+    JSON: (colors, name) => JSON.stringify({ name, author: '', colors: colors.map(hex => hex.replace('#', '').toLowerCase()) }, null, 2),
+    ACT: writeAct,
+    ASE: writeAse
+};
+
+// Returns string or Uint8Array contents for a palette file
+export const serializePalette = (format, colors, name = 'Bitmap Fono') => SERIALIZERS[format](colors, name);
@@ -0,0 +1,136 @@
+// --- PNG DECODING ---
+// PNG -> RGBA for environments without an image decoder (the CLI). Every
+// color type, bit depth and Adam7 interlacing is handled; 16-bit samples keep
+// their high byte and color management chunks are ignored, matching a browser
+// decode with colorSpaceConversion: 'none'. `inflate` is a zlib-stream
+// decompressor supplied by the caller (e.g. zlib.inflateSync in Node).
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+};
+
+// Reverses the per-row filters in place; returns the end offset
+const unfilter = (data, offset, rowBytes, rows, bpp) => {
+    let prev = null;
+    let p = offset;
+    for (let y = 0; y < rows; y++) {
+        const filter = data[p];
+        const row = p + 1;
+        for (let i = 0; i < rowBytes; i++) {
+            const left = i >= bpp ? data[row + i - bpp] : 0;
+            const up = prev !== null ? data[prev + i] : 0;
+            const upLeft = prev !== null && i >= bpp ? data[prev + i - bpp] : 0;
+            let value = data[row + i];
+            if (filter === 1) value += left;
+            else if (filter === 2) value += up;
+            else if (filter === 3) value += (left + up) >> 1;
+            else if (filter === 4) value += paeth(left, up, upLeft);
+            else if (filter !== 0) throw new Error(`Unknown PNG filter ${filter}`);
+            data[row + i] = value;
+        }
+        prev = row;
+        p = row + rowBytes;
+    }
+    return p;
+};
+
+// bytes: Uint8Array of a PNG. Returns { data (RGBA), width, height }.
+export const decodePng = (bytes, inflate) => {
+    if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error('Not a PNG file');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+    let palette = null, transparency = null;
+    const idat = [];
+    for (let p = 8; p + 8 <= bytes.length;) {
+        const length = view.getUint32(p);
+        const type = String.fromCharCode(...bytes.subarray(p + 4, p + 8));
+        const data = bytes.subarray(p + 8, p + 8 + length);
+        if (type === 'IHDR') {
+            width = view.getUint32(p + 8);
+            height = view.getUint32(p + 12);
+            [bitDepth, colorType] = [data[8], data[9]];
+            interlace = data[12];
+        } else if (type === 'PLTE') palette = data;
+        else if (type === 'tRNS') transparency = data;
+        else if (type === 'IDAT') idat.push(data);
+        else if (type === 'IEND') break;
+        p += 12 + length;
+    }
+    const channels = CHANNELS[colorType];
+    if (!width || !height || !channels) throw new Error('Unsupported PNG header');
+    if (colorType === 3 && !palette) throw new Error('Indexed PNG without a palette');
+
+    const compressed = new Uint8Array(idat.reduce((a, d) => a + d.length, 0));
+    let pos = 0;
+    idat.forEach(d => { compressed.set(d, pos); pos += d.length; });
+    const raw = new Uint8Array(inflate(compressed));
+
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+    const out = new Uint8ClampedArray(width * height * 4);
+
+    // Sample n of a row starting at `row`, reduced to 8 bits (palette indices kept)
+    const sample = (row, n) => {
+        if (bitDepth === 16) return raw[row + n * 2];
+        if (bitDepth === 8) return raw[row + n];
+        const bit = n * bitDepth;
+        const v = (raw[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+        return colorType === 3 ? v : Math.round(v * 255 / maxSample);
+    };
+    // Full-precision gray/RGB value for tRNS comparison
+    const rawSample = (row, n) => (bitDepth === 16 ? (raw[row + n * 2] << 8) | raw[row + n * 2 + 1] : bitDepth === 8 ? raw[row + n] : (raw[row + ((n * bitDepth) >> 3)] >> (8 - bitDepth - ((n * bitDepth) & 7))) & maxSample);
+    const trnsValue = (k) => (transparency[k * 2] << 8) | transparency[k * 2 + 1];
+
+    const writePixel = (row, x, o) => {
+        const s = x * channels;
+        if (colorType === 3) {
+            const index = sample(row, x);
+            out[o] = palette[index * 3];
+            out[o + 1] = palette[index * 3 + 1];
+            out[o + 2] = palette[index * 3 + 2];
+            out[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        } else if (colorType === 0 || colorType === 4) {
+            const gray = sample(row, s);
+            out[o] = out[o + 1] = out[o + 2] = gray;
+            if (colorType === 4) out[o + 3] = sample(row, s + 1);
+            else out[o + 3] = transparency && rawSample(row, s) === trnsValue(0) ? 0 : 255;
+        } else {
+            out[o] = sample(row, s);
+            out[o + 1] = sample(row, s + 1);
+            out[o + 2] = sample(row, s + 2);
+            if (colorType === 6) out[o + 3] = sample(row, s + 3);
+            else {
+                const match = transparency && [0, 1, 2].every(c => rawSample(row, s + c) === trnsValue(c));
+                out[o + 3] = match ? 0 : 255;
+            }
+        }
+    };
+
+    const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+    let offset = 0;
+    passes.forEach(([x0, y0, dx, dy]) => {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) return;
+        const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+        const start = offset;
+        offset = unfilter(raw, offset, rowBytes, passHeight, bpp);
+        for (let py = 0; py < passHeight; py++) {
+            const row = start + py * (rowBytes + 1) + 1;
+            const y = y0 + py * dy;
+            for (let px = 0; px < passWidth; px++) writePixel(row, px, ((y * width) + x0 + px * dx) * 4);
+        }
+    });
+    return { data: out, width, height };
+};
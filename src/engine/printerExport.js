@@ -0,0 +1,72 @@
+import { darkPixelMask, packRows } from './bitmapFormats.js';
+
+// --- THERMAL PRINTER OUTPUT ---
+// Raw command streams for receipt and label printers. Dark pixels become
+// printed dots; the stream can be sent as-is (e.g. `lp -o raw`).
+
+export const PRINTER_LANGUAGES = {
+    ESCPOS: 'ESC/POS (GS v 0)',
+    ZPL: 'ZPL (^GF)',
+    TSPL: 'TSPL (BITMAP)'
+};
+
+// Common print-head widths at 203 dpi
+export const PRINTER_WIDTHS = [
+    { dots: 384, name: '58mm' },
+    { dots: 576, name: '80mm' }
+];
+
+const DOTS_PER_MM = 8;
+
+// Some printers run out of buffer on very tall raster commands
+const ESCPOS_BAND_ROWS = 256;
+
+const concatBytes = (parts) => {
+    const encoder = new TextEncoder();
+    const arrays = parts.map(p => (typeof p === 'string' ? encoder.encode(p) : p));
+    const out = new Uint8Array(arrays.reduce((a, p) => a + p.length, 0));
+    let pos = 0;
+    arrays.forEach(p => { out.set(p, pos); pos += p.length; });
+    return out;
+};
+
+// ESC @, then one GS v 0 per band of rows, then feed and (optionally) cut
+const encodeEscPos = (rows, rowBytes, height, { cut }) => {
+    const parts = [Uint8Array.of(0x1b, 0x40)];
+    for (let y = 0; y < height; y += ESCPOS_BAND_ROWS) {
+        const bandRows = Math.min(ESCPOS_BAND_ROWS, height - y);
+        parts.push(Uint8Array.of(0x1d, 0x76, 0x30, 0x00, rowBytes & 0xff, rowBytes >> 8, bandRows & 0xff, bandRows >> 8));
+        parts.push(rows.subarray(y * rowBytes, (y + bandRows) * rowBytes));
+    }
+    parts.push(Uint8Array.of(0x1b, 0x64, 0x04)); // Feed 4 lines
+    if (cut) parts.push(Uint8Array.of(0x1d, 0x56, 0x42, 0x00)); // Partial cut after feed
+    return concatBytes(parts);
+};
+
+// ^GFA with ASCII hex data
+const encodeZpl = (rows, rowBytes, width, height) => {
+    let hex = '';
+    for (let i = 0; i < rows.length; i++) hex += rows[i].toString(16).padStart(2, '0').toUpperCase();
+    return concatBytes([`^XA\n^PW${width}\n^LL${height}\n^FO0,0^GFA,${rows.length},${rows.length},${rowBytes},${hex}^FS\n^XZ\n`]);
+};
+
+// TSPL bitmaps print a dot for every 0 bit, so the rows are inverted
+const encodeTspl = (rows, rowBytes, width, height) => {
+    const inverted = rows.map(b => b ^ 0xff);
+    const mm = (dots) => Math.ceil(dots / DOTS_PER_MM);
+    return concatBytes([
+        `SIZE ${mm(width)} mm,${mm(height)} mm\r\nGAP 0 mm,0 mm\r\nCLS\r\nBITMAP 0,0,${rowBytes},${height},0,`,
+        inverted,
+        '\r\nPRINT 1,1\r\n'
+    ]);
+};
+
+// image: { indices, palette, width, height } at printer dot resolution.
+// options: { cut } (ESC/POS only). Returns the raw printer stream.
+export const encodePrinterJob = (language, image, options = {}) => {
+    const { width, height } = image;
+    const { data: rows, rowBytes } = packRows(darkPixelMask(image), width, height, 1);
+    if (language === 'ZPL') return encodeZpl(rows, rowBytes, width, height);
+    if (language === 'TSPL') return encodeTspl(rows, rowBytes, width, height);
+    return encodeEscPos(rows, rowBytes, height, options);
+};
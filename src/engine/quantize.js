@@ -0,0 +1,316 @@
+import { createRng } from './random.js';
+
+// --- COLOR QUANTIZERS ---
+// Deterministic palette builders over weighted colors: [{ r, g, b, count }].
+// All return [{ r, g, b }] with at most `count` entries.
+
+// Unique opaque colors of an RGBA buffer with their pixel counts
+export const collectColors = (data) => {
+    const map = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] <= 128) continue;
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        const entry = map.get(key);
+        if (entry) entry.count++;
+        else map.set(key, { r: data[i], g: data[i + 1], b: data[i + 2], count: 1 });
+    }
+    return Array.from(map.values());
+};
+
+// --- K-MEANS ---
+
+const KMEANS_MAX_ITERATIONS = 64;
+// Stop once no centroid moves further than this (RGB units)
+const KMEANS_EPSILON = 0.5;
+
+// k-means++ seeding: each new centroid is drawn with probability proportional
+// to its (weighted) distance from the nearest centroid chosen so far
+const seedCentroids = (colors, points, count, metric, rng) => {
+    const centroids = [];
+    const nearest = new Float64Array(colors.length).fill(Infinity);
+    const totalWeight = colors.reduce((a, c) => a + c.count, 0);
+
+    let pick = rng() * totalWeight;
+    let chosen = 0;
+    for (; chosen < colors.length - 1; chosen++) {
+        pick -= colors[chosen].count;
+        if (pick < 0) break;
+    }
+
+    while (centroids.length < count) {
+        centroids.push({ r: colors[chosen].r, g: colors[chosen].g, b: colors[chosen].b });
+        const cp = points[chosen];
+        let sum = 0;
+        for (let i = 0; i < colors.length; i++) {
+            const d = metric.distance(points[i], cp);
+            if (d < nearest[i]) nearest[i] = d;
+            sum += nearest[i] * colors[i].count;
+        }
+        if (sum <= 0) break; // Fewer distinct colors than requested
+
+        pick = rng() * sum;
+        for (chosen = 0; chosen < colors.length - 1; chosen++) {
+            pick -= nearest[chosen] * colors[chosen].count;
+            if (pick < 0) break;
+        }
+    }
+    return centroids;
+};
+
+export const kMeans = (colors, count, metric, seed = 1) => {
+    const rng = createRng(seed);
+    const points = colors.map(c => metric.convert(c.r, c.g, c.b));
+    let centroids = seedCentroids(colors, points, count, metric, rng);
+
+    for (let iter = 0; iter < KMEANS_MAX_ITERATIONS; iter++) {
+        const centroidPoints = centroids.map(c => metric.convert(c.r, c.g, c.b));
+        const sums = centroids.map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
+
+        for (let i = 0; i < colors.length; i++) {
+            let minDist = Infinity;
+            let idx = 0;
+            for (let k = 0; k < centroidPoints.length; k++) {
+                const dist = metric.distance(points[i], centroidPoints[k]);
+                if (dist < minDist) { minDist = dist; idx = k; }
+            }
+            const c = colors[i];
+            sums[idx].r += c.r * c.count;
+            sums[idx].g += c.g * c.count;
+            sums[idx].b += c.b * c.count;
+            sums[idx].count += c.count;
+        }
+
+        // Empty clusters keep their previous centroid
+        let shift = 0;
+        centroids = centroids.map((c, k) => {
+            const s = sums[k];
+            if (s.count === 0) return c;
+            const next = { r: s.r / s.count, g: s.g / s.count, b: s.b / s.count };
+            shift = Math.max(shift, Math.abs(next.r - c.r), Math.abs(next.g - c.g), Math.abs(next.b - c.b));
+            return next;
+        });
+        if (shift < KMEANS_EPSILON) break;
+    }
+    return centroids;
+};
+
+// --- WU'S QUANTIZER ---
+// Xiaolin Wu, "Efficient Statistical Computations for Optimal Color
+// Quantization" (Graphics Gems II). Boxes in a 32^3 histogram are split along
+// the axis and position that most reduce the summed variance.
+
+const SIDE = 33;
+const at = (r, g, b) => (r * SIDE + g) * SIDE + b;
+
+const createMoments = (colors) => {
+    const size = SIDE * SIDE * SIDE;
+    const m = {
+        wt: new Float64Array(size), mr: new Float64Array(size), mg: new Float64Array(size),
+        mb: new Float64Array(size), m2: new Float64Array(size)
+    };
+    colors.forEach(({ r, g, b, count }) => {
+        const i = at((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+        m.wt[i] += count;
+        m.mr[i] += r * count;
+        m.mg[i] += g * count;
+        m.mb[i] += b * count;
+        m.m2[i] += (r * r + g * g + b * b) * count;
+    });
+
+    // Turn the histogram into cumulative moments so any box sums in O(1)
+    const keys = ['wt', 'mr', 'mg', 'mb', 'm2'];
+    for (let r = 1; r < SIDE; r++) {
+        const area = keys.map(() => new Float64Array(SIDE));
+        for (let g = 1; g < SIDE; g++) {
+            const line = keys.map(() => 0);
+            for (let b = 1; b < SIDE; b++) {
+                const i = at(r, g, b);
+                keys.forEach((k, n) => {
+                    line[n] += m[k][i];
+                    area[n][b] += line[n];
+                    m[k][i] = m[k][i - SIDE * SIDE] + area[n][b];
+                });
+            }
+        }
+    }
+    return m;
+};
+
+const volume = (c, m) => m[at(c.r1, c.g1, c.b1)] - m[at(c.r1, c.g1, c.b0)] - m[at(c.r1, c.g0, c.b1)] + m[at(c.r1, c.g0, c.b0)]
+    - m[at(c.r0, c.g1, c.b1)] + m[at(c.r0, c.g1, c.b0)] + m[at(c.r0, c.g0, c.b1)] - m[at(c.r0, c.g0, c.b0)];
+
+// Part of the volume that does not depend on the upper bound along `dir`
+const bottom = (c, dir, m) => {
+    if (dir === 'r') return -m[at(c.r0, c.g1, c.b1)] + m[at(c.r0, c.g1, c.b0)] + m[at(c.r0, c.g0, c.b1)] - m[at(c.r0, c.g0, c.b0)];
+    if (dir === 'g') return -m[at(c.r1, c.g0, c.b1)] + m[at(c.r1, c.g0, c.b0)] + m[at(c.r0, c.g0, c.b1)] - m[at(c.r0, c.g0, c.b0)];
+    return -m[at(c.r1, c.g1, c.b0)] + m[at(c.r1, c.g0, c.b0)] + m[at(c.r0, c.g1, c.b0)] - m[at(c.r0, c.g0, c.b0)];
+};
+
+// Remainder of the volume with the upper bound along `dir` set to `pos`
+const top = (c, dir, pos, m) => {
+    if (dir === 'r') return m[at(pos, c.g1, c.b1)] - m[at(pos, c.g1, c.b0)] - m[at(pos, c.g0, c.b1)] + m[at(pos, c.g0, c.b0)];
+    if (dir === 'g') return m[at(c.r1, pos, c.b1)] - m[at(c.r1, pos, c.b0)] - m[at(c.r0, pos, c.b1)] + m[at(c.r0, pos, c.b0)];
+    return m[at(c.r1, c.g1, pos)] - m[at(c.r1, c.g0, pos)] - m[at(c.r0, c.g1, pos)] + m[at(c.r0, c.g0, pos)];
+};
+
+const variance = (c, m) => {
+    const dr = volume(c, m.mr), dg = volume(c, m.mg), db = volume(c, m.mb);
+    return volume(c, m.m2) - (dr * dr + dg * dg + db * db) / volume(c, m.wt);
+};
+
+const maximize = (c, dir, whole, m) => {
+    const base = { r: bottom(c, dir, m.mr), g: bottom(c, dir, m.mg), b: bottom(c, dir, m.mb), w: bottom(c, dir, m.wt) };
+    let max = 0, cut = -1;
+    for (let pos = c[`${dir}0`] + 1; pos < c[`${dir}1`]; pos++) {
+        const hr = base.r + top(c, dir, pos, m.mr);
+        const hg = base.g + top(c, dir, pos, m.mg);
+        const hb = base.b + top(c, dir, pos, m.mb);
+        const hw = base.w + top(c, dir, pos, m.wt);
+        if (hw === 0) continue;
+        const rw = whole.w - hw;
+        if (rw === 0) continue;
+        const temp = (hr * hr + hg * hg + hb * hb) / hw
+            + ((whole.r - hr) ** 2 + (whole.g - hg) ** 2 + (whole.b - hb) ** 2) / rw;
+        if (temp > max) { max = temp; cut = pos; }
+    }
+    return { max, cut };
+};
+
+// Split box `a` in place; returns the new second half, or null if it can't be split
+const cutBox = (a, m) => {
+    const whole = { r: volume(a, m.mr), g: volume(a, m.mg), b: volume(a, m.mb), w: volume(a, m.wt) };
+    const best = ['r', 'g', 'b']
+        .map(dir => ({ dir, ...maximize(a, dir, whole, m) }))
+        .reduce((x, y) => (y.max > x.max ? y : x));
+    if (best.cut < 0) return null;
+
+    const b = { ...a };
+    a[`${best.dir}1`] = best.cut;
+    b[`${best.dir}0`] = best.cut;
+    return b;
+};
+
+export const wuQuantize = (colors, count) => {
+    const m = createMoments(colors);
+    const boxes = [{ r0: 0, r1: 32, g0: 0, g1: 32, b0: 0, b1: 32 }];
+    const vv = [0];
+    const boxVariance = (c) => ((c.r1 - c.r0) * (c.g1 - c.g0) * (c.b1 - c.b0) > 1 ? variance(c, m) : 0);
+
+    let next = 0;
+    while (boxes.length < count) {
+        const split = cutBox(boxes[next], m);
+        if (split) {
+            vv[next] = boxVariance(boxes[next]);
+            boxes.push(split);
+            vv.push(boxVariance(split));
+        } else {
+            vv[next] = 0;
+        }
+
+        next = 0;
+        for (let k = 1; k < boxes.length; k++) if (vv[k] > vv[next]) next = k;
+        if (vv[next] <= 0) break;
+    }
+
+    return boxes
+        .map(c => ({ c, w: volume(c, m.wt) }))
+        .filter(({ w }) => w > 0)
+        .map(({ c, w }) => ({ r: volume(c, m.mr) / w, g: volume(c, m.mg) / w, b: volume(c, m.mb) / w }));
+};
+
+// --- OCTREE ---
+// Colors are inserted down to depth 8, then nodes are folded into single leaves
+// one at a time, fewest pixels first, until at most `count` leaves remain. A
+// fold that would drop below `count` is passed over while others remain, and
+// the root is never folded.
+
+const OCTREE_DEPTH = 8;
+
+export const octreeQuantize = (colors, count) => {
+    const nodes = [];
+    const createNode = (depth) => {
+        const node = { r: 0, g: 0, b: 0, count: 0, weight: 0, depth, children: null, leaf: depth === OCTREE_DEPTH };
+        if (!node.leaf) {
+            node.children = new Array(8).fill(null);
+            if (depth > 0) nodes.push(node);
+        }
+        return node;
+    };
+    const root = createNode(0);
+    let leafCount = 0;
+
+    colors.forEach(({ r, g, b, count: n }) => {
+        let node = root;
+        for (let depth = 0; depth < OCTREE_DEPTH; depth++) {
+            node.weight += n;
+            const shift = 7 - depth;
+            const i = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+            if (!node.children[i]) {
+                node.children[i] = createNode(depth + 1);
+                if (node.children[i].leaf) leafCount++;
+            }
+            node = node.children[i];
+        }
+        node.r += r * n;
+        node.g += g * n;
+        node.b += b * n;
+        node.count += n;
+    });
+
+    // A node never weighs less than its children, and deeper nodes go first on
+    // ties, so every node comes after the nodes below it
+    const order = nodes
+        .map((node, i) => ({ node, i }))
+        .sort((a, b) => a.node.weight - b.node.weight || b.node.depth - a.node.depth || a.i - b.i)
+        .map(({ node }) => node);
+
+    const fold = (node) => {
+        node.children.forEach(child => {
+            if (!child) return;
+            node.r += child.r; node.g += child.g; node.b += child.b; node.count += child.count;
+        });
+        node.children = null;
+        node.leaf = true;
+    };
+
+    for (const exact of [true, false]) {
+        for (const node of order) {
+            if (leafCount <= count) break;
+            if (node.leaf || !node.children.every(c => !c || c.leaf)) continue;
+            const merged = node.children.filter(Boolean).length;
+            if (exact && leafCount - (merged - 1) < count) continue;
+            fold(node);
+            leafCount -= merged - 1;
+        }
+    }
+
+    const leaves = [];
+    const collect = (node) => {
+        if (node.leaf) {
+            if (node.count > 0) leaves.push(node);
+            return;
+        }
+        node.children.forEach(child => child && collect(child));
+    };
+    collect(root);
+
+    // Folding stops at the root's children, so below 8 colors the lightest
+    // leaf is merged into the nearest remaining one until count are left
+    while (leaves.length > count) {
+        let lightest = 0;
+        leaves.forEach((leaf, i) => { if (leaf.count < leaves[lightest].count) lightest = i; });
+        const [leaf] = leaves.splice(lightest, 1);
+        const mean = (node) => [node.r / node.count, node.g / node.count, node.b / node.count];
+        const [r, g, b] = mean(leaf);
+        let nearest = null;
+        let bestDist = Infinity;
+        leaves.forEach(other => {
+            const [or, og, ob] = mean(other);
+            const dist = (r - or) ** 2 + (g - og) ** 2 + (b - ob) ** 2;
+            if (dist < bestDist) { bestDist = dist; nearest = other; }
+        });
+        nearest.r += leaf.r; nearest.g += leaf.g; nearest.b += leaf.b; nearest.count += leaf.count;
+    }
+
+    return leaves.map(node => ({ r: node.r / node.count, g: node.g / node.count, b: node.b / node.count }));
+};
@@ -0,0 +1,23 @@
+// --- SEEDED RANDOMNESS ---
+// Deterministic replacements for Math.random() so renders and exports repeat.
+
+// Mulberry32: small, fast PRNG returning floats in [0, 1)
+export const createRng = (seed) => {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Position-locked noise in [0, 1): same (x, y, seed) always gives the same value,
+// independent of scan order
+export const hashNoise = (x, y, seed) => {
+    let h = Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(seed, 0x9e3779b9);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+};
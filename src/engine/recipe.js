@@ -0,0 +1,238 @@
+import { DITHER_METHODS, TEMPORAL_MODES, ALPHA_MODES } from './dither.js';
+import { PALETTE_METHODS, PALETTE_PRESETS, PALETTE_SAMPLE_SIZES, MIN_PALETTE_SIZE, MAX_PALETTE_SIZE } from './palette.js';
+import { COLOR_METRICS } from './color.js';
+import { BLUE_NOISE_SIZES } from './blueNoise.js';
+import { BAYER_SIZES, DEFAULT_NOISE_SIZE, DEFAULT_ORDERED_STRENGTH } from './threshold.js';
+import { DEFAULT_CUSTOM_KERNEL } from './kernels.js';
+import { TONE_DEFAULTS, MAX_CURVE_POINTS } from './tone.js';
+import { ROTATIONS, FIT_MODES } from './transform.js';
+import { GRAY_RAMPS, MIN_GRAY_LEVELS, MAX_GRAY_LEVELS, parseGrayLevels } from './grayscale.js';
+import { HARDWARE_MODES, MAX_TILE_SIZE, MAX_TILE_COLORS } from './hardware.js';
+
+// --- RECIPES ---
+// A recipe is every setting that affects the look, as versioned JSON:
+// { format, version, name, settings }. Files, URL hashes, the local recipe
+// list and the CLI all read recipes through parseRecipe, which upgrades
+// older versions and rejects values the app can't use.
+
+export const RECIPE_FORMAT = 'bitmap-fono-recipe';
+export const RECIPE_VERSION = 1;
+
+export const MAX_SEED = 2147483647;
+
+const int = (min, max) => ({ type: 'int', min, max });
+const number = (min, max) => ({ type: 'number', min, max });
+const oneOf = (values) => ({ type: 'enum', values });
+const BOOLEAN = { type: 'boolean' };
+const TEXT = { type: 'string', maxLength: 2000 };
+const COLORS = { type: 'colors' };
+const CURVE = { type: 'curve' };
+const COLOR = { type: 'color' };
+const CROP = { type: 'crop' };
+
+// Setting -> [rule, default]. Defaults are the app's initial state.
+const FIELDS = {
+    mode: [oneOf(['bw', 'gray', 'color']), 'bw'],
+    outputWidth: [int(1, 20000), 600],
+    outputHeight: [int(0, 20000), 0], // 0 follows the source aspect ratio
+    fitMode: [oneOf(Object.keys(FIT_MODES)), 'FIT'],
+    background: [COLOR, '#FFFFFF'],
+    rotate: [oneOf(ROTATIONS), 0],
+    flipH: [BOOLEAN, false],
+    flipV: [BOOLEAN, false],
+    crop: [CROP, null],
+    pixelSize: [int(1, 64), 4],
+    pixelAspect: [number(0.25, 4), 1], // Dither pixel width over height
+    threshold: [int(0, 255), 128],
+    blur: [number(0, 100), 0],
+    colorDepth: [int(1, 8), 8],
+    brightness: [int(-100, 100), TONE_DEFAULTS.brightness],
+    contrast: [int(-100, 100), TONE_DEFAULTS.contrast],
+    gamma: [number(0.1, 5), TONE_DEFAULTS.gamma],
+    blackPoint: [int(0, 254), TONE_DEFAULTS.blackPoint],
+    whitePoint: [int(1, 255), TONE_DEFAULTS.whitePoint],
+    toneCurve: [CURVE, TONE_DEFAULTS.toneCurve],
+    sharpenAmount: [int(0, 500), TONE_DEFAULTS.sharpenAmount],
+    sharpenRadius: [number(0.5, 10), TONE_DEFAULTS.sharpenRadius],
+    edgeAmount: [int(0, 200), TONE_DEFAULTS.edgeAmount],
+    ditherMethod: [oneOf(Object.keys(DITHER_METHODS)), 'FLOYD'],
+    customKernelText: [TEXT, DEFAULT_CUSTOM_KERNEL],
+    customKernelDivisor: [TEXT, ''],
+    serpentine: [BOOLEAN, false],
+    diffusionStrength: [int(0, 150), 100],
+    errorClamp: [int(0, 255), 0],
+    noiseSize: [oneOf(BLUE_NOISE_SIZES), DEFAULT_NOISE_SIZE],
+    noiseSeed: [int(0, MAX_SEED), 1],
+    bayerSize: [oneOf(BAYER_SIZES), 16],
+    screenSize: [int(2, 32), 8],
+    screenAngle: [int(0, 180), 45],
+    orderedStrength: [int(0, 255), DEFAULT_ORDERED_STRENGTH],
+    paletteMethod: [oneOf(Object.keys(PALETTE_METHODS)), 'MEDIAN_CUT'],
+    paletteSize: [int(MIN_PALETTE_SIZE, MAX_PALETTE_SIZE), 5],
+    paletteSampleSize: [oneOf(PALETTE_SAMPLE_SIZES), 64],
+    paletteSeed: [int(0, MAX_SEED), 1],
+    colorMetric: [oneOf(Object.keys(COLOR_METRICS)), 'REDMEAN'],
+    linearLight: [BOOLEAN, false],
+    grayLevelCount: [int(MIN_GRAY_LEVELS, MAX_GRAY_LEVELS), 4],
+    grayLevelsText: [TEXT, ''], // Custom gray values; empty means evenly spaced
+    grayTint: [BOOLEAN, false],
+    grayRamp: [COLORS, GRAY_RAMPS.NEUTRAL.colors],
+    hardwareMode: [oneOf(Object.keys(HARDWARE_MODES)), 'NONE'],
+    tileWidth: [int(1, MAX_TILE_SIZE), 8], // Custom tiles only
+    tileHeight: [int(1, MAX_TILE_SIZE), 8],
+    tileColors: [int(1, MAX_TILE_COLORS), 2],
+    alphaMode: [oneOf(Object.keys(ALPHA_MODES)), 'THRESHOLD'],
+    alphaThreshold: [int(1, 255), 128],
+    matteColor: [COLOR, '#FFFFFF'],
+    transparentIndex: [int(-1, MAX_PALETTE_SIZE - 1), -1], // Reserved palette color, -1 for none
+    // Extracted palettes are re-extracted from whatever image is loaded
+    palette: [COLORS, PALETTE_PRESETS.DEFAULT.colors],
+    paletteName: [TEXT, PALETTE_PRESETS.DEFAULT.name],
+    paletteExtracted: [BOOLEAN, false],
+    temporalMode: [oneOf(Object.keys(TEMPORAL_MODES)), 'OFF'],
+    temporalThreshold: [int(0, 64), 8],
+    temporalBlend: [int(0, 100), 50]
+};
+
+export const RECIPE_DEFAULTS = Object.fromEntries(Object.entries(FIELDS).map(([key, [, value]]) => [key, value]));
+
+// Error message for an invalid value, or null
+const checkField = (key, value, rule) => {
+    switch (rule.type) {
+        case 'int':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'int' && !Number.isInteger(value))
+                || value < rule.min || value > rule.max) {
+                return `${key} must be ${rule.type === 'int' ? 'an integer' : 'a number'} from ${rule.min} to ${rule.max}`;
+            }
+            return null;
+        case 'enum':
+            return rule.values.includes(value) ? null : `${key} must be one of ${rule.values.join(', ')}`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${key} must be true or false`;
+        case 'string':
+            return typeof value === 'string' && value.length <= rule.maxLength ? null : `${key} must be text`;
+        case 'colors':
+            return Array.isArray(value) && value.length > 0 && value.length <= MAX_PALETTE_SIZE && value.every(c => typeof c === 'string' && /^#[a-f\d]{6}$/i.test(c))
+                ? null : `${key} must be a list of 1-${MAX_PALETTE_SIZE} #rrggbb colors`;
+        case 'color':
+            return typeof value === 'string' && /^#[a-f\d]{6}$/i.test(value) ? null : `${key} must be a #rrggbb color`;
+        case 'crop': {
+            if (value === null) return null;
+            const fraction = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+            return value && typeof value === 'object' && ['x', 'y', 'width', 'height'].every(k => fraction(value[k]))
+                && value.width > 0 && value.height > 0 && value.x + value.width <= 1.0001 && value.y + value.height <= 1.0001
+                ? null : `${key} must be null or { x, y, width, height } fractions inside the image`;
+        }
+        case 'curve':
+            return Array.isArray(value) && value.length >= 2 && value.length <= MAX_CURVE_POINTS
+                && value.every((p, i) => Array.isArray(p) && p.length === 2 && p.every(v => Number.isInteger(v) && v >= 0 && v <= 255) && (i === 0 || p[0] > value[i - 1][0]))
+                ? null : `${key} must be 2-${MAX_CURVE_POINTS} [x, y] points from 0 to 255 with increasing x`;
+        default:
+            return null;
+    }
+};
+
+// --- MIGRATIONS ---
+// MIGRATIONS[v] upgrades a version-v recipe to version v + 1 and returns
+// { data, warnings } about what changed. Version 1 is the first format, so
+// there is nothing to upgrade yet.
+
+const MIGRATIONS = {};
+
+// input: JSON text or an already parsed object.
+// Returns { recipe: { name, settings }, warnings } or { error }. Missing
+// settings take their defaults; unknown ones are ignored with a warning.
+export const parseRecipe = (input) => {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (e) {
+            return { error: 'Recipe is not valid JSON' };
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return { error: 'Recipe must be a JSON object' };
+    if (data.format === undefined) return { error: 'Not a Bitmap Fono recipe (no "format" field)' };
+    if (data.format !== RECIPE_FORMAT) return { error: `Not a Bitmap Fono recipe (format "${data.format}")` };
+
+    const warnings = [];
+    let version = data.version;
+    if (!Number.isInteger(version) || version < 1) return { error: `Invalid recipe version ${JSON.stringify(data.version)}` };
+    if (version > RECIPE_VERSION) return { error: `Recipe version ${version} is newer than this app supports (${RECIPE_VERSION})` };
+    while (version < RECIPE_VERSION) {
+        const migrated = MIGRATIONS[version](data);
+        data = migrated.data;
+        warnings.push(...migrated.warnings);
+        version++;
+    }
+
+    const values = data.settings;
+    if (!values || typeof values !== 'object' || Array.isArray(values)) return { error: 'Recipe has no settings object' };
+    const settings = { ...RECIPE_DEFAULTS };
+    const errors = [];
+    Object.entries(values).forEach(([key, value]) => {
+        if (!FIELDS[key]) {
+            warnings.push(`Ignored unknown setting "${key}"`);
+            return;
+        }
+        const error = checkField(key, value, FIELDS[key][0]);
+        if (error) errors.push(error);
+        else settings[key] = value;
+    });
+    if (settings.blackPoint >= settings.whitePoint) errors.push('blackPoint must be below whitePoint');
+    const grayError = parseGrayLevels(settings.grayLevelsText).error;
+    if (grayError) errors.push(`grayLevelsText: ${grayError}`);
+    if (settings.grayRamp.length < 2) errors.push('grayRamp needs at least 2 colors');
+    if (errors.length) return { error: `Invalid recipe: ${errors.join('; ')}` };
+
+    const name = typeof data.name === 'string' ? data.name.slice(0, 200) : '';
+    return { recipe: { name, settings }, warnings };
+};
+
+// settings: any object with the recipe's keys (extra keys are dropped).
+// `onlyChanged` leaves out default values, e.g. to keep URLs short.
+export const createRecipe = (settings, name = '', onlyChanged = false) => {
+    const picked = {};
+    Object.keys(FIELDS).forEach(key => {
+        if (settings[key] === undefined) return;
+        if (onlyChanged && JSON.stringify(settings[key]) === JSON.stringify(RECIPE_DEFAULTS[key])) return;
+        picked[key] = settings[key];
+    });
+    return { format: RECIPE_FORMAT, version: RECIPE_VERSION, name, settings: picked };
+};
+
+// --- URL HASH ---
+// #recipe=<base64url JSON>, with defaults left out
+
+const HASH_KEY = 'recipe';
+
+const toBase64Url = (text) => {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+// Hash fragment (without '#'), or '' when every setting is at its default
+export const encodeRecipeHash = (settings, name = '') => {
+    const recipe = createRecipe(settings, name, true);
+    if (Object.keys(recipe.settings).length === 0 && !name) return '';
+    return `${HASH_KEY}=${toBase64Url(JSON.stringify(recipe))}`;
+};
+
+// Returns null when the hash has no recipe, otherwise a parseRecipe result
+export const decodeRecipeHash = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    if (encoded === null) return null;
+    try {
+        return parseRecipe(fromBase64Url(encoded));
+    } catch (e) {
+        return { error: 'The recipe in this link is damaged' };
+    }
+};
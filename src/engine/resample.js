@@ -0,0 +1,226 @@
+import { applyTone } from './tone.js';
+import { hexToRgb } from './color.js';
+import { transformRgba } from './transform.js';
+
+// --- RESAMPLING ---
+// Deterministic resize and blur for the input stage. Canvas drawImage and
+// ctx.filter differ between browsers, so the app and the CLI both prepare
+// the dither input here and get the same pixels for the same source.
+
+const clampIndex = (i, size) => (i < 0 ? 0 : i >= size ? size - 1 : i);
+
+// Source taps per destination pixel along one axis: area coverage when
+// shrinking, linear interpolation between pixel centers when enlarging.
+// Flattened: taps for pixel d are start[d] .. start[d + 1] - 1.
+const axisTaps = (srcSize, dstSize) => {
+    const scale = srcSize / dstSize;
+    const start = new Int32Array(dstSize + 1);
+    const allIndices = [];
+    const allWeights = [];
+    for (let d = 0; d < dstSize; d++) {
+        const indices = [];
+        const weights = [];
+        if (scale >= 1) {
+            const lo = d * scale;
+            const hi = lo + scale;
+            for (let s = Math.floor(lo); s < Math.min(srcSize, Math.ceil(hi)); s++) {
+                indices.push(s);
+                weights.push(Math.min(hi, s + 1) - Math.max(lo, s));
+            }
+        } else {
+            const center = (d + 0.5) * scale - 0.5;
+            const s0 = Math.floor(center);
+            const t = center - s0;
+            indices.push(clampIndex(s0, srcSize), clampIndex(s0 + 1, srcSize));
+            weights.push(1 - t, t);
+        }
+        const total = weights.reduce((a, w) => a + w, 0);
+        start[d] = allIndices.length;
+        indices.forEach((s, k) => { allIndices.push(s); allWeights.push(weights[k] / total); });
+    }
+    start[dstSize] = allIndices.length;
+    return { start, indices: Int32Array.from(allIndices), weights: Float64Array.from(allWeights) };
+};
+
+// RGBA resize, alpha-weighted so transparent pixels don't darken edges.
+// Returns a new Uint8ClampedArray of width * height * 4.
+export const resizeRgba = (source, srcWidth, srcHeight, width, height) => {
+    if (srcWidth === width && srcHeight === height) return Uint8ClampedArray.from(source);
+    const xTaps = axisTaps(srcWidth, width);
+    const yTaps = axisTaps(srcHeight, height);
+
+    // Horizontal pass into premultiplied floats
+    const rows = new Float64Array(width * srcHeight * 4);
+    for (let y = 0; y < srcHeight; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let k = xTaps.start[x]; k < xTaps.start[x + 1]; k++) {
+                const o = (y * srcWidth + xTaps.indices[k]) * 4;
+                const wa = xTaps.weights[k] * source[o + 3];
+                r += source[o] * wa;
+                g += source[o + 1] * wa;
+                b += source[o + 2] * wa;
+                a += wa;
+            }
+            const o = (y * width + x) * 4;
+            rows[o] = r; rows[o + 1] = g; rows[o + 2] = b; rows[o + 3] = a;
+        }
+    }
+
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let k = yTaps.start[y]; k < yTaps.start[y + 1]; k++) {
+                const o = (yTaps.indices[k] * width + x) * 4;
+                const w = yTaps.weights[k];
+                r += rows[o] * w;
+                g += rows[o + 1] * w;
+                b += rows[o + 2] * w;
+                a += rows[o + 3] * w;
+            }
+            const o = (y * width + x) * 4;
+            if (a > 0) {
+                out[o] = Math.round(r / a);
+                out[o + 1] = Math.round(g / a);
+                out[o + 2] = Math.round(b / a);
+            }
+            out[o + 3] = Math.round(a);
+        }
+    }
+    return out;
+};
+
+// Box sizes whose three passes approximate a Gaussian of `sigma`
+const gaussBoxes = (sigma) => {
+    const ideal = Math.sqrt(4 * sigma * sigma + 1);
+    let lower = Math.floor(ideal);
+    if (lower % 2 === 0) lower--;
+    const upper = lower + 2;
+    const m = Math.round((12 * sigma * sigma - 3 * lower * lower - 12 * lower - 9) / (-4 * lower - 4));
+    return [0, 1, 2].map(i => (i < m ? lower : upper));
+};
+
+// One box pass along rows (step 1) or columns (step width), edges clamped
+const boxPass = (src, dst, width, height, radius, horizontal) => {
+    const lines = horizontal ? height : width;
+    const length = horizontal ? width : height;
+    const stride = horizontal ? 4 : width * 4;
+    const size = radius * 2 + 1;
+    for (let line = 0; line < lines; line++) {
+        const base = horizontal ? line * width * 4 : line * 4;
+        for (let c = 0; c < 4; c++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) sum += src[base + clampIndex(k, length) * stride + c];
+            for (let i = 0; i < length; i++) {
+                dst[base + i * stride + c] = sum / size;
+                sum += src[base + clampIndex(i + radius + 1, length) * stride + c] - src[base + clampIndex(i - radius, length) * stride + c];
+            }
+        }
+    }
+};
+
+// Gaussian-like blur with standard deviation `sigma` pixels (like CSS blur()).
+// Returns a new Uint8ClampedArray.
+export const blurRgba = (data, width, height, sigma) => {
+    if (sigma <= 0) return Uint8ClampedArray.from(data);
+    let a = Float64Array.from(data);
+    let b = new Float64Array(a.length);
+    gaussBoxes(sigma).forEach(box => {
+        const radius = (box - 1) / 2;
+        boxPass(a, b, width, height, radius, true);
+        boxPass(b, a, width, height, radius, false);
+    });
+    const out = new Uint8ClampedArray(a.length);
+    for (let i = 0; i < a.length; i++) out[i] = Math.round(a[i]);
+    return out;
+};
+
+// Dither resolution and preview size for a source at the given settings.
+// outputHeight 0 follows the source aspect ratio. pixelAspect is a dither
+// pixel's width over its height, e.g. 2 for double-wide pixels.
+export const ditherSize = (srcWidth, srcHeight, outputWidth, pixelSize, outputHeight = 0, pixelAspect = 1) => {
+    const aspect = srcHeight / srcWidth;
+    const width = Math.max(1, Math.floor(outputWidth / (pixelSize * pixelAspect)));
+    if (outputHeight > 0) {
+        return { width, height: Math.max(1, Math.round(outputHeight / pixelSize)), outputWidth, outputHeight };
+    }
+    return {
+        width,
+        height: Math.max(1, Math.round(width * pixelAspect * aspect)),
+        outputWidth,
+        outputHeight: Math.max(1, Math.round(outputWidth * aspect))
+    };
+};
+
+// Resizes into width x height: FIT letterboxes with the opaque background
+// color, FILL crops the overflow evenly, STRETCH ignores the aspect ratio.
+// Proportions are kept as displayed, with pixels pixelAspect times as wide.
+const fitRgba = (source, width, height, fitMode, background, pixelAspect = 1) => {
+    const { data, width: sw, height: sh } = source;
+    const aw = sw / pixelAspect;
+    if (fitMode === 'FILL') {
+        const scale = Math.max(width / aw, height / sh);
+        const cw = Math.min(1, width / scale / aw);
+        const ch = Math.min(1, height / scale / sh);
+        const cropped = transformRgba(source, { crop: { x: (1 - cw) / 2, y: (1 - ch) / 2, width: cw, height: ch } });
+        return resizeRgba(cropped.data, cropped.width, cropped.height, width, height);
+    }
+    if (fitMode !== 'FIT') return resizeRgba(data, sw, sh, width, height);
+
+    const scale = Math.min(width / aw, height / sh);
+    const iw = Math.max(1, Math.min(width, Math.round(aw * scale)));
+    const ih = Math.max(1, Math.min(height, Math.round(sh * scale)));
+    const resized = resizeRgba(data, sw, sh, iw, ih);
+    const { r, g, b } = hexToRgb(background);
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < out.length; i += 4) {
+        out[i] = r; out[i + 1] = g; out[i + 2] = b; out[i + 3] = 255;
+    }
+    const left = (width - iw) >> 1;
+    const top = (height - ih) >> 1;
+    for (let y = 0; y < ih; y++) out.set(resized.subarray(y * iw * 4, (y + 1) * iw * 4), ((top + y) * width + left) * 4);
+    return out;
+};
+
+// source: { data, width, height } at full resolution. Settings: output size
+// (outputHeight 0 = follow the aspect ratio), fitMode/background for explicit
+// sizes, rotate/flipH/flipV/crop as in transform.js, `tone` as in tone.js and
+// pixelAspect as in ditherSize.
+// Returns { data, width, height, outputWidth, outputHeight } ready for ditherImage.
+export const prepareSource = (source, {
+    outputWidth, outputHeight = 0, fitMode = 'FIT', background = '#FFFFFF', pixelSize, blur = 0, tone,
+    rotate = 0, flipH = false, flipV = false, crop = null, pixelAspect = 1
+}) => {
+    const transformed = transformRgba(source, { rotate, flipH, flipV, crop });
+    const size = ditherSize(transformed.width, transformed.height, outputWidth, pixelSize, outputHeight, pixelAspect);
+    const resized = outputHeight > 0
+        ? fitRgba(transformed, size.width, size.height, fitMode, background, pixelAspect)
+        : resizeRgba(transformed.data, transformed.width, transformed.height, size.width, size.height);
+    const blurred = blur > 0 ? blurRgba(resized, size.width, size.height, blur) : resized;
+    return { ...size, data: tone ? applyTone(blurred, size.width, size.height, tone) : blurred };
+};
+
+// prepareSource results for one set of settings, per source key (the pixels,
+// a frame canvas, a batch file), so dither-only changes skip this stage.
+// `prepare` runs on a miss and may return a promise. Settings are compared by
+// value; past `limit` sources the oldest is dropped.
+export const createPrepareCache = (limit = 1) => {
+    let settingsKey = null;
+    const results = new Map();
+    return (key, settings, prepare) => {
+        const json = JSON.stringify(settings);
+        if (json !== settingsKey) {
+            settingsKey = json;
+            results.clear();
+        }
+        if (!results.has(key)) {
+            if (results.size >= limit) results.delete(results.keys().next().value);
+            const result = prepare();
+            results.set(key, result);
+            // A failed async prepare is tried again next time
+            if (result instanceof Promise) result.catch(() => { if (results.get(key) === result) results.delete(key); });
+        }
+        return results.get(key);
+    };
+};
@@ -0,0 +1,196 @@
+// --- SVG EXPORT ---
+// Builds a vector version of a dithered RGBA buffer. Every mode draws the
+// most common color as one base rect (when the image has no transparency)
+// and covers the remaining pixels with as few elements as it can.
+
+export const SVG_MODES = {
+    RUNS: 'Merged Runs',
+    RECTANGLES: 'Greedy Rectangles',
+    PATHS: 'Traced Paths'
+};
+
+const TRANSPARENT = -1;
+
+const toHex = (rgb) => `#${rgb.toString(16).padStart(6, '0').toUpperCase()}`;
+
+// Up to 3 decimals, no trailing zeros
+const num = (v) => String(Math.round(v * 1000) / 1000);
+
+// One int per pixel: 0xRRGGBB, or TRANSPARENT for fully transparent pixels
+const colorGrid = (data, width, height) => {
+    const grid = new Int32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        grid[i] = data[i * 4 + 3] === 0
+            ? TRANSPARENT
+            : (data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2];
+    }
+    return grid;
+};
+
+// Most frequent color, or null if any pixel is transparent
+const findBackground = (grid) => {
+    const counts = new Map();
+    for (let i = 0; i < grid.length; i++) {
+        if (grid[i] === TRANSPARENT) return null;
+        counts.set(grid[i], (counts.get(grid[i]) || 0) + 1);
+    }
+    let best = null, bestCount = 0;
+    counts.forEach((count, color) => { if (count > bestCount) { best = color; bestCount = count; } });
+    return best;
+};
+
+// --- RECTANGLE MODES ---
+// Both return Map<color, [x, y, w, h][]>
+
+const mergeRuns = (grid, width, height, skip) => {
+    const rects = new Map();
+    for (let y = 0; y < height; y++) {
+        let x = 0;
+        while (x < width) {
+            const c = grid[y * width + x];
+            let end = x + 1;
+            while (end < width && grid[y * width + end] === c) end++;
+            if (c !== skip) {
+                if (!rects.has(c)) rects.set(c, []);
+                rects.get(c).push([x, y, end - x, 1]);
+            }
+            x = end;
+        }
+    }
+    return rects;
+};
+
+// Grow each unvisited pixel right as far as the color runs, then down while
+// the whole span still matches
+const greedyRectangles = (grid, width, height, skip) => {
+    const rects = new Map();
+    const used = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const c = grid[i];
+            if (used[i] || c === skip) continue;
+
+            let w = 1;
+            while (x + w < width && !used[i + w] && grid[i + w] === c) w++;
+            let h = 1;
+            grow: while (y + h < height) {
+                const row = (y + h) * width + x;
+                for (let k = 0; k < w; k++) {
+                    if (used[row + k] || grid[row + k] !== c) break grow;
+                }
+                h++;
+            }
+            for (let dy = 0; dy < h; dy++) used.fill(1, (y + dy) * width + x, (y + dy) * width + x + w);
+
+            if (!rects.has(c)) rects.set(c, []);
+            rects.get(c).push([x, y, w, h]);
+        }
+    }
+    return rects;
+};
+
+// --- PATH TRACING ---
+// Boundary edges of each color region are walked into closed loops. With
+// fill-rule="evenodd" the loops don't need consistent winding, so holes
+// and diagonal-touching corners come out right whichever way edges pair up.
+
+const traceColor = (grid, width, height, color, sx, sy) => {
+    const stride = width + 1;
+    const edges = new Map(); // start vertex -> end vertices
+    const addEdge = (x0, y0, x1, y1) => {
+        const from = y0 * stride + x0;
+        if (!edges.has(from)) edges.set(from, []);
+        edges.get(from).push(y1 * stride + x1);
+    };
+    const is = (x, y) => x >= 0 && y >= 0 && x < width && y < height && grid[y * width + x] === color;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (grid[y * width + x] !== color) continue;
+            if (!is(x, y - 1)) addEdge(x, y, x + 1, y);
+            if (!is(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+            if (!is(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+            if (!is(x - 1, y)) addEdge(x, y + 1, x, y);
+        }
+    }
+
+    let d = '';
+    edges.forEach((_, start) => {
+        while (edges.get(start).length) {
+            // Walk one loop, keeping only the vertices where direction changes
+            const points = [start];
+            let current = start;
+            do {
+                const outs = edges.get(current);
+                const next = outs.pop();
+                points.push(next);
+                current = next;
+            } while (current !== start);
+
+            const corners = points.filter((p, k) => {
+                if (k === 0 || k === points.length - 1) return true;
+                const prev = points[k - 1], next = points[k + 1];
+                return !((prev % stride === p % stride && p % stride === next % stride)
+                    || (Math.floor(prev / stride) === Math.floor(p / stride) && Math.floor(p / stride) === Math.floor(next / stride)));
+            });
+            d += `M${num((start % stride) * sx)} ${num(Math.floor(start / stride) * sy)}`;
+            for (let k = 1; k < corners.length - 1; k++) {
+                const prev = corners[k - 1], p = corners[k];
+                d += p % stride === prev % stride
+                    ? `V${num(Math.floor(p / stride) * sy)}`
+                    : `H${num((p % stride) * sx)}`;
+            }
+            d += 'Z';
+        }
+    });
+    return d;
+};
+
+// data: RGBA pixels of the dithered image. options.outputWidth/outputHeight
+// set the viewBox (defaults to one unit per pixel) so the SVG lines up with
+// the PNG export. Returns { svg, elementCount }.
+export const buildSvg = (data, width, height, options = {}) => {
+    const { mode = 'RECTANGLES', outputWidth = width, outputHeight = height } = options;
+    const sx = outputWidth / width;
+    const sy = outputHeight / height;
+    const grid = colorGrid(data, width, height);
+    const background = findBackground(grid);
+
+    const parts = [];
+    let elementCount = 0;
+    if (background !== null) {
+        parts.push(`<rect width="${num(outputWidth)}" height="${num(outputHeight)}" fill="${toHex(background)}"/>`);
+        elementCount++;
+    }
+
+    // Pixels of the background color are already drawn; transparent ones stay empty
+    const skipColor = background === null ? TRANSPARENT : background;
+
+    if (mode === 'PATHS') {
+        const colors = new Set(grid);
+        colors.delete(TRANSPARENT);
+        colors.delete(skipColor);
+        colors.forEach((color) => {
+            parts.push(`<path fill="${toHex(color)}" fill-rule="evenodd" d="${traceColor(grid, width, height, color, sx, sy)}"/>`);
+            elementCount++;
+        });
+    } else {
+        const rects = mode === 'RUNS'
+            ? mergeRuns(grid, width, height, skipColor)
+            : greedyRectangles(grid, width, height, skipColor);
+        rects.forEach((list, color) => {
+            parts.push(`<g fill="${toHex(color)}">`);
+            list.forEach(([x, y, w, h]) => {
+                parts.push(`<rect x="${num(x * sx)}" y="${num(y * sy)}" width="${num(w * sx)}" height="${num(h * sy)}"/>`);
+            });
+            parts.push('</g>');
+            elementCount += list.length;
+        });
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${num(outputWidth)}" height="${num(outputHeight)}" viewBox="0 0 ${num(outputWidth)} ${num(outputHeight)}" shape-rendering="crispEdges">`
+        + parts.join('')
+        + '</svg>';
+    return { svg, elementCount };
+};
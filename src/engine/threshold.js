@@ -0,0 +1,103 @@
+import { getBlueNoiseMap } from './blueNoise.js';
+import { hashNoise } from './random.js';
+
+// --- ORDERED THRESHOLD MAPS ---
+// Every ordered method is a function (x, y) -> t in [0, 1). The engine turns
+// t into a threshold bias of (t - 0.5) * orderedStrength.
+
+export const DEFAULT_NOISE_SIZE = 64;
+export const DEFAULT_ORDERED_STRENGTH = 64;
+export const BAYER_SIZES = [2, 4, 8, 16, 32, 64];
+
+// Fixed-size Bayer methods kept as their own entries; BAYER_N takes bayerSize
+const FIXED_BAYER = { BAYER2: 2, BAYER4: 4, BAYER8: 8 };
+
+const bayerCache = new Map();
+
+// Recursive Bayer index matrix for any power of two, row-major:
+// M(2n) = [[4M, 4M + 2], [4M + 3, 4M + 1]]
+export const generateBayerMatrix = (size) => {
+    if (bayerCache.has(size)) return bayerCache.get(size);
+    let matrix = new Uint32Array([0]);
+    for (let dim = 1; dim < size; dim *= 2) {
+        const next = new Uint32Array(dim * 2 * dim * 2);
+        for (let y = 0; y < dim; y++) {
+            for (let x = 0; x < dim; x++) {
+                const v = matrix[y * dim + x] * 4;
+                next[y * dim * 2 + x] = v;
+                next[y * dim * 2 + x + dim] = v + 2;
+                next[(y + dim) * dim * 2 + x] = v + 3;
+                next[(y + dim) * dim * 2 + x + dim] = v + 1;
+            }
+        }
+        matrix = next;
+    }
+    bayerCache.set(size, matrix);
+    return matrix;
+};
+
+// Halftone spot functions over cell coordinates u, v in [-1, 1); low values fill first
+const SPOT_FUNCTIONS = {
+    HALFTONE_DOT: (u, v) => 1 - (Math.cos(Math.PI * u) + Math.cos(Math.PI * v) + 2) / 4,
+    HALFTONE_LINE: (u) => 1 - (Math.cos(Math.PI * u) + 1) / 2,
+    HALFTONE_DIAMOND: (u, v) => (Math.abs(u) + Math.abs(v)) / 2
+};
+
+// Rotated screen: `screenSize` is the cell size in pixels, `screenAngle` in degrees
+const createScreenFn = (spot, screenSize = 8, screenAngle = 45) => {
+    const rad = screenAngle * Math.PI / 180;
+    const cos = Math.cos(rad), sin = Math.sin(rad);
+    const cell = (n) => (n / screenSize - Math.floor(n / screenSize)) * 2 - 1;
+    return (x, y) => {
+        const cx = x + 0.5, cy = y + 0.5;
+        const t = spot(cell(cx * cos + cy * sin), cell(-cx * sin + cy * cos));
+        return Math.min(0.999, Math.max(0, t));
+    };
+};
+
+// Tiled lookup into a row-major map of values in [0, 1)
+const createTiledFn = (map, width, height) => (x, y) => map[(y % height) * width + (x % width)];
+
+// Threshold function for a method, or null for methods without an ordered bias.
+// settings: { ditherMethod, bayerSize, noiseSize, noiseSeed, screenSize,
+//             screenAngle, thresholdMap: { width, height, data } }
+export const createThresholdFn = (settings) => {
+    const { ditherMethod } = settings;
+
+    if (FIXED_BAYER[ditherMethod] || ditherMethod === 'BAYER_N') {
+        const size = FIXED_BAYER[ditherMethod] || settings.bayerSize || 16;
+        const matrix = generateBayerMatrix(size);
+        const limit = size * size;
+        return (x, y) => matrix[(y % size) * size + (x % size)] / limit;
+    }
+    if (ditherMethod === 'NOISE') {
+        const size = settings.noiseSize || DEFAULT_NOISE_SIZE;
+        return createTiledFn(getBlueNoiseMap(size), size, size);
+    }
+    if (ditherMethod === 'WHITE_NOISE') {
+        const seed = settings.noiseSeed || 0;
+        return (x, y) => hashNoise(x, y, seed);
+    }
+    if (SPOT_FUNCTIONS[ditherMethod]) {
+        return createScreenFn(SPOT_FUNCTIONS[ditherMethod], settings.screenSize, settings.screenAngle);
+    }
+    if (ditherMethod === 'THRESHOLD_MAP' && settings.thresholdMap) {
+        const { width, height, data } = settings.thresholdMap;
+        return createTiledFn(data, width, height);
+    }
+    return null;
+};
+
+// Grayscale RGBA pixels (e.g. from an uploaded PNG) -> threshold map
+export const thresholdMapFromRgba = (rgba, width, height) => {
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        const gray = rgba[i * 4] * 0.299 + rgba[i * 4 + 1] * 0.587 + rgba[i * 4 + 2] * 0.114;
+        data[i] = (gray + 0.5) / 256;
+    }
+    return { width, height, data };
+};
+
+// Methods whose output comes from a threshold map (and so use orderedStrength)
+export const isOrderedMethod = (ditherMethod) => Boolean(FIXED_BAYER[ditherMethod] || SPOT_FUNCTIONS[ditherMethod])
+    || ['BAYER_N', 'NOISE', 'WHITE_NOISE', 'THRESHOLD_MAP'].includes(ditherMethod);
@@ -0,0 +1,149 @@
+import { blurRgba } from './resample.js';
+
+// --- TONE ADJUSTMENT ---
+// Runs on the resized, blurred source right before dithering. Levels, gamma,
+// brightness/contrast and the curve are folded into one 256-entry table per
+// value; unsharp mask and edge enhancement follow. Alpha is left alone.
+
+export const TONE_DEFAULTS = {
+    brightness: 0, // -100..100
+    contrast: 0, // -100..100
+    gamma: 1, // 0.1..5, above 1 lifts midtones
+    blackPoint: 0,
+    whitePoint: 255,
+    toneCurve: [[0, 0], [255, 255]], // [input, output] points, x increasing
+    sharpenAmount: 0, // percent
+    sharpenRadius: 1, // blur sigma in dither pixels
+    edgeAmount: 0 // percent
+};
+
+export const MAX_CURVE_POINTS = 16;
+
+// Monotone cubic (Fritsch-Carlson) through the curve points, so the curve
+// never overshoots between them. Returns a 256-entry table.
+export const curveTable = (points) => {
+    const table = new Float64Array(256);
+    const n = points.length;
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) slopes.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]));
+    const tangents = xs.map((_, i) => {
+        if (i === 0) return slopes[0] || 0;
+        if (i === n - 1) return slopes[n - 2];
+        return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+    });
+    for (let i = 0; i < n - 1; i++) {
+        if (slopes[i] === 0) { tangents[i] = tangents[i + 1] = 0; continue; }
+        const a = tangents[i] / slopes[i];
+        const b = tangents[i + 1] / slopes[i];
+        const h = a * a + b * b;
+        if (h > 9) {
+            const t = 3 / Math.sqrt(h);
+            tangents[i] = t * a * slopes[i];
+            tangents[i + 1] = t * b * slopes[i];
+        }
+    }
+
+    let seg = 0;
+    for (let x = 0; x < 256; x++) {
+        if (n === 0 || x <= xs[0]) { table[x] = n ? ys[0] : x; continue; }
+        if (x >= xs[n - 1]) { table[x] = ys[n - 1]; continue; }
+        while (x > xs[seg + 1]) seg++;
+        const dx = xs[seg + 1] - xs[seg];
+        const t = (x - xs[seg]) / dx;
+        const t2 = t * t, t3 = t2 * t;
+        table[x] = (2 * t3 - 3 * t2 + 1) * ys[seg] + (t3 - 2 * t2 + t) * dx * tangents[seg]
+            + (-2 * t3 + 3 * t2) * ys[seg + 1] + (t3 - t2) * dx * tangents[seg + 1];
+    }
+    return table;
+};
+
+// Value table for everything except the spatial filters
+const toneTable = ({ brightness, contrast, gamma, blackPoint, whitePoint, toneCurve }) => {
+    const curve = curveTable(toneCurve);
+    const c = contrast * 2.55;
+    const contrastFactor = (259 * (c + 255)) / (255 * (259 - c));
+    const table = new Uint8ClampedArray(256);
+    for (let x = 0; x < 256; x++) {
+        let v = Math.min(1, Math.max(0, (x - blackPoint) / Math.max(1, whitePoint - blackPoint)));
+        v = Math.pow(v, 1 / gamma);
+        v += brightness / 200;
+        v = (v - 0.5) * contrastFactor + 0.5;
+        v = Math.min(255, Math.max(0, v * 255));
+        // Curve is sampled between table entries for smooth results
+        const i = Math.floor(v);
+        const f = v - i;
+        table[x] = Math.round(i >= 255 ? curve[255] : curve[i] * (1 - f) + curve[i + 1] * f);
+    }
+    return table;
+};
+
+const isIdentityCurve = (points) => points.every(([x, y]) => x === y);
+
+export const isDefaultTone = (tone) => Object.keys(TONE_DEFAULTS).every(key => (
+    key === 'toneCurve' ? isIdentityCurve(tone.toneCurve) : tone[key] === TONE_DEFAULTS[key]
+));
+
+// Edge enhancement: adds the 4-neighbour Laplacian, edges clamped
+const enhanceEdges = (data, width, height, amount) => {
+    const out = new Uint8ClampedArray(data.length);
+    const k = amount / 100;
+    for (let y = 0; y < height; y++) {
+        const up = Math.max(0, y - 1) * width;
+        const down = Math.min(height - 1, y + 1) * width;
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const left = (y * width + Math.max(0, x - 1)) * 4;
+            const right = (y * width + Math.min(width - 1, x + 1)) * 4;
+            for (let c = 0; c < 3; c++) {
+                const laplacian = 4 * data[o + c] - data[(up + x) * 4 + c] - data[(down + x) * 4 + c] - data[left + c] - data[right + c];
+                out[o + c] = data[o + c] + k * laplacian;
+            }
+            out[o + 3] = data[o + 3];
+        }
+    }
+    return out;
+};
+
+// tone: any object with the TONE_DEFAULTS keys (missing ones take defaults).
+// Returns the input array when nothing changes, otherwise a new one.
+export const applyTone = (data, width, height, tone = {}) => {
+    const settings = { ...TONE_DEFAULTS, ...tone };
+    if (isDefaultTone(settings)) return data;
+    let out = data;
+
+    const table = toneTable(settings);
+    if (!table.every((v, i) => v === i)) {
+        out = new Uint8ClampedArray(data.length);
+        for (let i = 0; i < data.length; i += 4) {
+            out[i] = table[data[i]];
+            out[i + 1] = table[data[i + 1]];
+            out[i + 2] = table[data[i + 2]];
+            out[i + 3] = data[i + 3];
+        }
+    }
+
+    if (settings.sharpenAmount > 0) {
+        const blurred = blurRgba(out, width, height, settings.sharpenRadius);
+        const k = settings.sharpenAmount / 100;
+        const sharpened = new Uint8ClampedArray(out.length);
+        for (let i = 0; i < out.length; i++) {
+            sharpened[i] = (i & 3) === 3 ? out[i] : out[i] + k * (out[i] - blurred[i]);
+        }
+        out = sharpened;
+    }
+
+    if (settings.edgeAmount > 0) out = enhanceEdges(out, width, height, settings.edgeAmount);
+    return out;
+};
+
+// Luma histogram (Rec. 601) of the opaque-ish pixels, 256 bins
+export const lumaHistogram = (data) => {
+    const bins = new Uint32Array(256);
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        bins[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+    }
+    return bins;
+};
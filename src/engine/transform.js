@@ -0,0 +1,79 @@
+// --- SOURCE TRANSFORM ---
+// Rotation, flips and crop applied to the full-size source before resizing.
+// Flips mirror the rotated image as it's shown, and the crop is stored as
+// fractions of that view so it survives resolution changes (and batches).
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+// How the source meets an explicit width x height target
+export const FIT_MODES = {
+    FIT: 'Fit (Letterbox)',
+    FILL: 'Fill (Crop)',
+    STRETCH: 'Stretch'
+};
+
+// Common display sizes, in device pixels
+export const OUTPUT_PRESETS = {
+    OLED_128X64: { name: 'OLED 128×64', width: 128, height: 64 },
+    OLED_128X32: { name: 'OLED 128×32', width: 128, height: 32 },
+    OLED_128X128: { name: 'OLED 128×128', width: 128, height: 128 },
+    NOKIA_84X48: { name: 'Nokia LCD 84×48', width: 84, height: 48 },
+    EPAPER_250X122: { name: 'E-Paper 2.13" 250×122', width: 250, height: 122 },
+    EPAPER_296X128: { name: 'E-Paper 2.9" 296×128', width: 296, height: 128 },
+    EPAPER_400X300: { name: 'E-Paper 4.2" 400×300', width: 400, height: 300 },
+    EPAPER_800X480: { name: 'E-Paper 7.5" 800×480', width: 800, height: 480 },
+    TFT_240X240: { name: 'TFT / Avatar 240×240', width: 240, height: 240 },
+    TFT_320X240: { name: 'TFT 320×240', width: 320, height: 240 }
+};
+
+// Size after rotation, before the crop
+export const orientedSize = (width, height, rotate = 0) => (rotate % 180 ? { width: height, height: width } : { width, height });
+
+// crop: { x, y, width, height } fractions or null. Returns whole pixels, at least 1x1.
+export const cropPixels = (width, height, crop) => {
+    if (!crop) return { x: 0, y: 0, width, height };
+    const clamp = (v, max) => Math.min(max, Math.max(0, Math.round(v)));
+    const x = clamp(crop.x * width, width - 1);
+    const y = clamp(crop.y * height, height - 1);
+    return {
+        x,
+        y,
+        width: Math.max(1, clamp((crop.x + crop.width) * width, width) - x),
+        height: Math.max(1, clamp((crop.y + crop.height) * height, height) - y)
+    };
+};
+
+export const transformedSize = (width, height, { rotate = 0, crop = null } = {}) => {
+    const oriented = orientedSize(width, height, rotate);
+    const { width: w, height: h } = cropPixels(oriented.width, oriented.height, crop);
+    return { width: w, height: h };
+};
+
+// source: { data, width, height }. Returns it unchanged when there's nothing to do.
+export const transformRgba = (source, { rotate = 0, flipH = false, flipV = false, crop = null } = {}) => {
+    if (!rotate && !flipH && !flipV && !crop) return source;
+    const { width: sw, height: sh, data } = source;
+    const oriented = orientedSize(sw, sh, rotate);
+    const rect = cropPixels(oriented.width, oriented.height, crop);
+    const out = new Uint8ClampedArray(rect.width * rect.height * 4);
+    for (let y = 0; y < rect.height; y++) {
+        for (let x = 0; x < rect.width; x++) {
+            // View position -> rotated position -> source position
+            let ox = rect.x + x;
+            let oy = rect.y + y;
+            if (flipH) ox = oriented.width - 1 - ox;
+            if (flipV) oy = oriented.height - 1 - oy;
+            let sx = ox, sy = oy;
+            if (rotate === 90) { sx = oy; sy = sh - 1 - ox; }
+            else if (rotate === 180) { sx = sw - 1 - ox; sy = sh - 1 - oy; }
+            else if (rotate === 270) { sx = sw - 1 - oy; sy = ox; }
+            const s = (sy * sw + sx) * 4;
+            const o = (y * rect.width + x) * 4;
+            out[o] = data[s];
+            out[o + 1] = data[s + 1];
+            out[o + 2] = data[s + 2];
+            out[o + 3] = data[s + 3];
+        }
+    }
+    return { data: out, width: rect.width, height: rect.height };
+};
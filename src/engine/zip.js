@@ -0,0 +1,104 @@
+import { crc32, deflateRaw } from './deflate.js';
+
+// --- ZIP ---
+// Minimal zip writer/reader for frame sequences and batch exports. Entries
+// are stored or deflated; no zip64, encryption or multi-disk archives.
+
+const STORE = 0;
+const DEFLATE = 8;
+
+// entries: [{ name, data: Uint8Array, compress }]. Returns the archive bytes.
+export const writeZip = (entries) => {
+    const encoder = new TextEncoder();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data, compress = true }) => {
+        const nameBytes = encoder.encode(name);
+        const deflated = compress ? deflateRaw(data) : null;
+        const useDeflate = deflated && deflated.length < data.length;
+        const body = useDeflate ? deflated : data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, useDeflate ? DEFLATE : STORE, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, body.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        locals.push(new Uint8Array(local.buffer), nameBytes, body);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, useDeflate ? DEFLATE : STORE, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, body.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + body.length;
+    });
+
+    const centralSize = centrals.reduce((a, c) => a + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((a, p) => a + p.length, 0));
+    let pos = 0;
+    parts.forEach(p => { out.set(p, pos); pos += p.length; });
+    return out;
+};
+
+const inflateRaw = async (data) => {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Reads the central directory; resolves with [{ name, data }] for files
+// (directories are skipped). Throws on archives it can't read.
+export const readZip = async (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) { end = i; break; }
+    }
+    if (end < 0) throw new Error('Not a zip archive');
+
+    const count = view.getUint16(end + 10, true);
+    let p = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt zip directory');
+        const method = view.getUint16(p + 10, true);
+        const compressedSize = view.getUint32(p + 20, true);
+        const nameLength = view.getUint16(p + 28, true);
+        const extraLength = view.getUint16(p + 30, true);
+        const commentLength = view.getUint16(p + 32, true);
+        const localOffset = view.getUint32(p + 42, true);
+        const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLength));
+        p += 46 + nameLength + extraLength + commentLength;
+        if (name.endsWith('/')) continue;
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const body = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === STORE) entries.push({ name, data: body });
+        else if (method === DEFLATE) entries.push({ name, data: await inflateRaw(body) });
+        else throw new Error(`${name}: unsupported compression method ${method}`);
+    }
+    return entries;
+};
@@ -0,0 +1,32 @@
+// --- PALETTE LIBRARY ---
+// User palettes saved in localStorage as an ordered list of { id, name, colors }.
+
+const STORAGE_KEY = 'bitmap-fono:palettes';
+
+const isPaletteEntry = (p) => p && typeof p.id === 'string' && typeof p.name === 'string'
+    && Array.isArray(p.colors) && p.colors.length > 0 && p.colors.every(c => /^#[a-f\d]{6}$/i.test(c));
+
+export const createPaletteId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Entries that don't look like palettes are dropped rather than failing the whole list
+export const loadPaletteLibrary = () => {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(parsed) ? parsed.filter(isPaletteEntry) : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+// Returns false when storage is unavailable or full
+export const savePaletteLibrary = (library) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// Case-insensitive, order-sensitive comparison of two color lists
+export const samePalette = (a, b) => a.length === b.length && a.every((c, i) => c.toLowerCase() === b[i].toLowerCase());
@@ -0,0 +1,29 @@
+// --- RECIPE LIBRARY ---
+// Named recipes saved in localStorage as an ordered list of { id, name, recipe },
+// where `recipe` is the versioned JSON from createRecipe (parsed again on load).
+
+const STORAGE_KEY = 'bitmap-fono:recipes';
+
+const isRecipeEntry = (r) => r && typeof r.id === 'string' && typeof r.name === 'string'
+    && r.recipe && typeof r.recipe === 'object';
+
+export const createRecipeId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const loadRecipeLibrary = () => {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(parsed) ? parsed.filter(isRecipeEntry) : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+// Returns false when storage is unavailable or full
+export const saveRecipeLibrary = (library) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
@@ -0,0 +1,237 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import pngjs from 'pngjs';
+import omggif from 'omggif';
+import UPNG from 'upng-js';
+import bmp from 'bmp-js';
+import { TRANSPARENT_INDEX } from '../src/engine/dither.js';
+import { hexToRgb } from '../src/engine/color.js';
+import { BITMAP_FORMATS, encodeBitmap, encodeAnimation } from '../src/engine/bitmapFormats.js';
+
+// --- ROUND TRIPS ---
+// Encoder output is read back with independent decoders and must give exactly
+// the palette colors of every pixel, with transparent pixels at alpha 0.
+
+// Odd sizes so packed rows need padding
+const WIDTH = 13;
+const HEIGHT = 7;
+
+// Distinct colors with all three channels in use
+const testPalette = (count) => Array.from({ length: count }, (_, i) => {
+    const v = Math.round(i * 255 / (count - 1));
+    return `#${[v, 255 - v, (v * 7) % 256].map(c => c.toString(16).padStart(2, '0')).join('')}`;
+});
+
+// Every palette entry appears, plus a few transparent pixels when asked
+const indexedImage = (colors, transparent = false, shift = 0) => {
+    const indices = new Int16Array(WIDTH * HEIGHT);
+    for (let i = 0; i < indices.length; i++) indices[i] = (i * 7 + shift) % colors;
+    if (transparent) [0, 5, 40, indices.length - 1].forEach(i => { indices[i] = TRANSPARENT_INDEX; });
+    return indices;
+};
+
+const expectedRgba = (indices, palette) => {
+    const rgba = new Uint8Array(indices.length * 4);
+    indices.forEach((index, i) => {
+        if (index === TRANSPARENT_INDEX) return;
+        const { r, g, b } = hexToRgb(palette[index]);
+        rgba.set([r, g, b, 255], i * 4);
+    });
+    return rgba;
+};
+
+// Color channels of transparent pixels are whatever the decoder leaves there
+const assertPixels = (actual, expected, label) => {
+    for (let i = 0; i < expected.length; i += 4) {
+        const got = expected[i + 3] === 0 ? [actual[i + 3]] : Array.from(actual.subarray(i, i + 4));
+        const want = expected[i + 3] === 0 ? [0] : Array.from(expected.subarray(i, i + 4));
+        assert.deepEqual(got, want, `${label}: pixel ${i / 4}`);
+    }
+};
+
+// 1, 2, 4 and 8 bits per pixel
+const PALETTE_SIZES = [2, 3, 12, 200];
+
+const DECODERS = {
+    PNG: (bytes) => new Uint8Array(pngjs.PNG.sync.read(Buffer.from(bytes)).data),
+    GIF: (bytes) => {
+        const reader = new omggif.GifReader(Buffer.from(bytes));
+        const rgba = new Uint8Array(reader.width * reader.height * 4);
+        reader.decodeAndBlitFrameRGBA(0, rgba);
+        return rgba;
+    }
+};
+
+for (const [format, decode] of Object.entries(DECODERS)) {
+    for (const size of PALETTE_SIZES) {
+        for (const transparent of [false, true]) {
+            test(`${format} with ${size} colors${transparent ? ' and transparency' : ''} decodes exactly`, () => {
+                const palette = testPalette(size);
+                const indices = indexedImage(size, transparent);
+                const bytes = encodeBitmap(format, { indices, palette, width: WIDTH, height: HEIGHT, transparentIndex: null });
+                assertPixels(decode(bytes), expectedRgba(indices, palette), format);
+            });
+        }
+    }
+}
+
+test('PNG with a reserved transparent index decodes exactly', () => {
+    const palette = testPalette(12);
+    const indices = indexedImage(12, true).map(i => (i === 3 ? 4 : i));
+    const bytes = encodeBitmap('PNG', { indices, palette, width: WIDTH, height: HEIGHT, transparentIndex: 3 });
+    assertPixels(DECODERS.PNG(bytes), expectedRgba(indices, palette), 'PNG');
+});
+
+// bmp-js reads 1-bit and 8-bit files into ABGR
+for (const size of [2, 200]) {
+    test(`BMP with ${size} colors decodes exactly`, () => {
+        const palette = testPalette(size);
+        const indices = indexedImage(size);
+        const decoded = bmp.decode(Buffer.from(encodeBitmap('BMP', { indices, palette, width: WIDTH, height: HEIGHT, transparentIndex: null })));
+        assert.equal(decoded.width, WIDTH);
+        assert.equal(decoded.height, HEIGHT);
+        const rgba = new Uint8Array(decoded.data.length);
+        for (let i = 0; i < rgba.length; i += 4) rgba.set([decoded.data[i + 3], decoded.data[i + 2], decoded.data[i + 1], 255], i);
+        assertPixels(rgba, expectedRgba(indices, palette), 'BMP');
+    });
+}
+
+// --- NETPBM, XBM AND TGA ---
+// No decoder package covers these, so the test reads them back itself
+
+const luminance = ({ r, g, b }) => r * 0.299 + g * 0.587 + b * 0.114;
+
+// What the formats without transparency draw: transparent pixels take the
+// lightest palette color
+const opaqueColors = (indices, palette) => {
+    const colors = palette.map(hexToRgb);
+    const lightest = colors.reduce((best, c) => (luminance(c) > luminance(best) ? c : best));
+    return Array.from(indices, index => (index === TRANSPARENT_INDEX ? lightest : colors[index]));
+};
+
+const headerText = (bytes) => Buffer.from(bytes).toString('latin1');
+
+// P4: rows packed MSB-first, padded to whole bytes, 1 = black
+const readPbm = (bytes) => {
+    const [header, width, height] = /^P4\s+(\d+)\s+(\d+)\s/.exec(headerText(bytes));
+    const rowBytes = Math.ceil(width / 8);
+    return Array.from({ length: width * height }, (_, i) => {
+        const x = i % width;
+        const byte = bytes[header.length + Math.floor(i / width) * rowBytes + (x >> 3)];
+        return (byte >> (7 - (x & 7))) & 1;
+    });
+};
+
+// P5 with one byte per pixel
+const readPgm = (bytes) => {
+    const [header, width, height, maxval] = /^P5\s+(\d+)\s+(\d+)\s+(\d+)\s/.exec(headerText(bytes));
+    assert.equal(Number(maxval), 255);
+    return Array.from(bytes.subarray(header.length, header.length + width * height));
+};
+
+// C source: width/height defines and a byte array, LSB-first, 1 = black
+const readXbm = (bytes) => {
+    const text = headerText(bytes);
+    const width = Number(/_width (\d+)/.exec(text)[1]);
+    const height = Number(/_height (\d+)/.exec(text)[1]);
+    const data = text.slice(text.indexOf('{')).match(/0x[0-9a-f]{2}/g).map(Number);
+    const rowBytes = Math.ceil(width / 8);
+    assert.equal(data.length, rowBytes * height);
+    return Array.from({ length: width * height }, (_, i) => {
+        const x = i % width;
+        return (data[Math.floor(i / width) * rowBytes + (x >> 3)] >> (x & 7)) & 1;
+    });
+};
+
+// Type 1 (color-mapped, uncompressed) with 24- or 32-bit BGR(A) map entries
+const readTga = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const [idLength, mapType, imageType] = bytes;
+    assert.deepEqual([mapType, imageType], [1, 1]);
+    const mapLength = view.getUint16(5, true);
+    const entryBytes = bytes[7] / 8;
+    const width = view.getUint16(12, true);
+    const height = view.getUint16(14, true);
+    assert.equal(bytes[16], 8);
+    assert.equal(bytes[17] & 0x20, 0x20, 'top-left origin');
+    const mapStart = 18 + idLength;
+    const pixelStart = mapStart + mapLength * entryBytes;
+    const rgba = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const entry = mapStart + bytes[pixelStart + i] * entryBytes;
+        rgba.set([bytes[entry + 2], bytes[entry + 1], bytes[entry], entryBytes === 4 ? bytes[entry + 3] : 255], i * 4);
+    }
+    return rgba;
+};
+
+const encode = (format, indices, palette) => encodeBitmap(format, { indices, palette, width: WIDTH, height: HEIGHT, transparentIndex: null }, 'test_image');
+
+for (const size of PALETTE_SIZES) {
+    for (const transparent of [false, true]) {
+        const suffix = `with ${size} colors${transparent ? ' and transparency' : ''}`;
+
+        test(`PBM and XBM ${suffix} decode to the dark pixel mask`, () => {
+            const palette = testPalette(size);
+            const indices = indexedImage(size, transparent);
+            const mask = opaqueColors(indices, palette).map(c => (luminance(c) < 128 ? 1 : 0));
+            assert.deepEqual(readPbm(encode('PBM', indices, palette)), mask);
+            assert.deepEqual(readXbm(encode('XBM', indices, palette)), mask);
+        });
+
+        test(`PGM ${suffix} decodes to the palette luminance`, () => {
+            const palette = testPalette(size);
+            const indices = indexedImage(size, transparent);
+            const grays = opaqueColors(indices, palette).map(c => Math.round(luminance(c)));
+            assert.deepEqual(readPgm(encode('PGM', indices, palette)), grays);
+        });
+
+        test(`TGA ${suffix} decodes exactly`, () => {
+            const palette = testPalette(size);
+            const indices = indexedImage(size, transparent);
+            assertPixels(readTga(encode('TGA', indices, palette)), expectedRgba(indices, palette), 'TGA');
+        });
+    }
+}
+
+test('indices outside the palette are rejected', () => {
+    const palette = testPalette(12);
+    const indices = indexedImage(12);
+    indices[3] = 300;
+    for (const format of Object.keys(BITMAP_FORMATS)) {
+        assert.throws(() => encode(format, indices, palette), /palette index 300/, format);
+    }
+});
+
+// --- ANIMATIONS ---
+
+const animationFrames = (colors, transparent) => [0, 1, 2].map(f => ({ indices: indexedImage(colors, transparent && f !== 1, f * 3), delay: 100 + f * 50 }));
+
+for (const transparent of [false, true]) {
+    const suffix = transparent ? ' and transparency' : '';
+
+    test(`animated GIF${suffix} decodes every frame exactly`, () => {
+        const palette = testPalette(16);
+        const frames = animationFrames(16, transparent);
+        const reader = new omggif.GifReader(Buffer.from(encodeAnimation('GIF', frames, palette, WIDTH, HEIGHT)));
+        assert.equal(reader.numFrames(), frames.length);
+        frames.forEach((frame, f) => {
+            assert.equal(reader.frameInfo(f).delay * 10, frame.delay);
+            const rgba = new Uint8Array(WIDTH * HEIGHT * 4);
+            reader.decodeAndBlitFrameRGBA(f, rgba);
+            assertPixels(rgba, expectedRgba(frame.indices, palette), `GIF frame ${f}`);
+        });
+    });
+
+    test(`APNG${suffix} decodes every frame exactly`, () => {
+        const palette = testPalette(16);
+        const frames = animationFrames(16, transparent);
+        const bytes = encodeAnimation('APNG', frames, palette, WIDTH, HEIGHT);
+        const image = UPNG.decode(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+        assert.equal(image.frames.length, frames.length);
+        const rendered = UPNG.toRGBA8(image);
+        frames.forEach((frame, f) => {
+            assert.equal(image.frames[f].delay, frame.delay);
+            assertPixels(new Uint8Array(rendered[f]), expectedRgba(frame.indices, palette), `APNG frame ${f}`);
+        });
+    });
+}
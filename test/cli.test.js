@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// --- CLI SNAPSHOTS ---
+// Runs bin/bitmap-fono.js over the fixture images and compares every file it
+// writes with test/fixtures/cli/expected/<case>, byte for byte. After an
+// intended change in output, rewrite them with UPDATE_GOLDEN=1 npm test.
+
+const BIN = fileURLToPath(new URL('../bin/bitmap-fono.js', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('./fixtures/cli/', import.meta.url));
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+
+const CASES = {
+    defaults: ['photo.png'],
+    gameboy_bayer: ['photo.png', '--palette', 'GAMEBOY', '--dither', 'BAYER4', '--width', '160', '--format', 'png,svg'],
+    recipe: ['photo.png', '--recipe', join(FIXTURES, 'poster.json'), '--format', 'png,svg'],
+    gray_tint: ['photo.png', '--gray', '4', '--tint', 'SEPIA', '--width', '120', '--pixel-size', '2'],
+    native_formats: ['photo.png', '--scale', 'native', '--width', '80', '--format', 'bmp,pbm,pgm,xbm,tga,gif'],
+    auto_palette: ['photo.png', '--palette', 'auto:OCTREE', '--palette-size', '6', '--width', '120', '--serpentine'],
+    alpha_ordered: ['sprite.png', '--palette', 'PICO8', '--alpha', 'ORDERED', '--transparent-index', '0', '--width', '120', '--format', 'png,gif'],
+    alpha_matte: ['sprite.png', '--alpha', 'MATTE', '--matte', '#FF8800', '--palette', 'CGA_1', '--width', '120'],
+    hardware: ['photo.png', '--hardware', 'ZX_SPECTRUM', '--format', 'png,scr'],
+    custom_tiles: ['photo.png', '--palette', 'PICO8', '--tile', '4x4', '--tile-colors', '2', '--width', '80', '--format', 'png,json']
+};
+
+for (const [name, [input, ...args]] of Object.entries(CASES)) {
+    test(`bitmap-fono ${name} matches its snapshot`, () => {
+        const out = mkdtempSync(join(tmpdir(), 'bitmap-fono-'));
+        try {
+            execFileSync(process.execPath, [BIN, join(FIXTURES, input), '-o', out, ...args], { stdio: 'pipe' });
+            const expectedDir = join(FIXTURES, 'expected', name);
+            const written = readdirSync(out).sort();
+            if (UPDATE) {
+                rmSync(expectedDir, { recursive: true, force: true });
+                mkdirSync(expectedDir, { recursive: true });
+                written.forEach(file => writeFileSync(join(expectedDir, file), readFileSync(join(out, file))));
+                return;
+            }
+            assert.deepEqual(written, readdirSync(expectedDir).sort());
+            written.forEach(file => {
+                assert.ok(readFileSync(join(out, file)).equals(readFileSync(join(expectedDir, file))), `${name}/${file} differs from its snapshot`);
+            });
+        } finally {
+            rmSync(out, { recursive: true, force: true });
+        }
+    });
+}
+
+test('bitmap-fono rejects invalid options', () => {
+    const run = (...args) => {
+        try {
+            execFileSync(process.execPath, [BIN, join(FIXTURES, 'photo.png'), '-o', tmpdir(), ...args], { stdio: 'pipe' });
+        } catch (err) {
+            return { status: err.status, stderr: err.stderr.toString() };
+        }
+        return { status: 0, stderr: '' };
+    };
+    assert.match(run('--dither', 'NOPE').stderr, /Unknown dither method|NOPE/);
+    assert.match(run('--threshold', '300').stderr, /--threshold must be between 0 and 255/);
+    assert.match(run('--format', 'scr').stderr, /--format scr needs --hardware/);
+    assert.match(run('--palette', 'auto:WU', '--palette-sample', '-5').stderr, /--palette-sample must be one of 32, 64, 128, 256/);
+    assert.match(run('--seed', 'abc').stderr, /--seed must be a whole number/);
+    assert.match(run('--seed', '1.5').stderr, /--seed must be a whole number/);
+    assert.equal(run('--palette', 'PICO8', '--gray', '4').status, 1);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { inflateSync } from 'node:zlib';
+import { DITHER_METHODS, ditherImage } from '../src/engine/dither.js';
+import { PALETTE_PRESETS } from '../src/engine/palette.js';
+import { DEFAULT_CUSTOM_KERNEL, parseKernelGrid } from '../src/engine/kernels.js';
+import { thresholdMapFromRgba } from '../src/engine/threshold.js';
+import { RECIPE_DEFAULTS } from '../src/engine/recipe.js';
+import { encodeBitmap } from '../src/engine/bitmapFormats.js';
+import { decodePng } from '../src/engine/pngDecode.js';
+
+// --- DITHER GOLDENS ---
+// Every dither method runs over the same generated image, in black and white
+// and against a color palette, and must match the PNG in test/fixtures/dither.
+// After an intended change in output, rewrite them with UPDATE_GOLDEN=1 npm test
+// and look at the new images before committing them.
+
+const GOLDEN_DIR = new URL('./fixtures/dither/', import.meta.url);
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+
+const WIDTH = 64;
+const HEIGHT = 48;
+
+// Horizontal luma ramp, a hue sweep down the rows and a solid disc, so both
+// smooth gradients and hard edges are covered
+const sourceImage = () => {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const i = (y * WIDTH + x) * 4;
+            const t = x / (WIDTH - 1);
+            const hue = (y / HEIGHT) * Math.PI * 2;
+            const inDisc = (x - 44) ** 2 + (y - 24) ** 2 < 100;
+            data[i] = inDisc ? 230 : 255 * t * (0.5 + 0.5 * Math.cos(hue));
+            data[i + 1] = inDisc ? 40 : 255 * t * (0.5 + 0.5 * Math.cos(hue - 2.1));
+            data[i + 2] = inDisc ? 60 : 255 * t * (0.5 + 0.5 * Math.cos(hue + 2.1));
+            data[i + 3] = 255;
+        }
+    }
+    return data;
+};
+
+// Diagonal 4x4 ramp for the custom threshold map method
+const thresholdMap = () => {
+    const rgba = new Uint8ClampedArray(16 * 4);
+    for (let i = 0; i < 16; i++) {
+        const v = ((i % 4) + Math.floor(i / 4)) * 36;
+        rgba.fill(v, i * 4, i * 4 + 3);
+        rgba[i * 4 + 3] = 255;
+    }
+    return thresholdMapFromRgba(rgba, 4, 4);
+};
+
+const MODES = {
+    bw: { mode: 'bw' },
+    color: { mode: 'color', palette: PALETTE_PRESETS.PICO8.colors }
+};
+
+const source = sourceImage();
+const baseSettings = {
+    ...RECIPE_DEFAULTS,
+    customKernel: parseKernelGrid(DEFAULT_CUSTOM_KERNEL, '').kernel,
+    thresholdMap: thresholdMap(),
+    noiseSize: 16
+};
+
+if (UPDATE) mkdirSync(GOLDEN_DIR, { recursive: true });
+
+for (const [modeName, modeSettings] of Object.entries(MODES)) {
+    for (const method of Object.keys(DITHER_METHODS)) {
+        test(`${method} (${modeName}) matches its golden output`, () => {
+            const result = ditherImage(source.slice(), WIDTH, HEIGHT, { ...baseSettings, ...modeSettings, ditherMethod: method });
+            const file = new URL(`${method.toLowerCase()}_${modeName}.png`, GOLDEN_DIR);
+            if (UPDATE) {
+                const { indices, palette, width, height } = result;
+                writeFileSync(file, encodeBitmap('PNG', { indices, palette, width, height, transparentIndex: null }));
+                return;
+            }
+            const golden = decodePng(new Uint8Array(readFileSync(file)), inflateSync);
+            assert.equal(result.width, golden.width);
+            assert.equal(result.height, golden.height);
+            let differing = 0;
+            for (let i = 0; i < result.data.length; i += 4) {
+                if (result.data[i] !== golden.data[i] || result.data[i + 1] !== golden.data[i + 1] || result.data[i + 2] !== golden.data[i + 2]) differing++;
+            }
+            assert.equal(differing, 0, `${differing} pixels differ from ${file.pathname}`);
+        });
+    }
+}
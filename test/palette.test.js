@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPalette } from '../src/engine/palette.js';
+
+// --- PALETTE EXTRACTION ---
+
+// The eight corners of the RGB cube, 10 pixels each, with the white corner
+// taking 1000 pixels
+const cornerImage = () => {
+    const pixels = [];
+    for (let i = 0; i < 8; i++) {
+        const color = [i & 4, i & 2, i & 1].map(bit => (bit ? 220 : 20));
+        for (let n = i === 7 ? 1000 : 10; n > 0; n--) pixels.push(...color, 255);
+    }
+    return new Uint8ClampedArray(pixels);
+};
+
+for (const method of ['OCTREE', 'WU']) {
+    test(`${method} keeps the dominant color below 8 colors`, () => {
+        assert.deepEqual(extractPalette(cornerImage(), method, 2), ['#147878', '#dcd8d8']);
+    });
+
+    test(`${method} returns exactly the requested number of colors`, () => {
+        for (let count = 2; count <= 8; count++) {
+            assert.equal(extractPalette(cornerImage(), method, count).length, count);
+        }
+    });
+}
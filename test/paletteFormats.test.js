@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePaletteFile, serializePalette } from '../src/engine/paletteFormats.js';
+
+// --- PALETTE FILES ---
+
+const bytesOf = (text) => new TextEncoder().encode(text);
+
+// Header and first colors of the PICO-8 palette as saved by Paint.NET
+const PAINT_NET_SAMPLE = [
+    '; paint.net Palette File',
+    '; Lines that start with a semicolon are comments',
+    '; Colors are written as 8-digit hexadecimal numbers: aarrggbb',
+    '; For example, this would specify green: FF00FF00',
+    '; The palette must contain exactly 96 colors',
+    'FF000000',
+    'FF1D2B53',
+    'FF7E2553',
+    '80008751'
+].join('\r\n');
+
+test('Paint.NET palettes read as AARRGGBB', () => {
+    const { colors, name, error } = parsePaletteFile('pico-8.txt', bytesOf(PAINT_NET_SAMPLE));
+    assert.equal(error, null);
+    assert.equal(name, 'pico-8');
+    assert.deepEqual(colors, ['#000000', '#1d2b53', '#7e2553', '#008751']);
+});
+
+test('hex lists round-trip', () => {
+    const colors = ['#1d2b53', '#ff004d', '#fff1e8'];
+    assert.deepEqual(parsePaletteFile('saved.hex', bytesOf(serializePalette('HEX', colors))).colors, colors);
+    assert.deepEqual(parsePaletteFile('hashed.hex', bytesOf('#1D2B53\n#FF004D\n#FFF1E8\n')).colors, colors);
+});
+
+test('malformed hex lines are reported', () => {
+    assert.match(parsePaletteFile('bad.hex', bytesOf('1d2b53\n1d2b5\n')).error, /Line 2: "1d2b5" is not a hex color/);
+});